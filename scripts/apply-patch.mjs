@@ -0,0 +1,67 @@
+// Apply a curation patch exported from the app to a source GeoJSON.
+//
+//   node scripts/apply-patch.mjs <patch.json> [public/sites.geojson] [--out file] [--dry-run]
+//
+// The target defaults to public/<dataset>.geojson for the dataset named in
+// the patch and is rewritten in place unless --out is given. Edits that no
+// longer match the data (building gone, value already changed) are listed
+// and skipped; the script then exits 1 so a CI step notices. Passages
+// flagged as wrong change nothing and are listed for follow-up. Run
+// `npm run data` afterwards to rebuild public/data/.
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { importSrc } from './load-src.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const { applyEdits, describeEdit, readPatchFile } = await importSrc('patches');
+const { cleanText, roundCoord } = await importSrc('dataset');
+
+const args = process.argv.slice(2);
+const option = name => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args.splice(i, 2)[1] : null;
+};
+const out = option('--out');
+const dryRun = args.includes('--dry-run');
+const [patchFile, target] = args.filter(a => !a.startsWith('--'));
+if (!patchFile) {
+  console.error('usage: node scripts/apply-patch.mjs <patch.json> [sites.geojson] [--out file] [--dry-run]');
+  process.exit(2);
+}
+
+let patch;
+try {
+  patch = readPatchFile(JSON.parse(fs.readFileSync(patchFile, 'utf8')));
+} catch (e) {
+  console.error(`${patchFile}: ${e.message}`);
+  process.exit(2);
+}
+const source = target ? path.resolve(target) : path.join(ROOT, 'public', `${patch.dataset}.geojson`);
+const fc = JSON.parse(fs.readFileSync(source, 'utf8'));
+
+// the app saw cleaned names and values and rounded coordinates; match the
+// raw file the same way
+const { data, conflicts } = applyEdits(fc, patch.edits, {
+  normalise: s => cleanText(s ?? ''),
+  round: roundCoord,
+});
+// flags change nothing, so they are neither applied nor counted
+const flags = patch.edits.filter(e => e.op === 'flag');
+const changes = patch.edits.length - flags.length;
+const applied = changes - conflicts.filter(c => c.edit.op !== 'flag' && !/moved anyway$/.test(c.reason)).length;
+
+console.log(`${path.relative(ROOT, source)}: ${applied} of ${changes} edits applied`);
+conflicts.forEach(({ edit, reason }) => console.log(`  ${describeEdit(edit)}: ${reason}`));
+if (flags.length) {
+  console.log(`${flags.length} passage(s) flagged as wrong:`);
+  flags.forEach(e => console.log(`  ${describeEdit(e)}`));
+}
+
+if (!dryRun) {
+  const dest = out ? path.resolve(out) : source;
+  fs.writeFileSync(dest, JSON.stringify(data, null, 2));
+  console.log(`wrote ${path.relative(ROOT, dest)}`);
+}
+if (conflicts.length) process.exit(1);
@@ -0,0 +1,98 @@
+// Build the land and coastline layer of the offline basemap.
+//
+//   node scripts/build-basemap.mjs
+//
+// Natural Earth 1:50m land (from the world-atlas package) is cut to the
+// classical world and written to public/basemap/land.json as two features:
+// `land` polygons to fill and `coast` lines to stroke, so the cut edges are
+// never drawn as shore. The region labels beside it (regions.json) are kept
+// by hand.
+import fs from 'node:fs';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { feature, mesh } from 'topojson-client';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUT = path.join(ROOT, 'public', 'basemap', 'land.json');
+const require = createRequire(import.meta.url);
+
+// [west, south, east, north], with room around every site in the data
+const BBOX = [-14, 20, 76, 60];
+// two decimals is about a kilometre, finer than the map is ever read at
+const DIGITS = 2;
+
+const [W, S, E, N] = BBOX;
+const inside = ([x, y]) => x >= W && x <= E && y >= S && y <= N;
+const round = p => p.map(n => Number(n.toFixed(DIGITS)));
+
+// drop repeated points left by rounding
+const dedupe = points => points.filter((p, i) =>
+  i === 0 || p[0] !== points[i - 1][0] || p[1] !== points[i - 1][1]);
+
+// Sutherland–Hodgman against each bbox edge in turn
+const EDGES = [
+  { in: p => p[0] >= W, at: (a, b) => [W, a[1] + (b[1] - a[1]) * (W - a[0]) / (b[0] - a[0])] },
+  { in: p => p[0] <= E, at: (a, b) => [E, a[1] + (b[1] - a[1]) * (E - a[0]) / (b[0] - a[0])] },
+  { in: p => p[1] >= S, at: (a, b) => [a[0] + (b[0] - a[0]) * (S - a[1]) / (b[1] - a[1]), S] },
+  { in: p => p[1] <= N, at: (a, b) => [a[0] + (b[0] - a[0]) * (N - a[1]) / (b[1] - a[1]), N] },
+];
+function clipRing(ring) {
+  let points = ring.slice(0, -1);
+  EDGES.forEach(edge => {
+    const out = [];
+    points.forEach((p, i) => {
+      const prev = points[(i + points.length - 1) % points.length];
+      if (edge.in(p)) {
+        if (!edge.in(prev)) out.push(edge.at(prev, p));
+        out.push(p);
+      } else if (edge.in(prev)) {
+        out.push(edge.at(prev, p));
+      }
+    });
+    points = out;
+  });
+  points = dedupe(points.map(round));
+  return points.length >= 3 ? [...points, points[0]] : null;
+}
+
+const clipPolygon = rings => {
+  const [outer, ...holes] = rings.map(clipRing);
+  return outer ? [outer, ...holes.filter(Boolean)] : null;
+};
+
+// lines keep only their runs inside the bbox
+const clipLine = line => {
+  const runs = [[]];
+  line.forEach(p => {
+    if (inside(p)) runs[runs.length - 1].push(round(p));
+    else if (runs[runs.length - 1].length) runs.push([]);
+  });
+  return runs.map(dedupe).filter(run => run.length >= 2);
+};
+
+const topology = require('world-atlas/land-50m.json');
+const land = feature(topology, topology.objects.land);
+const polygons = land.features.flatMap(f =>
+  f.geometry.type === 'Polygon' ? [f.geometry.coordinates] : f.geometry.coordinates);
+const coast = mesh(topology, topology.objects.land);
+
+const out = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: { kind: 'land' },
+      geometry: { type: 'MultiPolygon', coordinates: polygons.map(clipPolygon).filter(Boolean) }
+    },
+    {
+      type: 'Feature',
+      properties: { kind: 'coast' },
+      geometry: { type: 'MultiLineString', coordinates: coast.coordinates.flatMap(clipLine) }
+    }
+  ]
+};
+
+fs.mkdirSync(path.dirname(OUT), { recursive: true });
+fs.writeFileSync(OUT, JSON.stringify(out));
+console.log(`${path.relative(ROOT, OUT)}: ${Math.round(fs.statSync(OUT).size / 1024)} kB`);
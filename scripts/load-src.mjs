@@ -0,0 +1,15 @@
+// Import modules from src/ in Node.
+//
+// src/ is written for webpack: ES modules with extensionless imports in
+// .js files. Teach Node's resolver both before loading it.
+import { register } from 'node:module';
+
+const SRC_RESOLVER = `
+export async function resolve(specifier, context, next) {
+  const bare = /^\\.{1,2}\\//.test(specifier) && !/\\.[a-z]+$/i.test(specifier);
+  const result = await next(bare ? specifier + '.js' : specifier, context);
+  return result.url.includes('/src/') ? { ...result, format: 'module' } : result;
+}`;
+register(`data:text/javascript,${encodeURIComponent(SRC_RESOLVER)}`);
+
+export const importSrc = name => import(new URL(`../src/${name}.js`, import.meta.url));
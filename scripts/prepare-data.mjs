@@ -0,0 +1,95 @@
+// Validate, normalise and compact the site datasets in public/.
+//
+//   node scripts/prepare-data.mjs [public/sites.geojson …] [--strict]
+//
+// Each input (default: every public/sites*.geojson) is checked against
+// src/sites.schema.json and the rules in src/dataset.js, then written
+// minified to public/data/<name>.json alongside a manifest.json. Findings
+// go to reports/data-validation.md. With --strict the script exits 1 when
+// any record had to be dropped.
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { importSrc } from './load-src.mjs';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PUBLIC = path.join(ROOT, 'public');
+const OUT_DIR = path.join(PUBLIC, 'data');
+const REPORT = path.join(ROOT, 'reports', 'data-validation.md');
+
+const { prepareDataset } = await importSrc('dataset');
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const inputs = args.filter(a => !a.startsWith('--'));
+const files = inputs.length
+  ? inputs.map(f => path.resolve(f))
+  : fs.readdirSync(PUBLIC).filter(f => /^sites.*\.geojson$/.test(f)).sort().map(f => path.join(PUBLIC, f));
+
+const schema = JSON.parse(fs.readFileSync(path.join(ROOT, 'src', 'sites.schema.json'), 'utf8'));
+const kb = bytes => `${Math.round(bytes / 1024)} kB`;
+
+fs.mkdirSync(OUT_DIR, { recursive: true });
+const manifest = [];
+const sections = [];
+let failed = false;
+
+files.forEach(file => {
+  const name = path.basename(file).replace(/\.(geo)?json$/, '');
+  const text = fs.readFileSync(file, 'utf8');
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (e) {
+    raw = null;
+    sections.push(`## ${name}\n\nNot valid JSON: ${e.message}\n`);
+    failed = true;
+    return;
+  }
+  const { data, errors, warnings, stats } = prepareDataset(raw, schema);
+  if (errors.length) failed = true;
+
+  let size = 0;
+  if (data) {
+    const out = JSON.stringify(data);
+    size = Buffer.byteLength(out);
+    fs.writeFileSync(path.join(OUT_DIR, `${name}.json`), out);
+    manifest.push({ id: name, file: `${name}.json`, source: path.basename(file), ...stats });
+  }
+
+  sections.push([
+    `## ${name}`,
+    '',
+    `| | |`,
+    `|---|---|`,
+    `| source | ${path.relative(ROOT, file)} (${kb(Buffer.byteLength(text))}) |`,
+    `| output | ${data ? `public/data/${name}.json (${kb(size)})` : '—'} |`,
+    `| sites | ${stats.sites}${stats.droppedSites ? ` (${stats.droppedSites} dropped)` : ''} |`,
+    `| buildings | ${stats.buildings} |`,
+    '',
+    `### Errors (${errors.length})`,
+    '',
+    ...(errors.length ? errors.map(e => `- ${e}`) : ['None.']),
+    '',
+    `### Warnings (${warnings.length})`,
+    '',
+    ...(warnings.length ? warnings.map(w => `- ${w}`) : ['None.']),
+    '',
+  ].join('\n'));
+
+  console.log(`${name}: ${stats.sites} sites, ${stats.buildings} buildings, ${errors.length} errors, ${warnings.length} warnings`);
+});
+
+fs.writeFileSync(path.join(OUT_DIR, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+fs.mkdirSync(path.dirname(REPORT), { recursive: true });
+fs.writeFileSync(REPORT, [
+  '# Data validation report',
+  '',
+  'Generated by `npm run data`; errors are records left out of the output,',
+  'warnings are kept (and fixed where noted).',
+  '',
+  ...sections,
+].join('\n'));
+console.log(`report: ${path.relative(ROOT, REPORT)}`);
+
+if (strict && failed) process.exit(1);
@@ -1,8 +1,16 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// no network: the controls still render around an empty map
+beforeEach(() => {
+  global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+afterEach(() => jest.restoreAllMocks());
+
+test('renders the map shell without a Mapbox token or network', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('region', { name: /Map of sites/ })).toBeInTheDocument();
+  expect(screen.getByRole('combobox', { name: 'Search' })).toBeInTheDocument();
+  expect(await screen.findByRole('button', { name: /Sites \(0\)/ })).toBeInTheDocument();
 });
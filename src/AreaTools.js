@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { DRAW_TOOLS } from './drawTools';
+import { describeArea, encodeArea } from './spatial';
+import { buttonStyle, buttonPrimary, headerStyle, smallButton, inputStyle } from './styles';
+
+// the same shape, whatever it is called
+const sameArea = (a, b) => Boolean(a && b) && encodeArea(a) === encodeArea(b);
+
+// draw tools for the spatial filter, the default circle radius, and the
+// named areas saved for reuse; `area` is the one filtering now
+export default function AreaTools({
+  tool, radius, area, saved, onToolChange, onRadiusChange, onApply, onSave, onDelete
+}) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState('');
+  const hint = DRAW_TOOLS.find(t => t.id === tool)?.hint;
+  const isSaved = saved.some(s => sameArea(s, area));
+
+  const save = e => {
+    e.preventDefault();
+    onSave(name.trim() || describeArea(area));
+    setName('');
+  };
+
+  return (
+    <div>
+      <button onClick={() => setOpen(!open)} style={headerStyle}
+        aria-expanded={open} aria-controls={open ? 'area-tools' : undefined}>
+        Area <span aria-hidden="true">{open ? '▲' : '▼'}</span>
+      </button>
+      {open && (
+        <div id="area-tools" style={{ margin: '0 4px 4px', fontSize: '0.85rem' }}>
+          <div role="group" aria-label="Draw an area">
+            {DRAW_TOOLS.map(t => (
+              <button key={t.id} onClick={() => onToolChange(tool === t.id ? null : t.id)}
+                aria-pressed={tool === t.id} title={t.hint}
+                style={{ ...(tool === t.id ? buttonPrimary : buttonStyle), ...smallButton }}>
+                {t.label}
+              </button>
+            ))}
+            <label style={{ marginLeft: 4 }}>
+              Radius{' '}
+              <input type="number" min={1} step={1} value={radius}
+                onChange={e => { if (e.target.value > 0) onRadiusChange(Number(e.target.value)); }}
+                style={{ ...inputStyle, width: 56 }} /> km
+            </label>
+          </div>
+          {hint && (
+            <div style={{ color: 'var(--color-text-alt)', margin: '2px 4px' }}>
+              {hint}; Escape stops drawing.
+            </div>
+          )}
+          {area && !isSaved && (
+            <form onSubmit={save} style={{ marginTop: 4 }}>
+              <input value={name} onChange={e => setName(e.target.value)}
+                aria-label="Name for this area" placeholder={describeArea(area)}
+                style={{ ...inputStyle, width: 160, margin: 4 }} />
+              <button type="submit" style={{ ...buttonStyle, ...smallButton }}>Save area</button>
+            </form>
+          )}
+          {saved.length > 0 && (
+            <ul aria-label="Saved areas" style={{ listStyle: 'none', padding: 0, margin: '4px 0 0' }}>
+              {saved.map(s => (
+                <li key={s.name} style={{ display: 'inline-block' }}>
+                  <button onClick={() => onApply(sameArea(s, area) ? null : s)}
+                    aria-pressed={sameArea(s, area)}
+                    style={{ ...(sameArea(s, area) ? buttonPrimary : buttonStyle), ...smallButton, marginRight: 0 }}>
+                    {s.name}
+                  </button>
+                  <button onClick={() => onDelete(s.name)} aria-label={`Delete saved area ${s.name}`}
+                    style={{ ...buttonStyle, ...smallButton, marginLeft: 0, padding: '4px 6px' }}>
+                    {'\u00d7'}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
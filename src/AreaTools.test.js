@@ -0,0 +1,51 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import AreaTools from './AreaTools';
+
+const area = { type: 'bbox', bbox: [14, 40, 15, 41] };
+const saved = [{ type: 'circle', center: [15, 40.4], radius: 50, name: 'Paestum' }];
+
+const renderTools = props => {
+  const handlers = {
+    onToolChange: jest.fn(), onRadiusChange: jest.fn(), onApply: jest.fn(), onSave: jest.fn(), onDelete: jest.fn()
+  };
+  const { container } = render(
+    <AreaTools tool={null} radius={50} area={null} saved={[]} {...handlers} {...props} />
+  );
+  fireEvent.click(screen.getByRole('button', { name: /Area/ }));
+  return { container, ...handlers };
+};
+
+test('has no axe violations', async () => {
+  const { container } = renderTools({ area, saved, tool: 'circle' });
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('picks a tool and sets the radius', () => {
+  const { onToolChange, onRadiusChange } = renderTools();
+  fireEvent.click(screen.getByRole('button', { name: 'Lasso' }));
+  expect(onToolChange).toHaveBeenCalledWith('polygon');
+  fireEvent.change(screen.getByRole('spinbutton', { name: /Radius/ }), { target: { value: '25' } });
+  expect(onRadiusChange).toHaveBeenCalledWith(25);
+});
+
+test('saves the current area under a name, applies and deletes saved ones', () => {
+  const { onSave, onApply, onDelete } = renderTools({ area, saved });
+  fireEvent.change(screen.getByRole('textbox', { name: 'Name for this area' }), { target: { value: 'Campania' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save area' }));
+  expect(onSave).toHaveBeenCalledWith('Campania');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Paestum' }));
+  expect(onApply).toHaveBeenCalledWith(saved[0]);
+  fireEvent.click(screen.getByRole('button', { name: 'Delete saved area Paestum' }));
+  expect(onDelete).toHaveBeenCalledWith('Paestum');
+});
+
+test('an area that is already saved shows as pressed and can be switched off', () => {
+  const { onApply } = renderTools({ area: saved[0], saved });
+  expect(screen.queryByRole('button', { name: 'Save area' })).not.toBeInTheDocument();
+  const button = screen.getByRole('button', { name: 'Paestum' });
+  expect(button).toHaveAttribute('aria-pressed', 'true');
+  fireEvent.click(button);
+  expect(onApply).toHaveBeenCalledWith(null);
+});
@@ -0,0 +1,43 @@
+import React from 'react';
+import { DIFF_COLORS } from './symbology';
+
+const VALUE_LENGTH = 80;
+const FIELD_LABELS = {
+  morphology: 'Typology', style_evidence: 'Style evidence', date_evidence: 'Date evidence', url: 'Source'
+};
+
+const label = field => FIELD_LABELS[field] || field[0].toUpperCase() + field.slice(1);
+const short = v => (v.length > VALUE_LENGTH ? `${v.slice(0, VALUE_LENGTH)}…` : v);
+
+export const DiffBadge = ({ status }) => status && status !== 'unchanged' ? (
+  <span style={{
+    marginLeft: 6, padding: '0 6px', borderRadius: 4, fontSize: '0.75rem',
+    color: '#fff', background: DIFF_COLORS[status]
+  }}>{status}</span>
+) : null;
+
+// field-level changes of one building against the diff base version
+export default function BuildingChanges({ status, changes = [], base }) {
+  if (!status || status === 'unchanged') return null;
+  return (
+    <div style={{
+      marginBottom: 12, padding: '6px 8px', fontSize: '0.85rem',
+      borderLeft: `3px solid ${DIFF_COLORS[status]}`, background: 'var(--color-bg)'
+    }}>
+      <strong>Changes since {base}</strong> <DiffBadge status={status} />
+      {status === 'added' && <div>Not in {base}.</div>}
+      {status === 'removed' && <div>Only in {base}; dropped from this version.</div>}
+      {changes.map(c => (
+        <div key={c.field} style={{ marginTop: 4 }}>
+          {label(c.field)}:
+          {c.added.map(v => (
+            <div key={`+${v}`} style={{ color: DIFF_COLORS.added }}>+ {short(v)}</div>
+          ))}
+          {c.removed.map(v => (
+            <div key={`-${v}`} style={{ color: DIFF_COLORS.removed, textDecoration: 'line-through' }}>− {short(v)}</div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { EDITABLE_FIELDS } from './patches';
+import { buttonStyle, smallButton, inputStyle } from './styles';
+
+const LABELS = { order: 'Order', morphology: 'Typology', age: 'Age', date: 'Date' };
+
+const chipStyle = {
+  display: 'inline-flex', alignItems: 'center', gap: 4, margin: 2,
+  padding: '2px 4px 2px 8px', borderRadius: 6, fontSize: '0.85rem',
+  border: '1px solid var(--color-border)', background: 'var(--color-surface)'
+};
+const iconButton = {
+  border: 'none', background: 'none', cursor: 'pointer', padding: '0 4px',
+  color: 'var(--color-text-alt)', fontSize: '0.9rem'
+};
+const editInput = { ...inputStyle, width: 160 };
+
+// a value that can be rewritten in place (dates) or only removed (tags)
+function ValueChip({ field, value, onEdit }) {
+  const [draft, setDraft] = useState(null);
+  const save = () => {
+    const to = draft.trim();
+    if (to && to !== value) onEdit({ op: 'replace', field, from: value, to });
+    setDraft(null);
+  };
+  if (draft !== null) {
+    return (
+      <input autoFocus value={draft} style={editInput}
+        aria-label={`Correct ${LABELS[field].toLowerCase()} "${value}"`}
+        onChange={e => setDraft(e.target.value)}
+        onBlur={save}
+        onKeyDown={e => {
+          if (e.key === 'Enter') save();
+          if (e.key === 'Escape') setDraft(null);
+        }} />
+    );
+  }
+  return (
+    <span style={chipStyle}>
+      {value}
+      {field === 'date' && (
+        <button onClick={() => setDraft(value)} style={iconButton}
+          title="Correct this date" aria-label={`Correct date "${value}"`}>✎</button>
+      )}
+      <button onClick={() => onEdit({ op: 'remove', field, value })} style={iconButton}
+        title="Remove" aria-label={`Remove ${LABELS[field].toLowerCase()} "${value}"`}>×</button>
+    </span>
+  );
+}
+
+// add / remove / correct the tag values of one building; `options` are the
+// known values per field, offered as suggestions
+export default function BuildingEditor({ building, options, onEdit }) {
+  const [drafts, setDrafts] = useState({});
+
+  const add = field => {
+    const value = (drafts[field] || '').trim();
+    if (value && !(building[field] || []).includes(value)) onEdit({ op: 'add', field, value });
+    setDrafts({ ...drafts, [field]: '' });
+  };
+
+  return (
+    <div>
+      {EDITABLE_FIELDS.map(field => (
+        <div key={field} style={{ marginBottom: 10 }}>
+          <strong>{LABELS[field]}:</strong>
+          <div style={{ marginTop: 4 }}>
+            {(building[field] || []).map(v => (
+              <ValueChip key={v} field={field} value={v} onEdit={onEdit} />
+            ))}
+          </div>
+          <input list={`edit-options-${field}`} value={drafts[field] || ''} style={editInput}
+            placeholder={`Add ${LABELS[field].toLowerCase()}…`}
+            aria-label={`Add ${LABELS[field].toLowerCase()}`}
+            onChange={e => setDrafts({ ...drafts, [field]: e.target.value })}
+            onKeyDown={e => { if (e.key === 'Enter') add(field); }} />
+          <button onClick={() => add(field)} disabled={!(drafts[field] || '').trim()}
+            style={{ ...buttonStyle, ...smallButton }}>
+            Add
+          </button>
+          <datalist id={`edit-options-${field}`}>
+            {(options[field] || []).map(v => <option key={v} value={v} />)}
+          </datalist>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import React, { useEffect, useState } from 'react';
+import { CSV_FIELDS, guessMapping, missingFields } from './userData';
+import { buttonStyle, buttonPrimary, buttonDisabled, inputStyle, modalOverlay, modalDialog } from './styles';
+
+const PREVIEW_ROWS = 3;
+
+const cellStyle = {
+  padding: '4px 8px', borderBottom: '1px solid var(--color-border)',
+  textAlign: 'left', verticalAlign: 'top', maxWidth: 180,
+  overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'
+};
+
+// pick which CSV column feeds each field; columns are pre-matched by name
+export default function ColumnMapping({ name, columns, rows, onApply, onCancel }) {
+  const [mapping, setMapping] = useState(() => guessMapping(columns));
+  const missing = missingFields(mapping);
+
+  useEffect(() => {
+    const onKey = e => { if (e.key === 'Escape') onCancel(); };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onCancel]);
+
+  return (
+    <div onClick={onCancel} style={{ ...modalOverlay, position: 'fixed' }}>
+      <div role="dialog" aria-label="Map CSV columns" onClick={e => e.stopPropagation()}
+        style={modalDialog}>
+        <strong>{name}</strong>
+        <div style={{ color: 'var(--color-text-alt)', margin: '4px 0 8px' }}>
+          {rows.length} rows, one building each. Cells with several values can separate them with ; or |.
+        </div>
+        <table style={{ borderCollapse: 'collapse' }}>
+          <tbody>
+            {CSV_FIELDS.map(field => (
+              <tr key={field.id}>
+                <th style={cellStyle}>
+                  {field.label}{field.required && ' *'}
+                </th>
+                <td style={cellStyle}>
+                  <select value={mapping[field.id]} style={inputStyle}
+                    aria-label={`Column for ${field.label}`}
+                    onChange={e => setMapping({ ...mapping, [field.id]: e.target.value })}>
+                    <option value="">{field.required ? '— choose —' : '— none —'}</option>
+                    {columns.map(c => <option key={c} value={c}>{c}</option>)}
+                  </select>
+                </td>
+                {rows.slice(0, PREVIEW_ROWS).map((row, i) => (
+                  <td key={i} style={{ ...cellStyle, color: 'var(--color-text-alt)' }}>
+                    {mapping[field.id] ? row[mapping[field.id]] : ''}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {missing.length > 0 && (
+          <div role="alert" style={{ color: '#DC2626', marginTop: 8 }}>
+            Choose a column for: {missing.join(', ')}
+          </div>
+        )}
+        <div style={{ marginTop: 8, textAlign: 'right' }}>
+          <button onClick={onCancel} style={buttonStyle}>Cancel</button>
+          <button onClick={() => onApply(mapping)} disabled={missing.length > 0}
+            style={missing.length ? buttonDisabled : buttonPrimary}>
+            Load
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React, { useEffect } from 'react';
+import { formatYear } from './periods';
+import { buttonStyle, modalOverlay, modalDialog } from './styles';
+
+const DIFF_COLOR = '#FEF3C7';
+const EXCERPTS = 3;
+const EXCERPT_LENGTH = 180;
+
+// rows that are compared value by value
+const ROWS = [
+  { label: 'Site',     get: item => [item.site] },
+  { label: 'Order',    get: item => item.building.order },
+  { label: 'Typology', get: item => item.building.morphology },
+  { label: 'Age',      get: item => item.building.age },
+  { label: 'Date',     get: item => item.building.date },
+  { label: 'Years',    get: item => item.building.years
+    ? [`${formatYear(item.building.years.from)} – ${formatYear(item.building.years.to)}`]
+    : [] },
+];
+
+const excerpts = texts => (texts || [])
+  .filter(t => t.split(/\s+/).length > 5)
+  .slice(0, EXCERPTS)
+  .map(t => (t.length > EXCERPT_LENGTH ? `${t.slice(0, EXCERPT_LENGTH)}…` : t));
+
+const cellStyle = {
+  padding: '6px 10px', borderBottom: '1px solid var(--color-border)',
+  verticalAlign: 'top', textAlign: 'left', minWidth: 180
+};
+
+// items: [{ site, building }]
+export default function ComparisonTable({ items, onClose }) {
+  useEffect(() => {
+    const onKey = e => { if (e.key === 'Escape') onClose(); };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  return (
+    <div onClick={onClose} style={modalOverlay}>
+      <div role="dialog" aria-label="Compare buildings" onClick={e => e.stopPropagation()}
+        style={modalDialog}>
+        <div style={{ display: 'flex', alignItems: 'center', marginBottom: 8 }}>
+          <h3 style={{ margin: 0 }}>Compare buildings</h3>
+          <button onClick={onClose} style={{ ...buttonStyle, marginLeft: 'auto' }}>Close</button>
+        </div>
+        <table style={{ borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <td style={cellStyle} />
+              {items.map(item => (
+                <th key={`${item.site}-${item.building.doc_id}-${item.building.id}`} style={cellStyle}>
+                  {item.building.id}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {ROWS.map(row => {
+              // a building may list the same value twice
+              const values = items.map(item => [...new Set(row.get(item))]);
+              // a value is shared when every building has it
+              const shared = v => values.every(vs => vs.includes(v));
+              const differs = values.some(vs => vs.some(v => !shared(v)));
+              return (
+                <tr key={row.label}>
+                  <th scope="row" style={{ ...cellStyle, color: 'var(--color-text-alt)' }}>
+                    {row.label}{differs && ' ≠'}
+                  </th>
+                  {values.map((vs, i) => (
+                    <td key={i} style={cellStyle}>
+                      {vs.length ? vs.map(v => (
+                        <span key={v} style={{
+                          display: 'inline-block', margin: '0 4px 4px 0', padding: '1px 6px',
+                          borderRadius: 4,
+                          background: shared(v) ? 'var(--color-bg)' : DIFF_COLOR
+                        }}>{v}</span>
+                      )) : <span style={{ color: 'var(--color-inactive)' }}>—</span>}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+            <tr>
+              <th scope="row" style={{ ...cellStyle, color: 'var(--color-text-alt)' }}>Source</th>
+              {items.map((item, i) => (
+                <td key={i} style={cellStyle}>
+                  <a href={item.building.url} target="_blank" rel="noopener noreferrer"
+                     style={{ color: '#007cbf' }}>
+                    {item.building.doc_id}
+                  </a>
+                </td>
+              ))}
+            </tr>
+            {[['Style evidence', 'style_evidence'], ['Date evidence', 'date_evidence']].map(([label, attr]) => (
+              <tr key={attr}>
+                <th scope="row" style={{ ...cellStyle, color: 'var(--color-text-alt)' }}>{label}</th>
+                {items.map((item, i) => (
+                  <td key={i} style={{ ...cellStyle, fontSize: '0.8rem', color: '#555' }}>
+                    {excerpts(item.building[attr]).map((t, j) => <div key={j}>- {t}</div>)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
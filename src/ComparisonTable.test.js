@@ -0,0 +1,29 @@
+import { render, screen, within } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import ComparisonTable from './ComparisonTable';
+
+const item = (site, id, order, morphology) => ({
+  site, building: { id, doc_id: `d-${id}`, url: '', order, morphology, age: [], date: [], years: null }
+});
+const items = [
+  item('Paestum', 'Temple of Hera', ['Doric', 'Doric'], ['peripteral']),
+  item('Segesta', 'Temple', ['Doric'], ['peripteral', 'hexastyle']),
+];
+
+const row = label => screen.getByRole('row', { name: new RegExp(`^${label}`) });
+
+test('has no axe violations', async () => {
+  const { container } = render(<ComparisonTable items={items} onClose={() => {}} />);
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('marks the rows that differ and highlights the values not shared', () => {
+  render(<ComparisonTable items={items} onClose={() => {}} />);
+  expect(screen.getByRole('rowheader', { name: 'Order' })).toBeInTheDocument();
+  expect(screen.getByRole('rowheader', { name: 'Typology \u2260' })).toBeInTheDocument();
+  // a value listed twice is shown once
+  expect(within(row('Order')).getAllByText('Doric')).toHaveLength(2);
+  const [shared, own] = ['peripteral', 'hexastyle'].map(v => within(row('Typology')).getAllByText(v)[0]);
+  expect(shared).toHaveStyle({ background: 'var(--color-bg)' });
+  expect(own).toHaveStyle({ background: '#FEF3C7' });
+});
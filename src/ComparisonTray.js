@@ -0,0 +1,47 @@
+import React from 'react';
+import { buttonStyle, buttonPrimary, buttonDisabled, smallButton } from './styles';
+
+export const MAX_COMPARE = 4;
+
+const trayButton = { ...smallButton, margin: '0 4px 0 0' };
+
+// pins are { site, docId, id }
+const samePin = (a, b) => a.site === b.site && a.docId === b.docId && a.id === b.id;
+export const hasPin = (pinned, pin) => pinned.some(p => samePin(p, pin));
+
+// unpins a pinned building, or pins it while the tray has room
+export const togglePinned = (pinned, pin, max = MAX_COMPARE) =>
+  hasPin(pinned, pin) ? pinned.filter(p => !samePin(p, pin))
+    : pinned.length < max ? [...pinned, pin] : pinned;
+
+// pinned buildings waiting to be compared; items: [{ site, building }]
+export default function ComparisonTray({ items, max, onRemove, onClear, onCompare, style }) {
+  if (!items.length) return null;
+  return (
+    <div style={{
+      display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 4,
+      background: 'var(--color-surface)', padding: '8px 10px', borderRadius: '10px',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.1)', fontSize: '0.8rem',
+      color: 'var(--color-text)', ...style
+    }}>
+      <span style={{ marginRight: 4 }}>Compare ({items.length}/{max}):</span>
+      {items.map(({ site, building }) => (
+        <span key={`${site}-${building.doc_id}-${building.id}`} style={{
+          display: 'inline-flex', alignItems: 'center', padding: '2px 6px',
+          border: '1px solid var(--color-border)', borderRadius: 6
+        }}>
+          {building.id} <small style={{ marginLeft: 4, color: 'var(--color-text-alt)' }}>({site})</small>
+          <button onClick={() => onRemove(site, building)} aria-label={`Unpin ${building.id}`}
+            style={{ border: 'none', background: 'none', cursor: 'pointer', marginLeft: 2 }}>
+            ×
+          </button>
+        </span>
+      ))}
+      <button onClick={onCompare} disabled={items.length < 2}
+        style={{ ...(items.length < 2 ? buttonDisabled : buttonPrimary), ...trayButton, marginLeft: 8 }}>
+        Compare
+      </button>
+      <button onClick={onClear} style={{ ...buttonStyle, ...trayButton }}>Clear</button>
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import ComparisonTray, { MAX_COMPARE, hasPin, togglePinned } from './ComparisonTray';
+
+const pin = id => ({ site: 'Paestum', docId: 'd1', id });
+
+test('pins toggle and the tray stops at its limit', () => {
+  let pinned = [];
+  for (let i = 0; i <= MAX_COMPARE; i++) pinned = togglePinned(pinned, pin(`T${i}`));
+  expect(pinned).toHaveLength(MAX_COMPARE);
+  expect(hasPin(pinned, pin(`T${MAX_COMPARE}`))).toBe(false);
+  pinned = togglePinned(pinned, pin('T0'));
+  expect(hasPin(pinned, pin('T0'))).toBe(false);
+  expect(togglePinned(pinned, pin('T9'))).toHaveLength(MAX_COMPARE);
+});
+
+test('compares two or more pinned buildings', () => {
+  const building = id => ({ id, doc_id: 'd1' });
+  const onCompare = jest.fn();
+  const onRemove = jest.fn();
+  const props = { max: MAX_COMPARE, onRemove, onClear: () => {}, onCompare };
+  const { rerender } = render(<ComparisonTray items={[{ site: 'Paestum', building: building('A') }]} {...props} />);
+  expect(screen.getByText(`Compare (1/${MAX_COMPARE}):`)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Compare' })).toBeDisabled();
+  fireEvent.click(screen.getByRole('button', { name: 'Unpin A' }));
+  expect(onRemove).toHaveBeenCalledWith('Paestum', building('A'));
+  rerender(<ComparisonTray items={['A', 'B'].map(id => ({ site: 'Paestum', building: building(id) }))} {...props} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Compare' }));
+  expect(onCompare).toHaveBeenCalled();
+});
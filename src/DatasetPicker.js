@@ -0,0 +1,32 @@
+import React from 'react';
+import { inputStyle } from './styles';
+
+// dataset version selector and the version to diff it against
+export default function DatasetPicker({ datasets, dataset, onDatasetChange, diffBase, onDiffBaseChange, counts }) {
+  if (datasets.length < 2) return null;
+  const label = d => `${d.id} (${d.sites} sites, ${d.buildings} buildings)`;
+  return (
+    <div style={{ margin: '4px', fontSize: '0.85rem', color: 'var(--color-text)' }}>
+      <label>
+        Dataset
+        <select value={dataset} onChange={e => onDatasetChange(e.target.value)} style={{ ...inputStyle, margin: '0 4px' }}>
+          {datasets.map(d => <option key={d.id} value={d.id}>{label(d)}</option>)}
+        </select>
+      </label>
+      <br />
+      <label>
+        Changes since
+        <select value={diffBase || ''} onChange={e => onDiffBaseChange(e.target.value || null)} style={{ ...inputStyle, margin: '0 4px' }}>
+          <option value="">— off —</option>
+          {datasets.filter(d => d.id !== dataset).map(d => <option key={d.id} value={d.id}>{d.id}</option>)}
+        </select>
+      </label>
+      {counts && (
+        <div style={{ color: 'var(--color-text-alt)', marginTop: 2 }}>
+          Sites +{counts.sites.added} −{counts.sites.removed} ~{counts.sites.changed} ·
+          buildings +{counts.buildings.added} −{counts.buildings.removed} ~{counts.buildings.changed}
+        </div>
+      )}
+    </div>
+  );
+}
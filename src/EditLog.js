@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { activeEdits, describeEdit } from './patches';
+import { buttonStyle, headerStyle, tinyButton } from './styles';
+
+const logButton = { ...buttonStyle, ...tinyButton };
+
+const time = iso => new Date(iso).toLocaleString(undefined, {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+// the audit log of local edits, newest first, with undo and patch export
+export default function EditLog({ log, conflicts, onUndo, onUndoAll, onExport }) {
+  const [open, setOpen] = useState(false);
+  if (!log.length) return null;
+
+  const active = activeEdits(log);
+  const activeSeqs = new Set(active.map(e => e.seq));
+
+  return (
+    <div>
+      <button onClick={() => setOpen(!open)} style={headerStyle}>
+        Edits ({active.length}) {open ? '▲' : '▼'}
+      </button>
+      {open && (
+        <div style={{ margin: '0 4px 4px', fontSize: '0.8rem' }}>
+          <div>
+            <button onClick={onExport} disabled={!active.length} style={logButton}>
+              Export patch
+            </button>
+            <button onClick={onUndoAll} disabled={!active.length} style={logButton}>
+              Undo all
+            </button>
+          </div>
+          {conflicts.length > 0 && (
+            <div style={{ color: '#DC2626', margin: '4px 0' }}>
+              {conflicts.length} edit(s) no longer match the data:
+              <ul style={{ margin: '2px 0', paddingLeft: 18 }}>
+                {conflicts.map((c, i) => <li key={i}>{describeEdit(c.edit)}: {c.reason}</li>)}
+              </ul>
+            </div>
+          )}
+          <ol reversed style={{ margin: '4px 0', paddingLeft: 22, maxHeight: 220, overflowY: 'auto' }}>
+            {[...log].reverse().map(e => {
+              const undone = e.op !== 'revert' && !activeSeqs.has(e.seq);
+              return (
+                <li key={e.seq} style={{ marginBottom: 2 }}>
+                  <span style={{ color: 'var(--color-text-alt)' }}>{time(e.at)}</span>{' '}
+                  <span style={{
+                    textDecoration: undone ? 'line-through' : 'none',
+                    fontStyle: e.op === 'revert' ? 'italic' : 'normal'
+                  }}>
+                    {describeEdit(e, log)}
+                  </span>
+                  {activeSeqs.has(e.seq) && (
+                    <button onClick={() => onUndo(e)} style={logButton}>Undo</button>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
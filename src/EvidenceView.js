@@ -0,0 +1,101 @@
+import React, { useMemo, useState } from 'react';
+import { EVIDENCE_FIELDS, HIGHLIGHT_FIELDS, highlightPassage, valueSupport } from './evidence';
+import { buttonStyle, tinyButton, inputStyle } from './styles';
+
+const FLAG_COLOR = '#DC2626';
+const MARK_COLORS = Object.fromEntries(HIGHLIGHT_FIELDS.map(f => [f.id, f.color]));
+const FIELD_LABELS = Object.fromEntries(HIGHLIGHT_FIELDS.map(f => [f.id, f.label]));
+
+const flagButton = { ...buttonStyle, ...tinyButton, margin: '2px 4px 0 0' };
+
+function Passage({ text, building, flag, canFlag, onFlag, onUnflag }) {
+  const [flagging, setFlagging] = useState(false);
+  const [note, setNote] = useState('');
+  const runs = useMemo(() => highlightPassage(text, building), [text, building]);
+
+  return (
+    <li style={{
+      marginBottom: 8, paddingLeft: 6,
+      borderLeft: `3px solid ${flag ? FLAG_COLOR : 'var(--color-border)'}`
+    }}>
+      <div style={{ textDecoration: flag ? 'line-through' : 'none' }}>
+        {runs.map((r, i) => r.field ? (
+          <mark key={i} title={`${FIELD_LABELS[r.field]}: ${r.value}`}
+            style={{ background: MARK_COLORS[r.field], padding: '0 1px', borderRadius: 2 }}>
+            {r.text}
+          </mark>
+        ) : <span key={i}>{r.text}</span>)}
+      </div>
+      {flag && (
+        <div style={{ color: FLAG_COLOR, fontSize: '0.8rem' }}>
+          Flagged as wrong{flag.note ? `: ${flag.note}` : ''}
+          {canFlag && <button onClick={() => onUnflag(flag)} style={flagButton}>Unflag</button>}
+        </div>
+      )}
+      {!flag && canFlag && (flagging ? (
+        <div>
+          <input autoFocus value={note} placeholder="What is wrong? (optional)"
+            aria-label="Why this passage is wrong"
+            onChange={e => setNote(e.target.value)}
+            onKeyDown={e => {
+              if (e.key === 'Enter') { onFlag(note.trim()); setFlagging(false); }
+              if (e.key === 'Escape') setFlagging(false);
+            }}
+            style={{ ...inputStyle, width: 200 }} />
+          <button onClick={() => { onFlag(note.trim()); setFlagging(false); }} style={flagButton}>Flag</button>
+          <button onClick={() => setFlagging(false)} style={flagButton}>Cancel</button>
+        </div>
+      ) : (
+        <button onClick={() => { setNote(''); setFlagging(true); }} style={flagButton}>
+          Flag as wrong
+        </button>
+      ))}
+    </li>
+  );
+}
+
+// every evidence passage of a building in full, style and date apart, with
+// the words behind each extracted value highlighted; `flags` maps
+// `${field}\u0000${passage}` to its flag edit
+export default function EvidenceView({ building, flags, canFlag, onFlag, onUnflag }) {
+  const support = useMemo(() => valueSupport(building), [building]);
+  const unsupported = HIGHLIGHT_FIELDS.flatMap(f =>
+    [...support[f.id]].filter(([, n]) => !n).map(([v]) => `${f.label}: ${v}`));
+
+  return (
+    <div style={{ fontSize: '0.85rem' }}>
+      <div style={{ marginBottom: 8 }}>
+        {HIGHLIGHT_FIELDS.map(f => (
+          <span key={f.id} style={{ marginRight: 8, whiteSpace: 'nowrap' }}>
+            <mark style={{ background: f.color, padding: '0 4px', borderRadius: 2 }}>{f.label}</mark>
+          </span>
+        ))}
+      </div>
+      {unsupported.length > 0 && (
+        <div style={{ color: 'var(--color-text-alt)', marginBottom: 8 }}>
+          Not found in any passage: {unsupported.join('; ')}
+        </div>
+      )}
+      {EVIDENCE_FIELDS.map(group => {
+        const passages = building[group.id] || [];
+        return (
+          <div key={group.id} style={{ marginBottom: 12 }}>
+            <strong>{group.label} ({passages.length})</strong>
+            {!passages.length && (
+              <div style={{ color: 'var(--color-text-alt)' }}>No passages recorded.</div>
+            )}
+            <ol style={{ margin: '4px 0', paddingLeft: 18 }}>
+              {passages.map((text, i) => (
+                <Passage key={i} text={text} building={building}
+                  flag={flags.get(`${group.id}\u0000${text}`)}
+                  canFlag={canFlag}
+                  onFlag={note => onFlag(group.id, text, note)}
+                  onUnflag={onUnflag} />
+              ))}
+            </ol>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, download } from './exporters';
+import { buttonStyle, headerStyle } from './styles';
+
+// download the filtered sites/buildings in one of the export formats
+export default function ExportMenu({ data }) {
+  const [open, setOpen] = useState(false);
+  const [evidence, setEvidence] = useState(true);
+
+  const buildingCount = data.features.reduce((n, f) => n + f.properties.buildings.length, 0);
+
+  const exportAs = format => {
+    download(`temples.${format.ext}`, format.build(data, { evidence }), format.mime);
+    setOpen(false);
+  };
+
+  return (
+    <div>
+      <button onClick={() => setOpen(!open)} style={headerStyle}>
+        Export {open ? '▲' : '▼'}
+      </button>
+      {open && (
+        <div style={{ margin: '0 4px 4px', fontSize: '0.85rem' }}>
+          <div style={{ color: 'var(--color-text-alt)' }}>
+            {data.features.length} sites, {buildingCount} buildings
+          </div>
+          <label style={{ display: 'block', margin: '4px 0' }}>
+            <input type="checkbox" checked={evidence}
+              onChange={e => setEvidence(e.target.checked)} />
+            Include evidence text
+          </label>
+          {EXPORT_FORMATS.map(format => (
+            <button key={format.id} onClick={() => exportAs(format)}
+              disabled={!data.features.length}
+              style={buttonStyle}>
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React, { useRef } from 'react';
+import { valueState } from './filters';
+import { describePeriod } from './periods';
+import { termDepth } from './vocabulary';
+import { buttonStyle, buttonPrimary, buttonExcluded, buttonDisabled, headerStyle, linkButton } from './styles';
+
+const STATE_STYLES = { include: buttonPrimary, exclude: buttonExcluded };
+const STATE_LABELS = { include: 'included', exclude: 'excluded' };
+
+// one facet's dropdown: a disclosure button, the any/all switch and a group
+// of tri-state option buttons (include → exclude → clear); `counts` is the
+// Map of buildings per value, or null while closed
+export default function FacetFilter({
+  attr, label, facet, open, options, unmapped, counts, sort, unmappedOpen,
+  onToggle, onCycle, onToggleMode, onSortChange, onToggleUnmapped
+}) {
+  const header = useRef(null);
+  const panelId = `facet-${attr}-options`;
+
+  const sorted = list => sort === 'count' && counts
+    ? [...list].sort((a, b) => (counts.get(b) || 0) - (counts.get(a) || 0) || a.localeCompare(b))
+    : list;
+
+  // Escape closes the dropdown and hands focus back to its header
+  const onKeyDown = e => {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    onToggle();
+    header.current?.focus();
+  };
+
+  const optionButton = v => {
+    const count = counts?.get(v) || 0;
+    const state = valueState(facet, v);
+    // unused options that would match nothing are greyed out
+    const empty = !count && !state;
+    // vocabulary children are indented under their parent term
+    const indent = sort === 'alpha' ? termDepth(attr, v) * 12 : 0;
+    return (
+      <button key={v} onClick={() => onCycle(v)}
+        disabled={empty}
+        aria-pressed={state === 'include'}
+        aria-label={`${v}, ${count} building${count === 1 ? '' : 's'}${state ? `, ${STATE_LABELS[state]}` : ''}`}
+        title={attr === 'age' ? describePeriod(v) : undefined}
+        className={state === 'include' ? 'included-value' : undefined}
+        style={{ ...(empty ? buttonDisabled : STATE_STYLES[state] || buttonStyle), marginLeft: 4 + indent }}>
+        {v} <small style={{ opacity: 0.75 }}>({count})</small>
+      </button>
+    );
+  };
+
+  return (
+    <div onKeyDown={open ? onKeyDown : undefined}>
+      <button ref={header} onClick={onToggle} style={headerStyle}
+        aria-expanded={open} aria-controls={open ? panelId : undefined}>
+        {label} <span aria-hidden="true">{open ? '▲' : '▼'}</span>
+      </button>
+      {/* any/all only matters once two values are included */}
+      <button onClick={onToggleMode}
+        disabled={facet.include.size < 2}
+        title={facet.mode === 'all'
+          ? 'Buildings must have every selected value'
+          : 'Buildings need any one selected value'}
+        aria-label={`${label}: match ${facet.mode} selected values`}
+        style={{
+          ...(facet.include.size < 2 ? buttonDisabled : buttonStyle),
+          padding: '4px 8px', fontSize: '0.8rem'
+        }}>
+        {facet.mode}
+      </button>
+      {open && (
+        <div id={panelId} role="group" aria-label={`${label} values`}>
+          <div style={{ fontSize: '0.75rem', color: 'var(--color-text-alt)', margin: '0 4px' }}>
+            Click to include, again to exclude, again to clear ·{' '}
+            <button onClick={() => onSortChange(sort === 'alpha' ? 'count' : 'alpha')}
+              style={linkButton}>
+              sort {sort === 'alpha' ? 'by count' : 'A–Z'}
+            </button>
+          </div>
+          {sorted(options).map(optionButton)}
+          {unmapped.length > 0 && (
+            <div>
+              <button onClick={onToggleUnmapped}
+                title="Recorded values that match no vocabulary term"
+                aria-expanded={unmappedOpen}
+                style={{ ...linkButton, margin: '4px', fontSize: '0.8rem', color: 'var(--color-text-alt)' }}>
+                Unmapped values ({unmapped.length}) <span aria-hidden="true">{unmappedOpen ? '▲' : '▼'}</span>
+              </button>
+              {unmappedOpen && sorted(unmapped).map(optionButton)}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import FacetFilter from './FacetFilter';
+import { emptyFilters, cycleValue } from './filters';
+
+const props = (overrides = {}) => ({
+  attr: 'order',
+  label: 'Order',
+  facet: cycleValue(cycleValue(cycleValue(emptyFilters(), 'order', 'Ionic'), 'order', 'Doric'), 'order', 'Doric').order,
+  open: true,
+  options: ['Doric', 'Ionic', 'Tuscan'],
+  unmapped: [],
+  counts: new Map([['Doric', 3], ['Ionic', 1]]),
+  sort: 'alpha',
+  unmappedOpen: false,
+  onToggle: jest.fn(),
+  onCycle: jest.fn(),
+  onToggleMode: jest.fn(),
+  onSortChange: jest.fn(),
+  onToggleUnmapped: jest.fn(),
+  ...overrides
+});
+
+test('has no axe violations, open or closed', async () => {
+  const { container, rerender } = render(<FacetFilter {...props()} />);
+  expect(await axe(container)).toHaveNoViolations();
+  rerender(<FacetFilter {...props({ open: false })} />);
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('exposes the disclosure and the state of each value', () => {
+  render(<FacetFilter {...props()} />);
+  const header = screen.getByRole('button', { name: 'Order' });
+  expect(header).toHaveAttribute('aria-expanded', 'true');
+  expect(screen.getByRole('group', { name: 'Order values' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Ionic, 1 building, included' }))
+    .toHaveAttribute('aria-pressed', 'true');
+  expect(screen.getByRole('button', { name: 'Doric, 3 buildings, excluded' }))
+    .toHaveAttribute('aria-pressed', 'false');
+  // nothing to match, nothing to press
+  expect(screen.getByRole('button', { name: 'Tuscan, 0 buildings' })).toBeDisabled();
+});
+
+test('Escape closes the dropdown and returns focus to its header', () => {
+  const p = props();
+  render(<FacetFilter {...p} />);
+  const option = screen.getByRole('button', { name: /^Ionic/ });
+  option.focus();
+  fireEvent.keyDown(option, { key: 'Escape' });
+  expect(p.onToggle).toHaveBeenCalledTimes(1);
+  expect(screen.getByRole('button', { name: 'Order' })).toHaveFocus();
+});
@@ -0,0 +1,48 @@
+import React from 'react';
+import { COLOR_MODES, RADIUS_STOPS, SELECTED_COLOR, legendFor } from './symbology';
+import { buttonStyle, buttonPrimary, smallButton } from './styles';
+
+const swatch = (color, size = 12) => ({
+  display: 'inline-block', width: size, height: size, borderRadius: '50%',
+  background: color, marginRight: 6, verticalAlign: 'middle', flexShrink: 0
+});
+
+const modeButton = { ...smallButton, margin: '0 4px 0 0' };
+
+export default function Legend({ colorMode, onColorModeChange, modes = COLOR_MODES, style }) {
+  return (
+    <div style={{
+      background: 'var(--color-surface)', padding: '10px', borderRadius: '10px',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.1)', fontSize: '0.8rem',
+      color: 'var(--color-text)', ...style
+    }}>
+      <div style={{ marginBottom: 6 }}>
+        {modes.map(mode => (
+          <button key={mode.id} onClick={() => onColorModeChange(mode.id)}
+            aria-pressed={colorMode === mode.id}
+            style={{ ...(colorMode === mode.id ? buttonPrimary : buttonStyle), ...modeButton }}>
+            {mode.label}
+          </button>
+        ))}
+      </div>
+
+      {legendFor(colorMode).map(item => (
+        <div key={item.label} style={{ display: 'flex', alignItems: 'center', marginBottom: 2 }}>
+          <span style={swatch(item.color)} />{item.label}
+        </div>
+      ))}
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: 6 }}>
+        <span style={swatch(SELECTED_COLOR)} />Selected site
+      </div>
+
+      <div style={{ color: 'var(--color-text-alt)' }}>Buildings per site</div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 2 }}>
+        {RADIUS_STOPS.map(([count, radius]) => (
+          <span key={count} style={{ display: 'inline-flex', alignItems: 'center' }}>
+            <span style={swatch('var(--color-inactive)', radius * 2)} />{count}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import React from 'react';
+import { formatYear } from './periods';
+import { buttonStyle, buttonPrimary, smallButton } from './styles';
+
+// years per second
+export const PLAY_SPEEDS = [25, 50, 100, 200];
+
+const stepButton = { ...buttonStyle, ...smallButton, margin: '0 4px 0 0' };
+
+export default function PlaybackControls({
+  playing, playYear, speed, cumulative,
+  onToggle, onStop, onStep, onSpeedChange, onCumulativeChange
+}) {
+  return (
+    <div style={{
+      display: 'flex', alignItems: 'center', gap: 6, marginBottom: 6,
+      fontSize: '0.8rem', color: 'var(--color-text)'
+    }}>
+      <button onClick={() => onStep(-1)} style={stepButton} title="Step back" aria-label="Step back">⏮</button>
+      <button onClick={onToggle}
+        style={{ ...(playing ? buttonPrimary : buttonStyle), ...smallButton, margin: '0 4px 0 0' }}
+        title={playing ? 'Pause' : 'Play through time'}
+        aria-label={playing ? 'Pause' : 'Play through time'}
+        aria-pressed={playing}>
+        {playing ? '❚❚' : '▶'}
+      </button>
+      <button onClick={() => onStep(1)} style={stepButton} title="Step forward" aria-label="Step forward">⏭</button>
+      {playYear !== null && (
+        <button onClick={onStop} style={stepButton} title="Stop and restore the year range"
+          aria-label="Stop and restore the year range">■</button>
+      )}
+
+      <label>
+        Speed{' '}
+        <select value={speed} onChange={e => onSpeedChange(Number(e.target.value))}>
+          {PLAY_SPEEDS.map(s => <option key={s} value={s}>{s} yrs/s</option>)}
+        </select>
+      </label>
+
+      <label>
+        <input type="checkbox" checked={cumulative}
+          onChange={e => onCumulativeChange(e.target.checked)} />
+        Cumulative
+      </label>
+
+      {playYear !== null && (
+        <strong style={{ marginLeft: 'auto' }}>{formatYear(Math.round(playYear))}</strong>
+      )}
+    </div>
+  );
+}
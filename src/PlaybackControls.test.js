@@ -0,0 +1,42 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import PlaybackControls from './PlaybackControls';
+
+const renderControls = (props = {}) => {
+  const handlers = {
+    onToggle: jest.fn(), onStop: jest.fn(), onStep: jest.fn(),
+    onSpeedChange: jest.fn(), onCumulativeChange: jest.fn()
+  };
+  const { container } = render(
+    <PlaybackControls playing={false} playYear={null} speed={50} cumulative={true} {...handlers} {...props} />
+  );
+  return { container, ...handlers };
+};
+
+test('has no axe violations', async () => {
+  const { container } = renderControls({ playing: true, playYear: -432.4 });
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('stop and the cursor year only show once playback started', () => {
+  renderControls();
+  expect(screen.queryByRole('button', { name: 'Stop and restore the year range' })).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Play through time' })).toHaveAttribute('aria-pressed', 'false');
+});
+
+test('the controls report steps, pauses, speed and mode', () => {
+  const { onToggle, onStop, onStep, onSpeedChange, onCumulativeChange } =
+    renderControls({ playing: true, playYear: -432.4 });
+  expect(screen.getByText('432 BCE')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Pause' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Step back' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Step forward' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Stop and restore the year range' }));
+  fireEvent.change(screen.getByRole('combobox', { name: /Speed/ }), { target: { value: '200' } });
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Cumulative' }));
+  expect(onToggle).toHaveBeenCalledTimes(1);
+  expect(onStep.mock.calls).toEqual([[-1], [1]]);
+  expect(onStop).toHaveBeenCalledTimes(1);
+  expect(onSpeedChange).toHaveBeenCalledWith(200);
+  expect(onCumulativeChange).toHaveBeenCalledWith(false);
+});
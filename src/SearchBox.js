@@ -0,0 +1,105 @@
+import React, { useMemo, useState } from 'react';
+import { search, snippet } from './search';
+import { inputStyle } from './styles';
+
+const MAX_RESULTS = 20;
+const MIN_QUERY = 2;
+
+// search box with a ranked result list; isVisible(result) tells whether the
+// result currently passes the active filters
+export default function SearchBox({ index, isVisible, onSelect }) {
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+
+  const results = useMemo(() =>
+    index && query.trim().length >= MIN_QUERY ? search(index, query, MAX_RESULTS) : [],
+    [index, query]
+  );
+
+  const choose = r => {
+    onSelect(r);
+    setOpen(false);
+  };
+
+  const onKeyDown = e => {
+    if (e.key === 'ArrowDown') setActive(i => Math.min(i + 1, results.length - 1));
+    else if (e.key === 'ArrowUp') setActive(i => Math.max(i - 1, 0));
+    else if (e.key === 'Enter' && results[active]) choose(results[active]);
+    else if (e.key === 'Escape') setOpen(false);
+    else return;
+    e.preventDefault();
+  };
+
+  const listOpen = open && query.trim().length >= MIN_QUERY;
+
+  return (
+    <div style={{ position: 'relative', margin: 4 }}>
+      <input
+        type="search"
+        value={query}
+        placeholder="Search sites, buildings, evidence…"
+        aria-label="Search"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={listOpen}
+        aria-controls={listOpen ? 'search-results' : undefined}
+        aria-activedescendant={listOpen && results[active] ? `search-result-${active}` : undefined}
+        onChange={e => { setQuery(e.target.value); setActive(0); setOpen(true); }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={onKeyDown}
+        // full size, level with the header buttons
+        style={{
+          ...inputStyle, width: '100%', boxSizing: 'border-box',
+          padding: '8px 12px', borderRadius: '8px', fontSize: '0.9rem'
+        }}
+      />
+      {listOpen && (
+        <ul id="search-results" role="listbox" aria-label="Search results" style={{
+          position: 'absolute', top: '100%', left: 0, width: 360, maxHeight: 360,
+          overflowY: 'auto', margin: '4px 0 0', padding: 0, listStyle: 'none',
+          background: 'var(--color-surface)', borderRadius: '8px',
+          boxShadow: '0 4px 12px rgba(0,0,0,0.15)', zIndex: 3
+        }}>
+          {!results.length && (
+            <li role="option" aria-selected={false} aria-disabled="true" style={{ padding: '8px 12px', fontSize: '0.85rem' }}>No matches</li>
+          )}
+          {results.map((r, i) => {
+            const parts = snippet(r);
+            const visible = isVisible(r);
+            return (
+              <li key={`${r.type}-${r.site}-${r.docId || ''}-${i}`}
+                id={`search-result-${i}`}
+                role="option"
+                aria-selected={i === active}
+                onMouseDown={e => e.preventDefault()}
+                onClick={() => choose(r)}
+                onMouseEnter={() => setActive(i)}
+                style={{
+                  padding: '8px 12px', cursor: 'pointer', fontSize: '0.85rem',
+                  borderBottom: '1px solid var(--color-bg)',
+                  background: i === active ? 'var(--color-bg)' : 'transparent',
+                  color: visible ? 'var(--color-text)' : 'var(--color-inactive)'
+                }}>
+                <strong>{r.type === 'site' ? r.site : r.buildingId}</strong>
+                <div style={{ fontSize: '0.75rem', color: 'var(--color-text-alt)' }}>
+                  {r.type === 'site' ? 'Site' : r.site}
+                  {!visible && ' · hidden by filters'}
+                </div>
+                {parts && (
+                  <div style={{ marginTop: 2, fontSize: '0.75rem' }}>
+                    {parts.map((p, j) => p.hit
+                      ? <mark key={j}>{p.text}</mark>
+                      : <span key={j}>{p.text}</span>
+                    )}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { headerStyle } from './styles';
+
+const PAGE = 10;
+// typed letters within this many ms extend the same search
+const TYPEAHEAD_MS = 600;
+
+const optionId = i => `site-option-${i}`;
+
+// the sites on the map as a keyboard listbox: arrows / Home / End / PageUp /
+// PageDown move, Enter or Space selects, typing jumps by name; onFocusSite
+// gets the feature under the cursor (null once the list loses focus)
+export default function SiteList({ features, selectedSite, onSelect, onFocusSite }) {
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const [focused, setFocused] = useState(false);
+  const list = useRef(null);
+  const typed = useRef({ text: '', at: 0 });
+
+  const sites = useMemo(() => [...features].sort((a, b) =>
+    a.properties.site.localeCompare(b.properties.site)), [features]);
+  const current = Math.min(active, sites.length - 1);
+
+  // follow selections made on the map or elsewhere
+  useEffect(() => {
+    const i = sites.findIndex(f => f.properties.site === selectedSite);
+    if (i !== -1) setActive(i);
+  }, [sites, selectedSite]);
+
+  useEffect(() => {
+    if (!open || current < 0) return;
+    list.current?.querySelector(`#${optionId(current)}`)?.scrollIntoView?.({ block: 'nearest' });
+    if (focused) onFocusSite(sites[current]);
+  }, [open, current, focused, sites, onFocusSite]);
+
+  const typeahead = key => {
+    const now = Date.now();
+    const text = (now - typed.current.at < TYPEAHEAD_MS ? typed.current.text : '') + key.toLowerCase();
+    typed.current = { text, at: now };
+    // a repeated single letter cycles through the names starting with it
+    const from = text.length === 1 ? current + 1 : current;
+    const order = [...sites.slice(from), ...sites.slice(0, from)];
+    const hit = order.find(f => f.properties.site.toLowerCase().startsWith(text));
+    if (hit) setActive(sites.indexOf(hit));
+  };
+
+  const onKeyDown = e => {
+    const last = sites.length - 1;
+    if (e.key === 'ArrowDown') setActive(Math.min(current + 1, last));
+    else if (e.key === 'ArrowUp') setActive(Math.max(current - 1, 0));
+    else if (e.key === 'PageDown') setActive(Math.min(current + PAGE, last));
+    else if (e.key === 'PageUp') setActive(Math.max(current - PAGE, 0));
+    else if (e.key === 'Home') setActive(0);
+    else if (e.key === 'End') setActive(last);
+    else if ((e.key === 'Enter' || e.key === ' ') && sites[current]) onSelect(sites[current]);
+    else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) typeahead(e.key);
+    else return;
+    e.preventDefault();
+  };
+
+  return (
+    <div>
+      <button onClick={() => setOpen(!open)} style={headerStyle}
+        aria-expanded={open} aria-controls={open ? 'site-list' : undefined}>
+        Sites ({sites.length}) <span aria-hidden="true">{open ? '▲' : '▼'}</span>
+      </button>
+      {open && (
+        <ul ref={list} id="site-list" role="listbox" tabIndex={0}
+          aria-label="Sites on the map"
+          aria-activedescendant={current >= 0 ? optionId(current) : undefined}
+          onKeyDown={onKeyDown}
+          onFocus={() => setFocused(true)}
+          onBlur={() => { setFocused(false); onFocusSite(null); }}
+          style={{
+            maxHeight: 240, overflowY: 'auto', margin: '0 4px 4px', padding: 0,
+            listStyle: 'none', fontSize: '0.85rem', border: '1px solid var(--color-border)',
+            borderRadius: 6
+          }}>
+          {!sites.length && (
+            <li role="option" aria-selected={false} aria-disabled="true"
+              style={{ padding: '4px 8px', color: 'var(--color-text-alt)' }}>
+              No sites match the filters
+            </li>
+          )}
+          {sites.map((f, i) => {
+            const { site, buildings } = f.properties;
+            // names repeat across regions, the position doesn't
+            return (
+              <li key={`${site} ${f.geometry.coordinates.join(',')}`} id={optionId(i)} role="option"
+                aria-selected={site === selectedSite}
+                onClick={() => { setActive(i); onSelect(f); }}
+                style={{
+                  padding: '4px 8px', cursor: 'pointer',
+                  background: i === current && focused ? 'var(--color-bg)' : 'transparent',
+                  fontWeight: site === selectedSite ? 600 : 400,
+                  color: 'var(--color-text)'
+                }}>
+                {site}{' '}
+                <small style={{ color: 'var(--color-text-alt)' }}>
+                  ({buildings.length} building{buildings.length === 1 ? '' : 's'})
+                </small>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import SiteList from './SiteList';
+
+const site = (name, buildings = 1) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [23, 38] },
+  properties: { site: name, buildings: Array.from({ length: buildings }, (_, i) => ({ id: `${name}-${i}` })) }
+});
+const features = [site('Delphi', 3), site('Athens', 2), site('Bassae'), site('Aegina')];
+
+const open = (overrides = {}) => {
+  const props = { features, selectedSite: null, onSelect: jest.fn(), onFocusSite: jest.fn(), ...overrides };
+  const { container } = render(<SiteList {...props} />);
+  fireEvent.click(screen.getByRole('button', { name: /Sites \(4\)/ }));
+  const list = screen.getByRole('listbox', { name: 'Sites on the map' });
+  fireEvent.focus(list);
+  return { container, props, list };
+};
+const activeName = list => screen.getAllByRole('option')
+  .find(o => o.id === list.getAttribute('aria-activedescendant')).textContent;
+
+test('has no axe violations', async () => {
+  const { container } = open();
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('arrow keys, Home and End move through the sites by name', () => {
+  const { list, props } = open();
+  expect(activeName(list)).toMatch(/^Aegina/);
+  fireEvent.keyDown(list, { key: 'ArrowDown' });
+  fireEvent.keyDown(list, { key: 'ArrowDown' });
+  expect(activeName(list)).toMatch(/^Bassae/);
+  fireEvent.keyDown(list, { key: 'End' });
+  expect(activeName(list)).toMatch(/^Delphi/);
+  expect(props.onFocusSite).toHaveBeenLastCalledWith(features[0]);
+  fireEvent.keyDown(list, { key: 'Home' });
+  expect(activeName(list)).toMatch(/^Aegina/);
+});
+
+test('typing jumps to a site and Enter selects it', () => {
+  const { list, props } = open();
+  fireEvent.keyDown(list, { key: 'd' });
+  fireEvent.keyDown(list, { key: 'Enter' });
+  expect(props.onSelect).toHaveBeenCalledWith(features[0]);
+});
+
+test('follows the site selected elsewhere and clears the map focus on blur', () => {
+  const { list, props } = open({ selectedSite: 'Bassae' });
+  expect(activeName(list)).toMatch(/^Bassae/);
+  expect(screen.getByRole('option', { name: /Bassae/ })).toHaveAttribute('aria-selected', 'true');
+  fireEvent.blur(list);
+  expect(props.onFocusSite).toHaveBeenLastCalledWith(null);
+});
+
+test('lists sites sharing a name at different places', () => {
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const elsewhere = { ...site('Apollo'), geometry: { type: 'Point', coordinates: [27.3, 37.4] } };
+  render(<SiteList features={[site('Apollo'), elsewhere]} selectedSite={null} onSelect={() => {}} onFocusSite={() => {}} />);
+  fireEvent.click(screen.getByRole('button', { name: /Sites \(2\)/ }));
+  expect(screen.getAllByRole('option', { name: /Apollo/ })).toHaveLength(2);
+  expect(error).not.toHaveBeenCalled();
+  error.mockRestore();
+});
@@ -1,286 +1,749 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
-import mapboxgl from 'mapbox-gl';
-import 'mapbox-gl/dist/mapbox-gl.css';
-
-mapboxgl.accessToken = process.env.REACT_APP_MAPBOX_TOKEN;
-
-// signature timeline segments
-const timelineSegments = [
-  { id: 'archaic',     label: 'Archaic & Early', start: -800, end: -480,
-    tags: ['Archaic','Late Archaic','Peisistratid'] },
-  { id: 'classical',   label: 'Classical',       start: -480, end: -323,
-    tags: ['Early Classical','Periclean','Classical','Lycurgan Period','Late Classical'] },
-  { id: 'hellenistic', label: 'Hellenistic',     start: -323, end: -30,
-    tags: ['Hellenistic','Early Hellenistic','Late Hellenistic','Seleucid','Ptolemaic','Pergamene'] },
-  { id: 'republican',  label: 'Republican',      start: -509, end: -27,
-    tags: ['Early Republican','Middle Republican','Late Republican','Republican','Sullan','Caesarian Period','Triumviral Period'] },
-  { id: 'earlyEmpire', label: 'Early Empire',    start: -27,  end: 192,
-    tags: ['Augustan','Tiberian','Julio-Claudian','Flavian','Nerva–Trajanian','Hadrian','Antonine'] },
-  { id: 'lateEmpire',  label: 'Late Empire',     start: 193,  end: 476,
-    tags: ['Severan','Crisis of 3rd Century','Diocletian-Tetrarch','Constantinian','Late Roman','Late Antique'] },
-];
-
-// compute total span
-const MIN_YEAR = Math.min(...timelineSegments.map(s => s.start));
-const MAX_YEAR = Math.max(...timelineSegments.map(s => s.end));
-const TOTAL_SPAN = MAX_YEAR - MIN_YEAR;
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { timelineSegments, describePeriod, formatYear, MIN_YEAR, MAX_YEAR } from './periods';
+import Timeline from './Timeline';
+import PlaybackControls from './PlaybackControls';
+import { PLAY_TICK_MS, advance, stepYear, resumeYear, playWindow, siteFade } from './playback';
+import { encodeState, encodeView, decodeState, writeUrl } from './urlState';
+import { buildIndex } from './search';
+import SearchBox from './SearchBox';
+import {
+  DISPLAY_MODES, SITE_LAYERS, BUILDING_LAYERS,
+  addSiteLayers, addBuildingLayers, setSiteData, applyDisplayMode, expandCluster,
+  OVERLAY_LAYER, addOverlayLayers, setOverlayData, addFocusLayer, setFocusedSite,
+  addHistoricalLayers, setHistoricalVisibility, setHistoricalYear, addAreaLayers, setAreaShape
+} from './mapLayers';
+import { HISTORICAL_LAYERS, fetchHistoricalLayers, layerYear, withRegions } from './historical';
+import { buildingFeatures } from './buildings';
+import {
+  COLOR_MODES, DIFF_MODE, OVERLAY_COLOR, SELECTED_COLOR, colorExpression, orderClass, periodClass
+} from './symbology';
+import Legend from './Legend';
+import ComparisonTray, { MAX_COMPARE, hasPin, togglePinned } from './ComparisonTray';
+import ComparisonTable from './ComparisonTable';
+import ExportMenu from './ExportMenu';
+import FacetFilter from './FacetFilter';
+import SiteList from './SiteList';
+import SiteTable from './SiteTable';
+import AreaTools from './AreaTools';
+import StatsPanel from './StatsPanel';
+import { startDrawing, circleName } from './drawTools';
+import { describeArea, loadSavedAreas, storeSavedAreas, roundPoint } from './spatial';
+import { ownTerms, isVocabularyFacet, termOptions } from './vocabulary';
+import { DEFAULT_DATASET, fetchManifest, loadDataset, prepareBuilding } from './datasets';
+import { buildingKey, diffDatasets, diffFeatures, siteKey } from './diff';
+import DatasetPicker from './DatasetPicker';
+import BuildingChanges, { DiffBadge } from './BuildingChanges';
+import UserDataLoader from './UserDataLoader';
+import BuildingEditor from './BuildingEditor';
+import EditLog from './EditLog';
+import { activeEdits, applyEdits, buildingFlags, toPatchFile } from './patches';
+import EvidenceView from './EvidenceView';
+import { descriptionPassages } from './evidence';
+import { loadEdits, appendEdits } from './editStore';
+import { download } from './exporters';
+import { availableBasemaps, initialBasemap, storeBasemap, basemapStyle, loadRenderer } from './basemaps';
+import SourcesPanel from './SourcesPanel';
+import { fetchSourceMetadata, shortCitation } from './bibliography';
+import {
+  FACETS, emptyFilters, filterSites, facetCounts, facetValues, valueState, matchesBuilding, matchesArea,
+  matchesTime, cycleValue, toggleValue, setValue, setMode, setSource, setArea, revealFilters
+} from './filters';
+import {
+  buttonStyle, buttonPrimary, buttonExcluded, buttonDisabled, headerStyle, smallButton, linkButton
+} from './styles';
+
 const PANEL_WIDTH = 360;
 const TIMELINE_MARGIN = 50;
+// the statistics panel sits clear of the timeline and playback controls
+const STATS_BOTTOM = 170;
 
-// allowed morphology filter values
-const allowedMorphologies = [
-  'prostyle', 'amphiprostyle', 'pseudoperipteral', 'peripteral', 'dipteral',
-  'pseudodipteral', 'distyle in antis', 'tetrastyle', 'hexastyle',
-  'octastyle', 'nonastyle', 'peristyle', 'linear', 'U-shape', 'L-shape'
-];
-
-// const buttonStyle = {
-//   margin: 4, padding: '8px 14px', border: 'none', borderRadius: '6px',
-//   cursor: 'pointer', transition: 'background 0.3s, color 0.3s', fontSize: '0.9rem'
-// };
-// const headerStyle = {
-//   ...buttonStyle, background: '#f0f0f0', color: '#333', fontWeight: 'bold'
-// };
-// 1) Shared button base
-const baseButton = {
-  margin: 4,
-  padding: '8px 16px',
-  border: '1px solid var(--color-border)',
-  borderRadius: '8px',
-  fontSize: '0.9rem',
-  fontFamily: 'var(--font-base)',
-  transition: 'background 0.2s, border-color 0.2s, color 0.2s',
-};
-
-// 2) Variants
-const buttonStyle = {
-  ...baseButton,
-  background: 'var(--color-surface)',
-  color:      'var(--color-text)',
-  cursor:     'pointer',
-};
-
-const buttonPrimary = {
-  ...baseButton,
-  background: 'var(--color-primary)',
-  border:     '1px solid var(--color-primary)',
-  color:      '#fff',
-};
-
-const buttonPrimaryHover = {
-  background: 'var(--color-primary-2)',
-  border:     '1px solid var(--color-primary-2)',
-};
-
-const buttonDisabled = {
-  ...baseButton,
-  background: 'var(--color-bg)',
-  color:      'var(--color-inactive)',
-  cursor:     'not-allowed',
-};
-
-// 3) Header / dropdown toggles
-const headerStyle = {
-  ...buttonStyle,
-  fontWeight: 500,
-  padding:    '10px 18px',
-};
+const DEFAULT_VIEW = { center: [18.0, 40.0], zoom: 5 };
+// Mapbox is only offered with a token
+const BASEMAP_CHOICES = availableBasemaps();
+const SEARCH_ZOOM = 9;
+// km, for circles clicked on the map or drawn around the selected site
+const DEFAULT_AREA_RADIUS = 50;
+const COORD_DIGITS = 6;
 
+// a site feature carrying only the buildings that passed the filters
+const withBuildings = (f, bs) => ({
+  ...f,
+  properties: {
+    ...f.properties,
+    buildings: bs,
+    buildingCount: bs.length,
+    orderClass: orderClass(bs),
+    periodClass: periodClass(bs)
+  }
+});
 
 
 export default function SiteMap() {
   const mapContainer = useRef(null), map = useRef(null);
 
-  const [data, setData] = useState(null);
-  const [selectedSite, setSelectedSite] = useState(null);
+  // view state shared through the query string
+  const [urlInit] = useState(() => decodeState(window.location.search, timelineSegments));
+
+  // dataset version on show, and the one it is diffed against (null = off)
+  const [dataset, setDataset] = useState(urlInit.dataset || DEFAULT_DATASET);
+  const [diffBase, setDiffBase] = useState(urlInit.diffBase);
+  const [datasets, setDatasets] = useState([]);
+  const [bundledData, setBundledData] = useState(null);
+  const [baseData, setBaseData] = useState(null);
+  // a file the user loaded: { name, data, mode: 'overlay' | 'replace', errors, warnings, stats }
+  const [userData, setUserData] = useState(null);
+  // whether the selected site is one of the overlay's
+  const [selectedOverlay, setSelectedOverlay] = useState(false);
+  // local curation: audit log of edits to the bundled dataset (patches.js)
+  const [editLog, setEditLog] = useState([]);
+  const [editing, setEditing] = useState(false);
+  // building panel tab: 'details' | 'evidence'
+  const [buildingTab, setBuildingTab] = useState('details');
+  // start position while the selected site is being dragged, else null
+  const [moving, setMoving] = useState(null);
+  const moveMarker = useRef(null);
+  // provinces / Greek regions / roads: { [layer id]: FeatureCollection },
+  // and which of them are drawn
+  const [historical, setHistorical] = useState(null);
+  const [shownHistorical, setShownHistorical] = useState({});
+  // spatial filter: the draw tool in use, the shape under the pointer, the
+  // circle radius and the named areas kept in localStorage
+  const [drawTool, setDrawTool] = useState(null);
+  // set while a tool is active, and until the click that ended it has
+  // passed, so the map's click handlers leave drawing alone
+  const drawing = useRef(null);
+  const [drawPreview, setDrawPreview] = useState(null);
+  const [areaRadius, setAreaRadius] = useState(DEFAULT_AREA_RADIUS);
+  const [savedAreas, setSavedAreas] = useState(loadSavedAreas);
+
+  // bundled data with the local edits applied
+  const patched = useMemo(() => {
+    const edits = activeEdits(editLog);
+    return bundledData && edits.length
+      ? applyEdits(bundledData, edits, { prepare: prepareBuilding })
+      : { data: bundledData, conflicts: [] };
+  }, [bundledData, editLog]);
+  // every site tagged with the regions it lies in
+  const data = useMemo(() =>
+    withRegions(userData?.mode === 'replace' ? userData.data : patched.data, historical),
+  [userData, patched, historical]);
+  const overlaySites = useMemo(() =>
+    userData?.mode === 'overlay' ? withRegions(userData.data, historical) : null,
+  [userData, historical]);
+  const [mapLoaded, setMapLoaded] = useState(false);
+  // offline | mapbox (basemaps.js), and the GL library drawing it
+  const [basemap, setBasemap] = useState(initialBasemap);
+  const gl = useRef(null);
+  // where a re-created map starts
+  const startView = useRef(null);
+  const [selectedSite, setSelectedSite] = useState(urlInit.selectedSite);
   // we key selection by the unique doc_id now
-  const [selectedBuildingDocId, setSelectedBuildingDocId] = useState(null);
-  const [selectedPeriod, setSelectedPeriod] = useState(null);
-  const [hoveredSegment, setHoveredSegment] = useState(null);
-
-  const [filters, setFilters] = useState({
-    order: new Set(),
-    morphology: new Set(),
-    age: new Set(),
-  });
+  const [selectedBuildingDocId, setSelectedBuildingDocId] = useState(urlInit.selectedBuildingDocId);
+  // preset band the current year range came from, if any
+  const [selectedPeriod, setSelectedPeriod] = useState(urlInit.selectedPeriod);
+  // [from, to] in signed years, null = whole timeline
+  const [yearRange, setYearRange] = useState(urlInit.yearRange);
+  // playback cursor in years, null when not in play mode
+  const [playYear, setPlayYear] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [playSpeed, setPlaySpeed] = useState(50);
+  const [cumulative, setCumulative] = useState(true);
+  // points | clusters | heatmap
+  const [displayMode, setDisplayMode] = useState('points');
+  // order | period
+  const [colorMode, setColorMode] = useState('order');
+  // buildings pinned for comparison: [{ site, docId, id }]
+  const [pinned, setPinned] = useState([]);
+  const [compareOpen, setCompareOpen] = useState(false);
+  const [sourcesOpen, setSourcesOpen] = useState(false);
+  const [tableOpen, setTableOpen] = useState(false);
+  // optional author / year / title per doc_id (public/sources.json)
+  const [sourceMeta, setSourceMeta] = useState({});
+
+  const [filters, setFilters] = useState(urlInit.filters);
   const [dropdownOpen, setDropdownOpen] = useState({
     order: false,
     morphology: false,
     age: false,
+    region: false,
   });
+  // dropdown options: 'alpha' | 'count'
+  const [optionSort, setOptionSort] = useState('alpha');
+  const [unmappedOpen, setUnmappedOpen] = useState({});
 
   // const inactiveColor = '#aaa';
   // const activeColor = '#007cbf';
 
+  // live map position, or the one we started from
+  const currentView = useCallback(() => map.current
+    ? { center: map.current.getCenter().toArray(), zoom: map.current.getZoom() }
+    : urlInit.view, [urlInit]);
+
     // 4) Timeline & dot colors
-  const inactiveColor = 'var(--color-inactive)';
   const activeColor   = 'var(--color-primary)';
 
-  // load GeoJSON
+  // included, excluded or unused facet value
+  const valueStyle = (attr, v) =>
+    ({ include: buttonPrimary, exclude: buttonExcluded })[valueState(filters[attr], v)] || buttonStyle;
+
+  // load the selected dataset version
   useEffect(() => {
-    fetch(`${process.env.PUBLIC_URL}/sites.geojson`)
-      .then(r => r.json())
-      .then(raw => {
-        raw.features.forEach(f =>
-          f.properties.buildings.forEach(b =>
-            ['order','morphology','age','date'].forEach(attr => {
-              if (Array.isArray(b[attr])) {
-                b[attr] = b[attr].filter(v =>
-                  v && v.toLowerCase() !== 'undetermined' && v !== '<NA>'
-                );
-              }
-            })
-          )
-        );
-        setData(raw);
-      })
+    let cancelled = false;
+    loadDataset(dataset)
+      .then(fc => { if (!cancelled) setBundledData(fc); })
+      .catch(console.error);
+    return () => { cancelled = true; };
+  }, [dataset]);
+
+  // and the version to diff against
+  useEffect(() => {
+    if (!diffBase || diffBase === dataset) { setBaseData(null); return; }
+    let cancelled = false;
+    loadDataset(diffBase)
+      .then(fc => { if (!cancelled) setBaseData(fc); })
       .catch(console.error);
+    return () => { cancelled = true; };
+  }, [diffBase, dataset]);
+
+  useEffect(() => {
+    fetchManifest().then(setDatasets).catch(console.error);
+    fetchSourceMetadata().then(setSourceMeta);
+    fetchHistoricalLayers().then(setHistorical);
   }, []);
 
-  // initialize Mapbox
+  // edits saved for this dataset in earlier sessions
+  useEffect(() => {
+    let cancelled = false;
+    setEditLog([]);
+    loadEdits(dataset)
+      .then(entries => { if (!cancelled) setEditLog(entries); })
+      .catch(console.error);
+    return () => { cancelled = true; };
+  }, [dataset]);
+
+  // draggable marker for moving the selected site
+  useEffect(() => {
+    if (!moving || !map.current) return;
+    const marker = new gl.current.Marker({ draggable: true, color: SELECTED_COLOR })
+      .setLngLat(moving)
+      .addTo(map.current);
+    moveMarker.current = marker;
+    return () => {
+      marker.remove();
+      moveMarker.current = null;
+    };
+  }, [moving]);
+
+  // a move in progress belongs to the site it started on
+  useEffect(() => { setMoving(null); }, [selectedSite]);
+
+  // create the map with the chosen basemap's renderer; switching basemaps
+  // removes it and this runs again
   useEffect(() => {
     if (!data || map.current) return;
-    map.current = new mapboxgl.Map({
-      container: mapContainer.current,
-      style: 'mapbox://styles/mapbox/light-v10',
-      center: [18.0, 40.0],
-      zoom: 5
-    });
-    map.current.on('load', () => {
-      map.current.addSource('sites', { type: 'geojson', data });
-      map.current.addLayer({
-        id: 'sites-layer',
-        type: 'circle',
-        source: 'sites',
-        paint: { 'circle-radius': 6, 'circle-color': '#007cbf' }
+    let cancelled = false;
+    loadRenderer(basemap).then(lib => {
+      if (cancelled || map.current) return;
+      gl.current = lib;
+      map.current = new lib.Map({
+        container: mapContainer.current,
+        style: basemapStyle(basemap),
+        ...(startView.current || urlInit.view || DEFAULT_VIEW)
       });
-      map.current.on('click', 'sites-layer', e => {
-        setSelectedSite(e.features[0].properties.site);
-        setSelectedBuildingDocId(null);
+      // map position only replaces the current history entry
+      map.current.on('moveend', () => {
+        const params = new URLSearchParams(window.location.search);
+        params.set('map', encodeView(currentView()));
+        writeUrl(params.toString(), false);
       });
-      map.current.on('mouseenter', 'sites-layer', () =>
-        map.current.getCanvas().style.cursor = 'pointer'
-      );
-      map.current.on('mouseleave', 'sites-layer', () =>
-        map.current.getCanvas().style.cursor = ''
-      );
-    });
-  }, [data]);
+      map.current.on('load', () => {
+        addSiteLayers(map.current, data);
+        addBuildingLayers(map.current);
+        addOverlayLayers(map.current);
+        addAreaLayers(map.current);
+        addFocusLayer(map.current);
+        SITE_LAYERS.forEach(layer =>
+          map.current.on('click', layer, e => {
+            if (drawing.current) return;
+            // a building or overlay site drawn on top takes the click
+            const above = [...BUILDING_LAYERS, OVERLAY_LAYER];
+            if (map.current.queryRenderedFeatures(e.point, { layers: above }).length) return;
+            setSelectedSite(e.features[0].properties.site);
+            setSelectedOverlay(false);
+            setSelectedBuildingDocId(null);
+          })
+        );
+        BUILDING_LAYERS.forEach(layer =>
+          map.current.on('click', layer, e => {
+            if (drawing.current) return;
+            setSelectedSite(e.features[0].properties.site);
+            setSelectedOverlay(false);
+            setSelectedBuildingDocId(e.features[0].properties.doc_id);
+          })
+        );
+        map.current.on('click', OVERLAY_LAYER, e => {
+          if (drawing.current) return;
+          setSelectedSite(e.features[0].properties.site);
+          setSelectedOverlay(true);
+          setSelectedBuildingDocId(null);
+        });
+        map.current.on('click', 'clusters', e => {
+          if (!drawing.current) expandCluster(map.current, e.features[0]);
+        });
+        [...SITE_LAYERS, ...BUILDING_LAYERS, OVERLAY_LAYER, 'clusters'].forEach(layer => {
+          map.current.on('mouseenter', layer, () => {
+            if (!drawing.current) map.current.getCanvas().style.cursor = 'pointer';
+          });
+          map.current.on('mouseleave', layer, () => {
+            if (!drawing.current) map.current.getCanvas().style.cursor = '';
+          });
+        });
+        setMapLoaded(true);
+      });
+    }).catch(console.error);
+    return () => { cancelled = true; };
+  }, [data, basemap, urlInit, currentView]);
 
-  // highlight selected site
+  // colour sites by the active mode & highlight the selected one
   useEffect(() => {
     if (!map.current) return;
-    const expr = ['case',
-      ['==',['get','site'],selectedSite], '#FF4136',
-      '#007cbf'
-    ];
-    if (map.current.getLayer('sites-layer')) {
-      map.current.setPaintProperty('sites-layer','circle-color',expr);
+    const expr = colorExpression(colorMode, selectedOverlay ? null : selectedSite);
+    SITE_LAYERS.forEach(layer => {
+      if (map.current.getLayer(layer)) {
+        map.current.setPaintProperty(layer,'circle-color',expr);
+      }
+    });
+    if (map.current.getLayer(OVERLAY_LAYER)) {
+      map.current.setPaintProperty(OVERLAY_LAYER, 'circle-color',
+        colorExpression(colorMode, selectedOverlay ? selectedSite : null));
     }
-  }, [selectedSite]);
-
-  // compute filter options
-  const allOptions = useMemo(() => {
-    if (!data) return { order: [], morphology: [], age: [] };
-    const o = new Set(), m = new Set(), a = new Set();
-    data.features.forEach(f =>
-      f.properties.buildings.forEach(b => {
-        b.order.forEach(v => o.add(v));
-        b.morphology.forEach(v => m.add(v));
-        b.age.forEach(v => a.add(v));
-      })
-    );
-    return {
-      order: Array.from(o).sort(),
-      morphology: Array.from(m).filter(v =>
-        allowedMorphologies.includes(v)
-      ).sort(),
-      age: Array.from(a).sort()
+  }, [selectedSite, selectedOverlay, colorMode, mapLoaded]);
+
+  // same for the zoomed-in buildings, keyed by doc_id
+  useEffect(() => {
+    if (!mapLoaded) return;
+    const expr = colorExpression(colorMode, selectedBuildingDocId, 'doc_id');
+    map.current.setPaintProperty('buildings-layer', 'circle-color', expr);
+    map.current.setPaintProperty('buildings-footprint', 'fill-color', expr);
+  }, [selectedBuildingDocId, colorMode, mapLoaded]);
+
+  // switch between points, clusters and heatmap
+  useEffect(() => {
+    if (mapLoaded) applyDisplayMode(map.current, displayMode);
+  }, [displayMode, mapLoaded]);
+
+  // the active draw tool owns the mouse until it finishes or is cancelled
+  useEffect(() => {
+    if (!mapLoaded || !drawTool) return;
+    const token = {};
+    drawing.current = token;
+    const stop = startDrawing(map.current, drawTool, {
+      radius: areaRadius,
+      onPreview: setDrawPreview,
+      onDone: area => {
+        setFilters(prev => setArea(prev, area));
+        setDrawTool(null);
+      },
+      onCancel: () => setDrawTool(null)
+    });
+    return () => {
+      stop();
+      setDrawPreview(null);
+      setTimeout(() => {
+        if (drawing.current === token) drawing.current = null;
+      });
     };
-  }, [data]);
+  }, [mapLoaded, drawTool, areaRadius]);
+
+  // outline the area being drawn, else the one filtering
+  useEffect(() => {
+    if (mapLoaded) setAreaShape(map.current, drawPreview || filters.area);
+  }, [mapLoaded, drawPreview, filters.area]);
+
+  useEffect(() => { storeSavedAreas(savedAreas); }, [savedAreas]);
+
+  // historical overlays, drawn as they stood in the year on show
+  const historicalYear = layerYear(playYear, yearRange);
+  useEffect(() => {
+    if (!mapLoaded || !historical) return;
+    addHistoricalLayers(map.current, historical, historicalYear);
+    setHistoricalVisibility(map.current, shownHistorical);
+    setHistoricalYear(map.current, historicalYear);
+  }, [mapLoaded, historical, shownHistorical, historicalYear]);
+
+  // pinned buildings resolved against the unfiltered data, so they survive filtering
+  const pinnedItems = useMemo(() => {
+    if (!data) return [];
+    return pinned.map(p => {
+      const f = data.features.find(f => f.properties.site === p.site);
+      const building = f?.properties.buildings.find(b => b.doc_id === p.docId && b.id === p.id);
+      return building ? { site: p.site, building } : null;
+    }).filter(Boolean);
+  }, [data, pinned]);
+
+  // full-text index over the unfiltered data
+  const searchIndex = useMemo(() => data ? buildIndex(data.features) : null, [data]);
+
+  // sites the filters apply to, the overlay's included
+  const filterableFeatures = useMemo(() => [
+    ...(data?.features || []),
+    ...(overlaySites?.features || [])
+  ], [data, overlaySites]);
+
+  // compute filter options: vocabulary terms in tree order, plus the raw
+  // values outside the vocabulary listed separately
+  const [allOptions, unmappedOptions] = useMemo(() => {
+    const values = Object.fromEntries(FACETS.map(attr => [attr, new Set()]));
+    filterableFeatures.forEach(f =>
+      f.properties.buildings.forEach(b =>
+        FACETS.forEach(attr => facetValues(b, attr).forEach(v => values[attr].add(v)))
+      )
+    );
+    const options = {}, unmapped = {};
+    FACETS.forEach(attr => {
+      const all = Array.from(values[attr]);
+      options[attr] = isVocabularyFacet(attr) ? termOptions(attr, all) : all.sort();
+      unmapped[attr] = isVocabularyFacet(attr)
+        ? all.filter(v => !options[attr].includes(v)).sort((a, b) => a.localeCompare(b))
+        : [];
+    });
+    return [options, unmapped];
+  }, [filterableFeatures]);
+
+  // playback sweeps the selected year range, or the whole timeline
+  const [playStart, playEnd] = yearRange || [MIN_YEAR, MAX_YEAR];
+
+  // [from, to] window buildings must overlap, null = no time filter
+  const timeWindow = useMemo(() => playYear !== null
+    ? playWindow(playYear, cumulative, playStart)
+    : yearRange, [playYear, cumulative, playStart, yearRange]);
 
   // apply attribute & period filters
   const filteredData = useMemo(() => {
     if (!data) return { type: 'FeatureCollection', features: [] };
-    const periodTags = selectedPeriod
-      ? new Set(timelineSegments.find(s => s.id === selectedPeriod).tags)
-      : null;
     return {
       type: 'FeatureCollection',
-      features: data.features.map(f => {
-        const bs = f.properties.buildings.filter(b => {
-          for (let attr of ['order','morphology','age']) {
-            const set = filters[attr];
-            if (set.size && ![...set].some(v => b[attr].includes(v))) return false;
-          }
-          if (periodTags && !b.age.some(tag => periodTags.has(tag))) return false;
-          return true;
-        });
-        return bs.length
-          ? { ...f, properties: { ...f.properties, buildings: bs } }
-          : null;
-      }).filter(Boolean)
+      features: filterSites(data.features, filters, timeWindow).map(({ feature, buildings: bs }) => {
+        const f = withBuildings(feature, bs);
+        if (playYear !== null) f.properties.fade = siteFade(bs, playYear, timeWindow);
+        return f;
+      })
     };
-  }, [data, filters, selectedPeriod]);
+  }, [data, filters, timeWindow, playYear]);
+
+  // the user's file over the bundled data, under the same filters
+  const overlayData = useMemo(() => ({
+    type: 'FeatureCollection',
+    features: overlaySites
+      ? filterSites(overlaySites.features, filters, timeWindow)
+        .map(({ feature, buildings: bs }) => withBuildings(feature, bs))
+      : []
+  }), [overlaySites, filters, timeWindow]);
+
+  // per-option building counts, only while a dropdown is open
+  const anyDropdownOpen = FACETS.some(attr => dropdownOpen[attr]);
+  const optionCounts = useMemo(() =>
+    anyDropdownOpen ? facetCounts(filterableFeatures, filters, timeWindow) : null,
+  [filterableFeatures, filters, timeWindow, anyDropdownOpen]);
+
+  // diff view: the filtered sites tagged added/changed/unchanged plus
+  // what the base version had and this one dropped
+  const diff = useMemo(() =>
+    data && baseData ? diffDatasets(baseData, data) : null, [data, baseData]);
+  const mapData = useMemo(() => diff
+    ? diffFeatures(filteredData, diff, (bs, f) =>
+      matchesArea(f, filters) ? bs.filter(b => matchesBuilding(b, filters, timeWindow)) : [])
+    : filteredData, [diff, filteredData, filters, timeWindow]);
+
+  // changes are shown while diffing, and only then
+  useEffect(() => {
+    setColorMode(mode => diff ? DIFF_MODE.id : mode === DIFF_MODE.id ? 'order' : mode);
+  }, [diff]);
 
-  // update map source & clear building if filtered out
+  // advance the playback cursor
   useEffect(() => {
-    const src = map.current?.getSource('sites');
-    if (src) src.setData(filteredData);
-    if (selectedBuildingDocId) {
-      const exists = filteredData.features.some(f =>
+    if (!playing) return;
+    const id = setInterval(() =>
+      setPlayYear(y => advance(y, playSpeed, playEnd)),
+      PLAY_TICK_MS
+    );
+    return () => clearInterval(id);
+  }, [playing, playSpeed, playEnd]);
+
+  useEffect(() => {
+    if (playing && playYear >= playEnd) setPlaying(false);
+  }, [playing, playYear, playEnd]);
+
+  // side panel content comes from the overlay when one of its sites is selected
+  const panelData = selectedOverlay ? overlayData : mapData;
+
+  // update map sources & clear building if filtered out
+  useEffect(() => {
+    if (mapLoaded) {
+      setSiteData(map.current, mapData);
+      map.current.getSource('buildings').setData(buildingFeatures(mapData));
+      setOverlayData(map.current, overlayData);
+    }
+    if (data && selectedBuildingDocId) {
+      const exists = panelData.features.some(f =>
         f.properties.buildings.some(b => b.doc_id === selectedBuildingDocId)
       );
       if (!exists) setSelectedBuildingDocId(null);
     }
-  }, [filteredData, selectedBuildingDocId]);
+  }, [data, mapData, overlayData, panelData, selectedBuildingDocId, mapLoaded]);
 
-  // filter toggles
-  const toggleFilter = (attr, v) =>
-    setFilters(prev => {
-      const next = { ...prev };
-      const set = new Set(prev[attr]);
-      set.has(v) ? set.delete(v) : set.add(v);
-      next[attr] = set;
-      return next;
+  // an overlay that goes away takes its selection with it
+  useEffect(() => {
+    if (userData?.mode !== 'overlay') setSelectedOverlay(false);
+  }, [userData]);
+
+  // push view state into the URL
+  const urlPushed = useRef(false);
+  useEffect(() => {
+    const search = encodeState({
+      filters, selectedPeriod, yearRange, selectedSite, selectedBuildingDocId,
+      view: currentView(),
+      dataset: dataset === DEFAULT_DATASET ? null : dataset,
+      diffBase
     });
+    // the first write only normalises the landing URL
+    writeUrl(search, urlPushed.current);
+    urlPushed.current = true;
+  }, [filters, selectedPeriod, yearRange, selectedSite, selectedBuildingDocId, currentView, dataset, diffBase]);
+
+  // restore it on back/forward
+  useEffect(() => {
+    const onPopState = () => {
+      const next = decodeState(window.location.search, timelineSegments);
+      if (next.view) map.current?.jumpTo(next.view);
+      setFilters(next.filters);
+      setSelectedPeriod(next.selectedPeriod);
+      setYearRange(next.yearRange);
+      setSelectedSite(next.selectedSite);
+      setSelectedBuildingDocId(next.selectedBuildingDocId);
+      setSelectedOverlay(false);
+      setDataset(next.dataset || DEFAULT_DATASET);
+      setDiffBase(next.diffBase);
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  // filter toggles
+  const toggleFilter = (attr, v) => setFilters(prev => toggleValue(prev, attr, v));
+  const cycleFilter = (attr, v) => setFilters(prev => cycleValue(prev, attr, v));
+  const removeFilter = (attr, v) => setFilters(prev => setValue(prev, attr, v, null));
+  const includeFilters = values => setFilters(prev =>
+    Object.entries(values).reduce((f, [attr, v]) => setValue(f, attr, v, 'include'), prev));
+  const showSource = docId => setFilters(prev => setSource(prev, docId));
+  const showArea = area => setFilters(prev => setArea(prev, area));
+  const saveArea = name => setSavedAreas(prev =>
+    [...prev.filter(a => a.name !== name), { ...filters.area, name }]);
+  const toggleFacetMode = attr =>
+    setFilters(prev => setMode(prev, attr, prev[attr].mode === 'any' ? 'all' : 'any'));
   const toggleDropdown = attr =>
     setDropdownOpen(prev => ({ ...prev, [attr]: !prev[attr] }));
+  const toggleUnmapped = attr =>
+    setUnmappedOpen(prev => ({ ...prev, [attr]: !prev[attr] }));
   const clearFilters = () => {
-    setFilters({ order: new Set(), morphology: new Set(), age: new Set() });
+    setFilters(emptyFilters());
+    setSelectedPeriod(null);
+    setYearRange(null);
+  };
+  const changeYearRange = range => {
+    setYearRange(range);
     setSelectedPeriod(null);
   };
+  const selectPeriod = id => {
+    const seg = timelineSegments.find(s => s.id === id);
+    setSelectedPeriod(seg ? id : null);
+    setYearRange(seg ? [seg.start, seg.end] : null);
+  };
+  const togglePlay = () => {
+    if (!playing) setPlayYear(resumeYear(playYear, playStart, playEnd));
+    setPlaying(!playing);
+  };
+  const stepPlay = dir => {
+    setPlaying(false);
+    setPlayYear(y => stepYear(y, dir, playStart, playEnd));
+  };
+  const stopPlay = () => {
+    setPlaying(false);
+    setPlayYear(null);
+  };
+  const isSearchResultVisible = r => filteredData.features.some(f =>
+    f.properties.site === r.site &&
+    (r.type === 'site' || f.properties.buildings.some(b => b.doc_id === r.docId))
+  );
+  // a hidden result is shown by lifting only what hides it: playback, then
+  // the year range, then the facet values, source or area in the way
+  const revealSearchResult = r => {
+    const f = data?.features.find(x => x.properties.site === r.site &&
+      x.geometry.coordinates[0] === r.coordinates[0] && x.geometry.coordinates[1] === r.coordinates[1]);
+    if (!f) return;
+    const targets = f.properties.buildings.filter(b => r.type === 'site' || b.doc_id === r.docId);
+    let shown = targets.filter(b => matchesTime(b, timeWindow));
+    if (!shown.length && playYear !== null) {
+      stopPlay();
+      shown = targets.filter(b => matchesTime(b, yearRange));
+    }
+    if (!shown.length) {
+      changeYearRange(null);
+      shown = targets;
+    }
+    setFilters(prev => revealFilters(prev, f, shown));
+  };
+  const selectSearchResult = r => {
+    if (!isSearchResultVisible(r)) revealSearchResult(r);
+    setSelectedSite(r.site);
+    setSelectedOverlay(false);
+    setSelectedBuildingDocId(r.type === 'building' ? r.docId : null);
+    map.current?.flyTo({
+      center: r.coordinates,
+      zoom: Math.max(map.current.getZoom(), SEARCH_ZOOM)
+    });
+  };
+  const pinOf = (site, b) => ({ site, docId: b.doc_id, id: b.id });
+  const isPinned = (site, b) => hasPin(pinned, pinOf(site, b));
+  const togglePin = (site, b) => setPinned(prev => togglePinned(prev, pinOf(site, b)));
   const exitSite = () => {
     setSelectedSite(null);
+    setSelectedOverlay(false);
+    setMoving(null);
+    setSelectedBuildingDocId(null);
+  };
+  const changeBasemap = id => {
+    if (id === basemap) return;
+    startView.current = currentView();
+    setMoving(null);
+    map.current?.remove();
+    map.current = null;
+    setMapLoaded(false);
+    storeBasemap(id);
+    setBasemap(id);
+  };
+  const selectSite = f => {
+    setSelectedSite(f.properties.site);
+    setSelectedOverlay(false);
     setSelectedBuildingDocId(null);
   };
+  // ring the site under the keyboard cursor, bringing it into view
+  const focusSite = useCallback(f => {
+    if (!map.current) return;
+    setFocusedSite(map.current, f);
+    if (f && !map.current.getBounds().contains(f.geometry.coordinates)) {
+      map.current.easeTo({ center: f.geometry.coordinates });
+    }
+  }, []);
+
+  // local edits
+  const recordEdits = edits => appendEdits(dataset, edits)
+    .then(entries => setEditLog(prev => [...prev, ...entries]))
+    .catch(console.error);
+  const editBuilding = (b, edit) =>
+    recordEdits([{ ...edit, site: selectedSite, doc_id: b.doc_id, id: b.id }]);
+  const saveMove = () => {
+    const { lng, lat } = moveMarker.current.getLngLat();
+    const to = [lng, lat].map(n => Number(n.toFixed(COORD_DIGITS)));
+    recordEdits([{ op: 'move', site: selectedSite, from: moving, to }]);
+    setMoving(null);
+  };
+  const undoEdits = edits => recordEdits(edits.map(e => ({ op: 'revert', target: e.seq })));
+  const exportPatch = () => download(
+    `${dataset}-patch.json`,
+    JSON.stringify(toPatchFile(editLog, dataset), null, 2),
+    'application/json'
+  );
 
-  // find the selected site & building object
-  const siteFeat = filteredData.features.find(f => f.properties.site === selectedSite);
+  // find the selected site & building object (removed ones too, when diffing)
+  const siteFeat = panelData.features.find(f => f.properties.site === selectedSite);
   const buildingObj = siteFeat?.properties.buildings.find(
     b => b.doc_id === selectedBuildingDocId
   );
 
-  // timeline hover/selection
-  const displayedSeg = useMemo(() => {
-    const id = hoveredSegment || selectedPeriod;
-    return id ? timelineSegments.find(s => s.id === id) : null;
-  }, [hoveredSegment, selectedPeriod]);
-
   const originalSiteFeat = selectedSite
-  ? data.features.find(f => f.properties.site === selectedSite)
+  ? (selectedOverlay ? overlaySites : data).features.find(f => f.properties.site === selectedSite)
   : null;
 
-  const originalBuildings = originalSiteFeat
-    ? originalSiteFeat.properties.buildings
-    : [];
+  const diffSite = siteFeat || originalSiteFeat;
+  const siteDiff = selectedOverlay || !diffSite ? null : diff?.sites.get(siteKey(diffSite));
+
+  // the panel takes focus when it opens or its content changes, and gives it
+  // back to whatever had it once the panel closes
+  const panelOpen = Boolean(siteFeat);
+  const panelHeading = useRef(null);
+  const returnFocus = useRef(null);
+  useEffect(() => {
+    if (panelOpen) {
+      returnFocus.current = returnFocus.current || document.activeElement;
+      panelHeading.current?.focus();
+    } else if (returnFocus.current) {
+      if (returnFocus.current.isConnected) returnFocus.current.focus();
+      returnFocus.current = null;
+    }
+  }, [panelOpen, selectedSite, selectedBuildingDocId]);
+  // Escape steps back from a building to its site, then out of the site
+  const onPanelKeyDown = e => {
+    if (e.key !== 'Escape' || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+    if (buildingObj) setSelectedBuildingDocId(null);
+    else exitSite();
+  };
+  const originalBuildings = [
+    ...(originalSiteFeat ? originalSiteFeat.properties.buildings : []),
+    ...(siteDiff?.removedBuildings || [])
+  ];
+  const buildingStatus = b => siteDiff?.removedBuildings.includes(b)
+    ? 'removed'
+    : siteDiff?.buildings.get(buildingKey(b))?.status;
 
   const visibleDocIds = new Set(
     // these are the ones that passed your filters
-    filteredData.features
-      .find(f => f.properties.site === selectedSite)
-      ?.properties.buildings
-      .map(b => b.doc_id) || []
+    siteFeat?.properties.buildings.map(b => b.doc_id) || []
+  );
+
+  // edits go to the bundled data: not to overlay sites, a file replacing
+  // it, or what only the diff base still has
+  const canEdit = siteFeat && !selectedOverlay && userData?.mode !== 'replace' &&
+    siteDiff?.status !== 'removed';
+  const evidenceCount = buildingObj
+    ? (buildingObj.style_evidence?.length || 0) + (buildingObj.date_evidence?.length || 0)
+    : 0;
+  const description = buildingObj ? descriptionPassages(buildingObj) : [];
+  const buildingEditCount = buildingObj ? activeEdits(editLog).filter(e =>
+    e.site === selectedSite && e.doc_id === buildingObj.doc_id && e.id === buildingObj.id
+  ).length : 0;
+  const editToolbar = canEdit && (
+    <div style={{ marginBottom: 8 }}>
+      <button onClick={() => { setEditing(!editing); setMoving(null); }}
+        style={{ ...(editing ? buttonPrimary : buttonStyle), ...smallButton }}>
+        {editing ? 'Done editing' : 'Edit'}
+      </button>
+      {editing && !buildingObj && (moving ? (
+        <>
+          <button onClick={saveMove}
+            style={{ ...buttonPrimary, ...smallButton }}>
+            Save position
+          </button>
+          <button onClick={() => setMoving(null)}
+            style={{ ...buttonStyle, ...smallButton }}>
+            Cancel
+          </button>
+          <div style={{ fontSize: '0.8rem', color: 'var(--color-text-alt)', margin: '0 4px' }}>
+            Drag the marker to the site's correct position.
+          </div>
+        </>
+      ) : (
+        <button onClick={() => setMoving(siteFeat.geometry.coordinates.slice(0, 2))}
+          style={{ ...buttonStyle, ...smallButton }}>
+          Move site
+        </button>
+      ))}
+      {buildingEditCount > 0 && (
+        <span style={{ fontSize: '0.8rem', color: 'var(--color-text-alt)', marginLeft: 4 }}>
+          {buildingEditCount} local edit{buildingEditCount > 1 ? 's' : ''}
+        </span>
+      )}
+    </div>
   );
 
   return (
@@ -288,7 +751,9 @@ export default function SiteMap() {
       position: 'relative', height: '100vh',
       fontFamily: 'Arial, sans-serif', overflow: 'hidden'
     }}>
-      <div ref={mapContainer} style={{ width: '100%', height: '100%' }} />
+      <div ref={mapContainer} role="region"
+        aria-label="Map of sites; the Sites list and table give keyboard access to the same sites"
+        style={{ width: '100%', height: '100%' }} />
 
       {/* FILTER PANEL */}
       <div style={{
@@ -301,6 +766,11 @@ export default function SiteMap() {
         boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
         maxWidth: '30%', zIndex: 1
       }}>
+        <SearchBox
+          index={searchIndex}
+          isVisible={isSearchResultVisible}
+          onSelect={selectSearchResult}
+        />
         <button onClick={clearFilters}
           // style={{ ...buttonStyle, background: '#eee', color: '#333' }}>
           // style={buttonPrimary}
@@ -309,47 +779,211 @@ export default function SiteMap() {
           style={buttonStyle}>
           Clear Filters
         </button>
-        {['order','morphology','age'].map(attr => (
-          <div key={attr}>
-            <button onClick={() => toggleDropdown(attr)} style={headerStyle}>
-            {attr === 'morphology' ? 'Typology' : attr[0].toUpperCase() + attr.slice(1)} {dropdownOpen[attr] ? '▲' : '▼'}
+        {FACETS.map(attr => (
+          <FacetFilter key={attr} attr={attr}
+            label={attr === 'morphology' ? 'Typology' : attr[0].toUpperCase() + attr.slice(1)}
+            facet={filters[attr]}
+            open={dropdownOpen[attr]}
+            options={allOptions[attr]}
+            unmapped={unmappedOptions[attr]}
+            counts={optionCounts?.[attr] || null}
+            sort={optionSort}
+            unmappedOpen={!!unmappedOpen[attr]}
+            onToggle={() => toggleDropdown(attr)}
+            onCycle={v => cycleFilter(attr, v)}
+            onToggleMode={() => toggleFacetMode(attr)}
+            onSortChange={setOptionSort}
+            onToggleUnmapped={() => toggleUnmapped(attr)} />
+        ))}
+        <AreaTools
+          tool={drawTool}
+          radius={areaRadius}
+          area={filters.area}
+          saved={savedAreas}
+          onToolChange={setDrawTool}
+          onRadiusChange={setAreaRadius}
+          onApply={showArea}
+          onSave={name => {
+            saveArea(name);
+            showArea({ ...filters.area, name });
+          }}
+          onDelete={name => setSavedAreas(prev => prev.filter(a => a.name !== name))}
+        />
+        <div style={{ marginTop: 8 }}>
+          {DISPLAY_MODES.map(mode => (
+            <button key={mode.id} onClick={() => setDisplayMode(mode.id)}
+              aria-pressed={displayMode === mode.id}
+              style={displayMode === mode.id ? buttonPrimary : buttonStyle}>
+              {mode.label}
             </button>
-            {dropdownOpen[attr] && allOptions[attr].map(v => (
-              <button key={v} onClick={() => toggleFilter(attr, v)}
-                // style={{
-                //   ...buttonStyle,
-                //   background: filters[attr].has(v) ? activeColor : '#eee',
-                //   color: filters[attr].has(v) ? '#fff' : '#333'
-                // }}>
-                style={
-                  filters[attr].has(v)
-                      ? { ...buttonPrimary }
-                      : { ...buttonStyle }
-                  }
-                  onMouseEnter={e => filters[attr].has(v)
-                      ? Object.assign(e.target.style, buttonPrimaryHover)
-                      : null}
-                  onMouseLeave={e => filters[attr].has(v)
-                      ? Object.assign(e.target.style, buttonPrimary)
-                      : null}>
-                {v}
+          ))}
+        </div>
+        {BASEMAP_CHOICES.length > 1 && (
+          <div role="group" aria-label="Basemap">
+            {BASEMAP_CHOICES.map(b => (
+              <button key={b.id} onClick={() => changeBasemap(b.id)}
+                aria-pressed={basemap === b.id}
+                style={{ ...(basemap === b.id ? buttonPrimary : buttonStyle), ...smallButton }}>
+                {b.label} map
               </button>
             ))}
           </div>
-        ))}
+        )}
+        {historical && (
+          <div role="group" aria-label="Historical overlays">
+            {HISTORICAL_LAYERS.filter(layer => historical[layer.id]).map(layer => (
+              <button key={layer.id}
+                onClick={() => setShownHistorical(prev => ({ ...prev, [layer.id]: !prev[layer.id] }))}
+                aria-pressed={!!shownHistorical[layer.id]}
+                title={layer.dated ? `As in ${formatYear(historicalYear)}` : undefined}
+                style={{ ...(shownHistorical[layer.id] ? buttonPrimary : buttonStyle), ...smallButton }}>
+                {layer.label}
+              </button>
+            ))}
+            {HISTORICAL_LAYERS.some(layer => layer.dated && shownHistorical[layer.id]) && (
+              <div style={{ fontSize: '0.75rem', color: 'var(--color-text-alt)', margin: '0 4px' }}>
+                As in {formatYear(historicalYear)}; outlines are approximate
+              </div>
+            )}
+          </div>
+        )}
+        <DatasetPicker
+          datasets={datasets}
+          dataset={dataset}
+          onDatasetChange={setDataset}
+          diffBase={diffBase}
+          onDiffBaseChange={setDiffBase}
+          counts={diff?.counts}
+        />
+        <UserDataLoader
+          loaded={userData}
+          onLoad={setUserData}
+          onModeChange={mode => setUserData(prev => ({ ...prev, mode }))}
+          onRemove={() => setUserData(null)}
+        />
+        <EditLog
+          log={editLog}
+          conflicts={patched.conflicts}
+          onUndo={e => undoEdits([e])}
+          onUndoAll={() => undoEdits(activeEdits(editLog))}
+          onExport={exportPatch}
+        />
+        <button onClick={() => setSourcesOpen(true)} style={headerStyle}>
+          Sources
+        </button>
+        <SiteList
+          features={mapData.features}
+          selectedSite={selectedOverlay ? null : selectedSite}
+          onSelect={selectSite}
+          onFocusSite={focusSite}
+        />
+        <button onClick={() => setTableOpen(true)} style={headerStyle}>
+          Table view
+        </button>
+        <ExportMenu data={filteredData} />
         <div style={{ marginTop: 8 }}>
-          {Object.entries(filters).flatMap(([attr, set]) =>
-            Array.from(set).map(v => (
-              <button key={`${attr}-${v}`} onClick={() => toggleFilter(attr, v)}
+          {FACETS.flatMap(attr => [
+            ...Array.from(filters[attr].include).map(v => (
+              <button key={`${attr}-${v}`} onClick={() => removeFilter(attr, v)}
+                title={filters[attr].mode === 'all' && filters[attr].include.size > 1
+                  ? 'Required (all)' : undefined}
                 style={{ ...buttonStyle, background: activeColor, color: '#fff' }}>
                 {v}
               </button>
-          )))}
+            )),
+            ...Array.from(filters[attr].exclude).map(v => (
+              <button key={`not-${attr}-${v}`} onClick={() => removeFilter(attr, v)}
+                aria-label={`Remove exclusion ${v}`}
+                style={buttonExcluded}>
+                {v}
+              </button>
+            ))
+          ])}
+          {filters.source && (
+            <button onClick={() => showSource(null)}
+              title="Only buildings cited from this source"
+              style={{ ...buttonStyle, background: activeColor, color: '#fff' }}>
+              Source: {shortCitation({ docId: filters.source }, sourceMeta)}
+            </button>
+          )}
+          {filters.area && (
+            <button onClick={() => showArea(null)}
+              aria-label={`Remove area ${describeArea(filters.area)}`}
+              title="Only sites inside this area"
+              style={{ ...buttonStyle, background: activeColor, color: '#fff' }}>
+              Area: {describeArea(filters.area)}
+            </button>
+          )}
         </div>
       </div>
 
+      {/* COMPARISON */}
+      <ComparisonTray
+        items={pinnedItems}
+        max={MAX_COMPARE}
+        onRemove={togglePin}
+        onClear={() => setPinned([])}
+        onCompare={() => setCompareOpen(true)}
+        style={{
+          position: 'absolute', top: 10, left: '50%',
+          transform: 'translateX(-50%)', maxWidth: '40%', zIndex: 1
+        }}
+      />
+      {compareOpen && pinnedItems.length > 1 && (
+        <ComparisonTable items={pinnedItems} onClose={() => setCompareOpen(false)} />
+      )}
+      {sourcesOpen && data && (
+        <SourcesPanel
+          data={data}
+          visibleData={filteredData}
+          meta={sourceMeta}
+          source={filters.source}
+          onShowSource={showSource}
+          onSelectSite={site => {
+            const f = data.features.find(f => f.properties.site === site);
+            if (f) selectSearchResult({ type: 'site', site, coordinates: f.geometry.coordinates });
+            setSourcesOpen(false);
+          }}
+          onClose={() => setSourcesOpen(false)}
+        />
+      )}
+
+      {tableOpen && (
+        <SiteTable
+          features={mapData.features}
+          onSelect={f => {
+            setTableOpen(false);
+            selectSearchResult({ type: 'site', site: f.properties.site, coordinates: f.geometry.coordinates });
+          }}
+          onClose={() => setTableOpen(false)}
+        />
+      )}
+
+      {/* LEGEND */}
+      <Legend
+        colorMode={colorMode}
+        onColorModeChange={setColorMode}
+        modes={diff ? [...COLOR_MODES, DIFF_MODE] : COLOR_MODES}
+        style={{ position: 'absolute', top: 10, right: PANEL_WIDTH + 10, zIndex: 1 }}
+      />
+
+      {/* STATISTICS */}
+      <StatsPanel
+        data={filteredData}
+        filters={filters}
+        yearRange={yearRange}
+        onToggle={toggleFilter}
+        onInclude={includeFilters}
+        onYearRange={changeYearRange}
+        onSelectSite={f => selectSearchResult({ type: 'site', site: f.properties.site, coordinates: f.geometry.coordinates })}
+        style={{
+          position: 'absolute', bottom: STATS_BOTTOM, right: PANEL_WIDTH + 10,
+          maxHeight: `calc(100vh - ${STATS_BOTTOM + 20}px)`, zIndex: 1
+        }}
+      />
+
       {/* SIDE PANEL */}
-      <div style={{
+      <aside aria-label="Site details" inert={!siteFeat} onKeyDown={onPanelKeyDown} style={{
         position: 'absolute', top: 0, right: 0, width: `${PANEL_WIDTH}px`, height: '100%',
         background: '#fafafa', borderLeft: "1px solid #ddd",
         transform: siteFeat ? 'translateX(0)' : 'translateX(100%)',
@@ -372,12 +1006,45 @@ export default function SiteMap() {
         {/* LIST OF BUILDINGS */}
         {siteFeat && !buildingObj && (
           <>
-            <h3 style={{ marginBottom: 8 }}>{siteFeat.properties.site}</h3>
+            <h3 ref={panelHeading} tabIndex={-1} style={{ marginBottom: 8 }}>
+              {siteFeat.properties.site} <DiffBadge status={siteDiff?.status} />
+            </h3>
+            {selectedOverlay && (
+              <div style={{ marginBottom: 8, fontSize: '0.85rem', color: OVERLAY_COLOR }}>
+                From {userData.name}
+              </div>
+            )}
+            {siteFeat.properties.region?.length > 0 && (
+              <div style={{ marginBottom: 8 }}>
+                <strong>Region:</strong>
+                <div style={{ marginTop: 4 }}>
+                  {siteFeat.properties.region.map(v => (
+                    <button key={v} onClick={() => toggleFilter('region', v)}
+                      aria-pressed={filters.region.include.has(v)}
+                      style={valueStyle('region', v)}>
+                      {v}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+            <button onClick={() => showArea({
+              type: 'circle',
+              center: roundPoint(siteFeat.geometry.coordinates),
+              radius: areaRadius,
+              name: circleName(areaRadius, siteFeat.properties.site)
+            })} style={{ ...buttonStyle, ...smallButton, marginBottom: 8 }}>
+              Sites within {areaRadius} km
+            </button>
+            {editToolbar}
+            {siteDiff?.changes.length > 0 && (
+              <BuildingChanges status="changed" changes={siteDiff.changes} base={diffBase} />
+            )}
             <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
-              {originalBuildings.map(b => {
+              {originalBuildings.map((b, i) => {
                 const isVisible = visibleDocIds.has(b.doc_id);
                 return (
-                  <li key={b.doc_id} style={{ marginBottom: 6 }}>
+                  <li key={`${b.doc_id}-${i}`} style={{ marginBottom: 6 }}>
                     <button
                       onClick={() => isVisible && setSelectedBuildingDocId(b.doc_id)}
                       disabled={!isVisible}
@@ -394,6 +1061,7 @@ export default function SiteMap() {
                     >
                       {b.id} <small>({b.doc_id})</small>
                     </button>
+                    <DiffBadge status={buildingStatus(b)} />
                   </li>
                 );
               })}
@@ -404,45 +1072,76 @@ export default function SiteMap() {
         {/* BUILDING DETAILS */}
         {buildingObj && (
           <>
-            <h3 style={{ marginBottom: 8 }}>{buildingObj.id}</h3>
-
-            {['order','morphology','age'].map(attr =>
-              buildingObj[attr]?.length > 0 && (
-                <div key={attr} style={{ marginBottom: 10 }}>
-                 <strong style={{ textTransform: 'capitalize' }}>{attr === 'morphology' ? 'Typology' : attr[0].toUpperCase() + attr.slice(1)}:</strong>
-                  <div style={{ marginTop: 4 }}>
-                    {buildingObj[attr].map(v => (
-                      // <button key={v} onClick={() => toggleFilter(attr, v)}
-                      //   style={{
-                      //     ...buttonStyle,
-                      //     background: filters[attr].has(v) ? activeColor : '#eee',
-                      //     color: filters[attr].has(v) ? '#fff' : '#333'
-                      //   }}>
-                      //   {v}
-                      // </button>
-                      <button
-                          key={v}
-                          onClick={() => toggleFilter(attr, v)}
-                          style={ filters[attr].has(v) ? buttonPrimary : buttonStyle }
-                          onMouseEnter={e => {
-                            if (filters[attr].has(v)) Object.assign(e.target.style, buttonPrimaryHover);
-                          }}
-                          onMouseLeave={e => {
-                            if (filters[attr].has(v)) Object.assign(e.target.style, buttonPrimary);
-                          }}
-                        >
-                          {v}
-                      </button>
-                    ))}
-                  </div>
-                </div>
-              )
+            <h3 ref={panelHeading} tabIndex={-1} style={{ marginBottom: 8 }}>{buildingObj.id}</h3>
+            {buildingObj.diffStatus !== 'removed' && editToolbar}
+            {diff && (
+              <BuildingChanges
+                status={buildingObj.diffStatus}
+                changes={siteDiff?.buildings.get(buildingKey(buildingObj))?.changes}
+                base={diffBase}
+              />
             )}
 
-            {buildingObj.date?.length > 0 && (
-              <div style={{ marginBottom: 12 }}>
-                <strong>Date:</strong> {buildingObj.date.join(', ')}
-              </div>
+            <div role="tablist" style={{ marginBottom: 10 }}>
+              {[['details', 'Details'], ['evidence', `Evidence (${evidenceCount})`]].map(([id, label]) => (
+                <button key={id} role="tab" aria-selected={buildingTab === id}
+                  onClick={() => setBuildingTab(id)}
+                  style={{ ...(buildingTab === id ? buttonPrimary : buttonStyle), ...smallButton }}>
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            {buildingTab === 'evidence' ? (
+              <EvidenceView
+                building={buildingObj}
+                flags={buildingFlags(activeEdits(editLog), selectedSite, buildingObj)}
+                canFlag={canEdit && buildingObj.diffStatus !== 'removed'}
+                onFlag={(field, value, note) => editBuilding(buildingObj, { op: 'flag', field, value, note })}
+                onUnflag={flag => undoEdits([flag])}
+              />
+            ) : editing && canEdit && buildingObj.diffStatus !== 'removed' ? (
+              <BuildingEditor
+                building={buildingObj}
+                options={allOptions}
+                onEdit={edit => editBuilding(buildingObj, edit)}
+              />
+            ) : (
+              <>
+                {['order','morphology','age'].map(attr =>
+                  buildingObj[attr]?.length > 0 && (
+                    <div key={attr} style={{ marginBottom: 10 }}>
+                     <strong style={{ textTransform: 'capitalize' }}>{attr === 'morphology' ? 'Typology' : attr[0].toUpperCase() + attr.slice(1)}:</strong>
+                      <div style={{ marginTop: 4 }}>
+                        {ownTerms(attr, buildingObj[attr]).map(v => (
+                          <button
+                              key={v}
+                              onClick={() => toggleFilter(attr, v)}
+                              title={attr === 'age' ? describePeriod(v) : undefined}
+                              aria-pressed={filters[attr].include.has(v)}
+                              className={filters[attr].include.has(v) ? 'included-value' : undefined}
+                              style={valueStyle(attr, v)}
+                            >
+                              {v}
+                          </button>
+                        ))}
+                      </div>
+                      {/* the recorded wording, when the vocabulary renamed it */}
+                      {ownTerms(attr, buildingObj[attr]).join() !== buildingObj[attr].join() && (
+                        <div style={{ fontSize: '0.8rem', color: 'var(--color-text-alt)', margin: '0 4px' }}>
+                          Recorded as: {buildingObj[attr].join('; ')}
+                        </div>
+                      )}
+                    </div>
+                  )
+                )}
+
+                {buildingObj.date?.length > 0 && (
+                  <div style={{ marginBottom: 12 }}>
+                    <strong>Date:</strong> {buildingObj.date.join(', ')}
+                  </div>
+                )}
+              </>
             )}
 
             <div style={{ marginBottom: 12 }}>
@@ -451,24 +1150,30 @@ export default function SiteMap() {
                  style={{ color: '#007cbf' }}>
                 {buildingObj.doc_id}
               </a>
+              {sourceMeta[buildingObj.doc_id]?.title && (
+                <div style={{ fontSize: '0.85rem', color: 'var(--color-text-alt)' }}>
+                  {shortCitation({ docId: buildingObj.doc_id }, sourceMeta)}
+                </div>
+              )}
+              <button onClick={() => showSource(filters.source === buildingObj.doc_id ? null : buildingObj.doc_id)}
+                style={{
+                  ...(filters.source === buildingObj.doc_id ? buttonPrimary : buttonStyle),
+                  ...smallButton
+                }}>
+                {filters.source === buildingObj.doc_id ? 'Showing this source only' : 'Everything cited from this source'}
+              </button>
             </div>
 
-            {(buildingObj.style_evidence?.some(t => t.split(/\s+/).length > 5) ||
-              buildingObj.date_evidence?.some(t => t.split(/\s+/).length > 5)) && (
+            {buildingTab === 'details' && description.length > 0 && (
               <div style={{ marginBottom: 12 }}>
-                <strong>Description:</strong>
+                <strong>Description:</strong>{' '}
+                <button onClick={() => setBuildingTab('evidence')}
+                  style={{ ...linkButton, fontSize: '0.85rem' }}>
+                  all {evidenceCount} passages
+                </button>
                 <div style={{ marginTop: 4, fontSize: '0.85rem', color: '#555' }}>
-                  {buildingObj.style_evidence
-                    .filter(t => t.split(/\s+/).length > 5)
-                    .slice(0, 2)
-                    .map((text, i) => (
-                      <div key={`se-${i}`}>- {text.slice(0, 180)}…</div>
-                  ))}
-                  {buildingObj.date_evidence
-                    .filter(t => t.split(/\s+/).length > 5)
-                    .slice(0, 2)
-                    .map((text, i) => (
-                      <div key={`de-${i}`}>- {text.slice(0, 180)}…</div>
+                  {description.map(({ key, text }) => (
+                    <div key={key}>- {text.slice(0, 180)}…</div>
                   ))}
                 </div>
               </div>
@@ -479,9 +1184,21 @@ export default function SiteMap() {
               style={buttonStyle}>
               Back
             </button>
+            {/* overlay buildings are not in the data comparisons resolve against */}
+            {!selectedOverlay && (
+              <button onClick={() => togglePin(selectedSite, buildingObj)}
+                disabled={!isPinned(selectedSite, buildingObj) && pinned.length >= MAX_COMPARE}
+                style={
+                  isPinned(selectedSite, buildingObj)
+                    ? buttonPrimary
+                    : pinned.length >= MAX_COMPARE ? buttonDisabled : buttonStyle
+                }>
+                {isPinned(selectedSite, buildingObj) ? 'Unpin' : 'Pin to compare'}
+              </button>
+            )}
           </>
         )}
-      </div>
+      </aside>
 
       {/* TIMELINE BAR + Tooltip */}
       {/* <div style={{
@@ -491,57 +1208,31 @@ export default function SiteMap() {
         width: '75%',
         zIndex: 1
       }}> */}
-        <div style={{
+        <div role="region" aria-label="Timeline" style={{
           position: 'absolute',
           bottom: `${TIMELINE_MARGIN}px`,
           left:   `${TIMELINE_MARGIN}px`,
           width:  `calc(100vw - ${PANEL_WIDTH}px - ${TIMELINE_MARGIN * 2}px)`,
           zIndex: 1
         }}>
-        {displayedSeg && (
-          <div style={{
-            position: 'absolute',
-            bottom: '20px',
-            left: '50%',
-            transform: 'translateX(-50%)',
-            width: `${((displayedSeg.end - displayedSeg.start)/TOTAL_SPAN)*100}%`,
-            background: 'rgba(255,255,255,0.95)',
-            border: '1px solid #ccc',
-            borderRadius: 4,
-            padding: '4px 8px',
-            textAlign: 'center',
-            fontSize: '0.8rem',
-            pointerEvents: 'none',
-            zIndex: 2
-          }}>
-            <strong>{displayedSeg.label}</strong><br/>
-            {displayedSeg.tags.join(', ')}
-          </div>
-        )}
-        <div style={{ display: 'flex', height: '10px' }}>
-          {timelineSegments.map(seg => {
-            const active = selectedPeriod === seg.id;
-            return (
-              <div key={seg.id}
-                onClick={() => setSelectedPeriod(active ? null : seg.id)}
-                onMouseEnter={() => setHoveredSegment(seg.id)}
-                onMouseLeave={() => setHoveredSegment(null)}
-                // style={{
-                //   width: `${((seg.end - seg.start)/TOTAL_SPAN)*100}%`,
-                //   borderLeft: '1px solid #888',
-                //   background: active ? activeColor : inactiveColor,
-                //   cursor: 'pointer'
-                // }}
-                style={{
-                   flex: (seg.end - seg.start) / TOTAL_SPAN,
-                   borderLeft: '1px solid var(--color-border)',
-                   background: active ? activeColor : inactiveColor,
-                   cursor: 'pointer'
-                 }}
-              />
-            );
-          })}
-        </div>
+        <PlaybackControls
+          playing={playing}
+          playYear={playYear}
+          speed={playSpeed}
+          cumulative={cumulative}
+          onToggle={togglePlay}
+          onStop={stopPlay}
+          onStep={stepPlay}
+          onSpeedChange={setPlaySpeed}
+          onCumulativeChange={setCumulative}
+        />
+        <Timeline
+          range={yearRange}
+          onChange={changeYearRange}
+          selectedPeriod={selectedPeriod}
+          onSelectPeriod={selectPeriod}
+          playYear={playYear}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,113 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { formatYear } from './periods';
+import { buttonStyle, buttonDisabled, smallButton, modalOverlay, modalDialog, linkButton } from './styles';
+
+const PAGE_SIZE = 50;
+
+const cellStyle = {
+  padding: '4px 8px', borderBottom: '1px solid var(--color-border)',
+  verticalAlign: 'top', textAlign: 'left'
+};
+
+const distinct = (buildings, attr) =>
+  [...new Set(buildings.flatMap(b => b[attr] || []))].sort().join(', ');
+
+// earliest start to latest end of the dated buildings
+const yearSpan = buildings => {
+  const dated = buildings.filter(b => b.years);
+  if (!dated.length) return '';
+  const from = Math.min(...dated.map(b => b.years.from));
+  const to = Math.max(...dated.map(b => b.years.to));
+  return `${formatYear(from)} – ${formatYear(to)}`;
+};
+
+// the sites on the map as a plain table, the screen-reader alternative to
+// the map canvas; choosing a site selects it and closes the table
+export default function SiteTable({ features, onSelect, onClose }) {
+  const [page, setPage] = useState(0);
+  const closeButton = useRef(null);
+
+  const rows = useMemo(() => [...features]
+    .sort((a, b) => a.properties.site.localeCompare(b.properties.site))
+    .map(f => {
+      const { site, buildings } = f.properties;
+      return {
+        feature: f,
+        // names repeat across regions, so rows are keyed by position too
+        key: `${site} ${f.geometry.coordinates.join(',')}`,
+        site,
+        buildings: buildings.length,
+        order: distinct(buildings, 'order'),
+        morphology: distinct(buildings, 'morphology'),
+        years: yearSpan(buildings),
+        coordinates: f.geometry.coordinates.slice(0, 2).map(n => n.toFixed(3)).join(', ')
+      };
+    }), [features]);
+  const pages = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  const shown = rows.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  useEffect(() => {
+    closeButton.current?.focus();
+    const onKey = e => { if (e.key === 'Escape') onClose(); };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  const pageButton = (label, to, disabled) => (
+    <button onClick={() => setPage(to)} disabled={disabled}
+      style={{ ...(disabled ? buttonDisabled : buttonStyle), ...smallButton }}>
+      {label}
+    </button>
+  );
+
+  return (
+    <div onClick={onClose} style={modalOverlay}>
+      <div role="dialog" aria-modal="true" aria-labelledby="site-table-title"
+        onClick={e => e.stopPropagation()}
+        style={modalDialog}>
+        <div style={{ display: 'flex', alignItems: 'center', marginBottom: 8 }}>
+          <h3 id="site-table-title" style={{ margin: 0 }}>Sites on the map</h3>
+          <button ref={closeButton} onClick={onClose} style={{ ...buttonStyle, marginLeft: 'auto' }}>
+            Close
+          </button>
+        </div>
+        <table style={{ borderCollapse: 'collapse' }}>
+          <caption style={{ textAlign: 'left', marginBottom: 4, color: 'var(--color-text-alt)' }}>
+            {rows.length} site{rows.length === 1 ? '' : 's'} matching the filters
+            {pages > 1 && `, page ${page + 1} of ${pages}`}
+          </caption>
+          <thead>
+            <tr>
+              {['Site', 'Buildings', 'Order', 'Typology', 'Years', 'Longitude, latitude'].map(h => (
+                <th key={h} scope="col" style={cellStyle}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(r => (
+              <tr key={r.key}>
+                <th scope="row" style={cellStyle}>
+                  <button onClick={() => onSelect(r.feature)}
+                    style={{ ...linkButton, fontFamily: 'inherit', textAlign: 'left' }}>
+                    {r.site}
+                  </button>
+                </th>
+                <td style={cellStyle}>{r.buildings}</td>
+                <td style={cellStyle}>{r.order}</td>
+                <td style={cellStyle}>{r.morphology}</td>
+                <td style={cellStyle}>{r.years}</td>
+                <td style={cellStyle}>{r.coordinates}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {pages > 1 && (
+          <nav aria-label="Table pages" style={{ marginTop: 8 }}>
+            {pageButton('Previous', page - 1, page === 0)}
+            {pageButton('Next', page + 1, page >= pages - 1)}
+          </nav>
+        )}
+      </div>
+    </div>
+  );
+}
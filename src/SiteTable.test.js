@@ -0,0 +1,47 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import SiteTable from './SiteTable';
+
+const site = (name, years) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [22.5, 37.4] },
+  properties: { site: name, buildings: [{ id: 'T1', order: ['Doric'], morphology: ['peripteral'], years }] }
+});
+
+test('has no axe violations and focuses Close', async () => {
+  const { container } = render(
+    <SiteTable features={[site('Bassae', { from: -430, to: -400 })]} onSelect={() => {}} onClose={() => {}} />
+  );
+  expect(screen.getByRole('button', { name: 'Close' })).toHaveFocus();
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('lists the sites with row headers and pages through them', () => {
+  const onSelect = jest.fn();
+  const features = Array.from({ length: 60 }, (_, i) => site(`Site ${String(i).padStart(2, '0')}`));
+  render(<SiteTable features={features} onSelect={onSelect} onClose={() => {}} />);
+  const table = screen.getByRole('table');
+  expect(within(table).getByText(/60 sites matching the filters, page 1 of 2/)).toBeInTheDocument();
+  expect(within(table).getAllByRole('rowheader')).toHaveLength(50);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+  expect(within(table).getAllByRole('rowheader')).toHaveLength(10);
+  fireEvent.click(screen.getByRole('button', { name: 'Site 55' }));
+  expect(onSelect).toHaveBeenCalledWith(features[55]);
+});
+
+test('Escape closes the table', () => {
+  const onClose = jest.fn();
+  render(<SiteTable features={[]} onSelect={() => {}} onClose={onClose} />);
+  fireEvent.keyDown(window, { key: 'Escape' });
+  expect(onClose).toHaveBeenCalled();
+});
+
+test('lists sites sharing a name at different places', () => {
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const elsewhere = { ...site('Apollo'), geometry: { type: 'Point', coordinates: [27.3, 37.4] } };
+  render(<SiteTable features={[site('Apollo'), elsewhere]} onSelect={() => {}} onClose={() => {}} />);
+  expect(screen.getAllByRole('rowheader', { name: 'Apollo' })).toHaveLength(2);
+  expect(error).not.toHaveBeenCalled();
+  error.mockRestore();
+});
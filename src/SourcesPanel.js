@@ -0,0 +1,111 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { CITATION_FORMATS, archiveOf, collectSources, shortCitation } from './bibliography';
+import { download } from './exporters';
+import { buttonStyle, buttonPrimary, tinyButton, linkButton, inputStyle, modalOverlay, modalDialog } from './styles';
+
+const PAGE = 100;
+
+const sourceButton = { ...tinyButton, margin: '0 4px 0 0' };
+
+// every cited source with the sites and buildings it supports; `data` is
+// the whole dataset, `visibleData` what the filters leave on the map
+export default function SourcesPanel({ data, visibleData, meta, source, onShowSource, onSelectSite, onClose }) {
+  const [query, setQuery] = useState('');
+  const [onlyVisible, setOnlyVisible] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+  const [limit, setLimit] = useState(PAGE);
+
+  useEffect(() => {
+    const onKey = e => { if (e.key === 'Escape') onClose(); };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onClose]);
+
+  const all = useMemo(() => collectSources(data.features), [data]);
+  const visible = useMemo(() => collectSources(visibleData.features), [visibleData]);
+
+  const listed = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return (onlyVisible ? visible : all).filter(s => !q ||
+      s.docId.toLowerCase().includes(q) ||
+      shortCitation(s, meta).toLowerCase().includes(q) ||
+      s.sites.some(x => x.site.toLowerCase().includes(q)));
+  }, [all, visible, onlyVisible, query, meta]);
+
+  const exportAs = format =>
+    download(`sources.${format.ext}`, format.build(listed, meta), format.mime);
+
+  return (
+    <div onClick={onClose} style={modalOverlay}>
+      <div role="dialog" aria-label="Sources" onClick={e => e.stopPropagation()}
+        style={{ ...modalDialog, width: 640 }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <strong>Sources ({listed.length} of {all.length})</strong>
+          <button onClick={onClose} style={buttonStyle}>Close</button>
+        </div>
+        <div style={{ margin: '8px 0' }}>
+          <input value={query} placeholder="Filter by source, title or site…"
+            aria-label="Filter sources"
+            onChange={e => { setQuery(e.target.value); setLimit(PAGE); }}
+            style={{ ...inputStyle, width: 240 }} />
+          <label style={{ marginLeft: 8 }}>
+            <input type="checkbox" checked={onlyVisible}
+              onChange={e => { setOnlyVisible(e.target.checked); setLimit(PAGE); }} />
+            Only sources on the map
+          </label>
+        </div>
+        <div style={{ marginBottom: 8 }}>
+          Export listed sources:{' '}
+          {CITATION_FORMATS.map(format => (
+            <button key={format.id} onClick={() => exportAs(format)} disabled={!listed.length}
+              style={{ ...buttonStyle, ...sourceButton }}>
+              {format.label}
+            </button>
+          ))}
+        </div>
+
+        <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+          {listed.slice(0, limit).map(s => (
+            <li key={s.docId} style={{ padding: '6px 0', borderTop: '1px solid var(--color-border)' }}>
+              <div>
+                <button onClick={() => setExpanded(expanded === s.docId ? null : s.docId)} style={linkButton}
+                  aria-expanded={expanded === s.docId}>
+                  {expanded === s.docId ? '▾' : '▸'} {shortCitation(s, meta)}
+                </button>{' '}
+                <span style={{ color: 'var(--color-text-alt)' }}>
+                  {archiveOf(s.docId).label} · {s.sites.length} site{s.sites.length > 1 ? 's' : ''},{' '}
+                  {s.buildingCount} building{s.buildingCount > 1 ? 's' : ''}
+                </span>
+              </div>
+              <div style={{ marginTop: 2 }}>
+                <button onClick={() => onShowSource(source === s.docId ? null : s.docId)}
+                  style={{ ...(source === s.docId ? buttonPrimary : buttonStyle), ...sourceButton }}>
+                  {source === s.docId ? 'Showing on map' : 'Show on map'}
+                </button>
+                <a href={s.url} target="_blank" rel="noopener noreferrer"
+                  style={{ color: 'var(--color-primary)' }}>
+                  {s.docId}
+                </a>
+              </div>
+              {expanded === s.docId && (
+                <ul style={{ margin: '4px 0 0', paddingLeft: 20 }}>
+                  {s.sites.map(x => (
+                    <li key={x.site}>
+                      <button onClick={() => onSelectSite(x.site)} style={linkButton}>{x.site}</button>
+                      : {x.buildings.join(', ')}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+        {listed.length > limit && (
+          <button onClick={() => setLimit(limit + PAGE)} style={buttonStyle}>
+            Show {Math.min(PAGE, listed.length - limit)} more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
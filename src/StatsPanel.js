@@ -0,0 +1,265 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { centuryYears, selectionStats } from './stats';
+import { download } from './exporters';
+import { buttonStyle, headerStyle, tinyButton } from './styles';
+
+// charts are plain SVG with concrete colours so that the downloaded files
+// look the same outside the page
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FONT = 'Arial, sans-serif';
+const TEXT = '#111827';
+const MUTED = '#4B5563';
+const BAR = '#2563EB';
+const ACTIVE = '#1D4ED8';
+const EMPTY = '#F3F4F6';
+const DATING_COLORS = { dated: '#2563EB', periodOnly: '#93C5FD', undated: '#9CA3AF' };
+
+const WIDTH = 320;
+const TITLE_H = 20;
+const ROW = 18;
+const LABEL_W = 112;
+const COUNT_W = 36;
+const LABEL_CHARS = 18;
+const PLOT_H = 90;
+const AXIS_LABELS = 8;
+const HEADER_H = 64;
+const PNG_SCALE = 2;
+
+const saveButton = { ...buttonStyle, ...tinyButton, margin: '0 0 0 4px' };
+
+const truncate = s => (s.length > LABEL_CHARS ? `${s.slice(0, LABEL_CHARS - 1)}\u2026` : s);
+const percent = (n, total) => (total ? Math.round(n / total * 100) : 0);
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+function exportSvg(svg, name) {
+  download(`${name}.svg`, new XMLSerializer().serializeToString(svg), 'image/svg+xml');
+}
+
+// drawn onto a canvas at twice the size, on white
+function exportPng(svg, name) {
+  const width = Number(svg.getAttribute('width'));
+  const height = Number(svg.getAttribute('height'));
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * PNG_SCALE;
+    canvas.height = height * PNG_SCALE;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(PNG_SCALE, PNG_SCALE);
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(img, 0, 0, width, height);
+    canvas.toBlob(blob => download(`${name}.png`, blob, 'image/png'));
+  };
+  img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(new XMLSerializer().serializeToString(svg))}`;
+}
+
+// an SVG group that acts as a toggle button
+const clickable = (label, pressed, onActivate) => ({
+  role: 'button',
+  tabIndex: 0,
+  'aria-label': label,
+  'aria-pressed': pressed,
+  style: { cursor: 'pointer' },
+  onClick: onActivate,
+  onKeyDown: e => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      onActivate();
+    }
+  }
+});
+
+// titled SVG with its download buttons; children are drawn below the title
+function Chart({ name, title, height, note, children }) {
+  const svg = useRef(null);
+  const total = TITLE_H + height;
+  return (
+    <figure style={{ margin: '8px 0 0' }}>
+      <div style={{ textAlign: 'right' }}>
+        <button onClick={() => exportSvg(svg.current, name)} aria-label={`Download ${title} as SVG`}
+          style={saveButton}>SVG</button>
+        <button onClick={() => exportPng(svg.current, name)} aria-label={`Download ${title} as PNG`}
+          style={saveButton}>PNG</button>
+      </div>
+      <svg ref={svg} xmlns={SVG_NS} width={WIDTH} height={total} viewBox={`0 0 ${WIDTH} ${total}`}
+        role="group" aria-label={title} fontFamily={FONT} fontSize={11} style={{ display: 'block' }}>
+        <rect width={WIDTH} height={total} fill="#fff" />
+        <text x={0} y={14} fontSize={12} fontWeight="bold" fill={TEXT}>{title}</text>
+        <g transform={`translate(0, ${TITLE_H})`}>{children}</g>
+      </svg>
+      {note && <figcaption style={{ color: 'var(--color-text-alt)', fontSize: '0.75rem' }}>{note}</figcaption>}
+    </figure>
+  );
+}
+
+// horizontal bars with their labels on the left; `onBar(bar)` on click,
+// `isActive(bar)` for the ones already filtering
+function BarChart({ name, title, bars, onBar, isActive = () => undefined, note }) {
+  const max = Math.max(1, ...bars.map(b => b.count));
+  const scale = (WIDTH - LABEL_W - COUNT_W) / max;
+  return (
+    <Chart name={name} title={title} height={bars.length * ROW} note={note}>
+      {bars.map((bar, i) => (
+        <g key={bar.value} transform={`translate(0, ${i * ROW})`}
+          {...clickable(`${bar.value}, ${plural(bar.count, 'building')}`, isActive(bar), () => onBar(bar))}>
+          <title>{`${bar.value}: ${bar.count}`}</title>
+          <text x={LABEL_W - 6} y={ROW / 2} dy="0.35em" textAnchor="end" fill={TEXT}>{truncate(bar.value)}</text>
+          <rect x={LABEL_W} y={2} width={Math.max(1, bar.count * scale)} height={ROW - 4}
+            fill={isActive(bar) ? ACTIVE : BAR} stroke={isActive(bar) ? TEXT : 'none'} />
+          <text x={LABEL_W + bar.count * scale + 4} y={ROW / 2} dy="0.35em" fill={MUTED}>{bar.count}</text>
+        </g>
+      ))}
+    </Chart>
+  );
+}
+
+// one column per century; a click sets the time filter to that century
+function CenturyChart({ bins, outside, yearRange, onYearRange }) {
+  const max = Math.max(1, ...bins.map(b => b.count));
+  const col = WIDTH / bins.length;
+  const every = Math.ceil(bins.length / AXIS_LABELS);
+  const note = `By the middle of each parsed date${outside ? `, ${outside} outside the timeline left out` : ''}; click a century to show only it.`;
+  return (
+    <Chart name="centuries" title="Buildings by century" height={PLOT_H + 16} note={note}>
+      {bins.map((bin, i) => {
+        const years = centuryYears(bin.century);
+        const active = Boolean(yearRange) && yearRange[0] === years[0] && yearRange[1] === years[1];
+        const h = bin.count / max * (PLOT_H - 14);
+        return (
+          <g key={bin.century}
+            {...clickable(`${bin.label}, ${plural(bin.count, 'building')}`, active,
+              () => onYearRange(active ? null : years))}>
+            <title>{`${bin.label}: ${bin.count}`}</title>
+            <rect x={i * col} y={0} width={col} height={PLOT_H} fill="#fff" fillOpacity={0} />
+            <rect x={i * col + 1} y={PLOT_H - h} width={Math.max(1, col - 2)} height={h}
+              fill={active ? ACTIVE : BAR} stroke={active ? TEXT : 'none'} />
+            {i % every === 0 && (
+              <text x={i * col + col / 2} y={PLOT_H + 12} textAnchor="middle" fontSize={9} fill={MUTED}>
+                {`${Math.abs(bin.century)} ${bin.century < 0 ? 'BCE' : 'CE'}`}
+              </text>
+            )}
+          </g>
+        );
+      })}
+      <line x1={0} x2={WIDTH} y1={PLOT_H} y2={PLOT_H} stroke={MUTED} />
+    </Chart>
+  );
+}
+
+// orders down, timeline periods across; a cell applies both as filters
+function CrossTab({ crosstab, isIncluded, onToggle, onInclude }) {
+  const { rows, columns } = crosstab;
+  const max = Math.max(1, ...rows.flatMap(r => r.counts));
+  const cellW = (WIDTH - LABEL_W) / columns.length;
+  return (
+    <Chart name="order-by-period" title="Order by period" height={HEADER_H + rows.length * ROW}
+      note="Periods from the age tags. Click an order, a period or a cell to filter by it.">
+      {columns.map((c, j) => (
+        <g key={c.id} {...clickable(`Period ${c.label}`, isIncluded('age', c.term), () => onToggle('age', c.term))}>
+          <text transform={`translate(${LABEL_W + (j + 0.5) * cellW}, ${HEADER_H - 6}) rotate(-40)`}
+            fill={isIncluded('age', c.term) ? ACTIVE : TEXT}>{c.label}</text>
+        </g>
+      ))}
+      {rows.map((r, i) => (
+        <g key={r.value} transform={`translate(0, ${HEADER_H + i * ROW})`}>
+          <g {...clickable(`Order ${r.value}`, isIncluded('order', r.value), () => onToggle('order', r.value))}>
+            <text x={LABEL_W - 6} y={ROW / 2} dy="0.35em" textAnchor="end"
+              fill={isIncluded('order', r.value) ? ACTIVE : TEXT}>{truncate(r.value)}</text>
+          </g>
+          {r.counts.map((n, j) => (
+            <g key={columns[j].id}
+              {...clickable(`${r.value}, ${columns[j].label}: ${plural(n, 'building')}`,
+                isIncluded('order', r.value) && isIncluded('age', columns[j].term),
+                () => onInclude({ order: r.value, age: columns[j].term }))}>
+              <title>{`${r.value}, ${columns[j].label}: ${n}`}</title>
+              <rect x={LABEL_W + j * cellW} y={0} width={cellW - 1} height={ROW - 1}
+                fill={n ? BAR : EMPTY} fillOpacity={n ? 0.15 + 0.85 * n / max : 1} />
+              <text x={LABEL_W + (j + 0.5) * cellW} y={ROW / 2} dy="0.35em" textAnchor="middle"
+                fill={n / max > 0.5 ? '#fff' : TEXT}>{n || ''}</text>
+            </g>
+          ))}
+        </g>
+      ))}
+    </Chart>
+  );
+}
+
+// dated / period only / undated as one stacked bar
+function DatingChart({ stats }) {
+  const parts = [
+    { key: 'dated', label: 'Dated', count: stats.dated },
+    { key: 'periodOnly', label: 'Period only', count: stats.periodOnly },
+    { key: 'undated', label: 'No dating', count: stats.undated },
+  ];
+  let x = 0;
+  return (
+    <Chart name="dating" title="Dating" height={ROW + parts.length * ROW}>
+      {parts.map(p => {
+        const w = stats.buildings ? p.count / stats.buildings * WIDTH : 0;
+        const rect = <rect key={p.key} x={x} y={0} width={w} height={ROW - 4} fill={DATING_COLORS[p.key]} />;
+        x += w;
+        return rect;
+      })}
+      {parts.map((p, i) => (
+        <g key={p.key} transform={`translate(0, ${ROW + i * ROW})`}>
+          <rect x={0} y={4} width={10} height={10} fill={DATING_COLORS[p.key]} />
+          <text x={16} y={ROW / 2} dy="0.35em" fill={TEXT}>
+            {`${p.label}: ${p.count} (${percent(p.count, stats.buildings)}%)`}
+          </text>
+        </g>
+      ))}
+    </Chart>
+  );
+}
+
+function StatsCharts({ data, filters, yearRange, onToggle, onInclude, onYearRange, onSelectSite }) {
+  const stats = useMemo(() => selectionStats(data.features), [data]);
+  const isIncluded = (attr, v) => filters[attr].include.has(v);
+  const facetChart = (attr, title) => stats[attr].length > 0 && (
+    <BarChart name={attr} title={title} bars={stats[attr]}
+      onBar={bar => onToggle(attr, bar.value)} isActive={bar => isIncluded(attr, bar.value)} />
+  );
+
+  if (!stats.buildings) {
+    return <div style={{ color: 'var(--color-text-alt)', margin: 4 }}>No buildings match the filters.</div>;
+  }
+  return (
+    <>
+      <div style={{ color: 'var(--color-text-alt)', margin: '0 4px' }}>
+        {plural(stats.buildings, 'building')} at {plural(data.features.length, 'site')};{' '}
+        {percent(stats.undated, stats.buildings)}% with no dating
+      </div>
+      {stats.centuries.length > 0 && (
+        <CenturyChart bins={stats.centuries} outside={stats.outsideTimeline} yearRange={yearRange} onYearRange={onYearRange} />
+      )}
+      <DatingChart stats={stats} />
+      {facetChart('order', 'Order')}
+      {facetChart('morphology', 'Typology')}
+      {stats.crosstab.columns.length > 0 && (
+        <CrossTab crosstab={stats.crosstab} isIncluded={isIncluded} onToggle={onToggle} onInclude={onInclude} />
+      )}
+      <BarChart name="top-sites" title="Sites with most buildings" bars={stats.topSites}
+        onBar={bar => onSelectSite(bar.feature)} note="Click a site to open it." />
+    </>
+  );
+}
+
+// collapsible dashboard of the filtered selection; the charts are only
+// worked out while it is open
+export default function StatsPanel({ style, ...props }) {
+  const [open, setOpen] = useState(false);
+  return (
+    <div role="region" aria-label="Statistics" style={{
+      background: 'var(--color-surface)', padding: '10px', borderRadius: '10px',
+      boxShadow: '0 4px 12px rgba(0,0,0,0.1)', fontSize: '0.8rem',
+      color: 'var(--color-text)', overflowY: 'auto', ...style
+    }}>
+      <button onClick={() => setOpen(!open)} style={headerStyle}
+        aria-expanded={open} aria-controls={open ? 'stats-charts' : undefined}>
+        Statistics <span aria-hidden="true">{open ? '▼' : '▲'}</span>
+      </button>
+      {open && <div id="stats-charts"><StatsCharts {...props} /></div>}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import StatsPanel from './StatsPanel';
+import { emptyFilters, toggleValue } from './filters';
+
+const data = {
+  type: 'FeatureCollection',
+  features: [{
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [22.5, 37.4] },
+    properties: {
+      site: 'Bassae',
+      buildings: [{
+        id: 'T1', order: ['Doric'], morphology: ['peripteral'], age: ['Classical'],
+        dateRange: { from: -430, to: -400, confidence: 'approximate' }, years: { from: -430, to: -400 }
+      }, {
+        id: 'T2', order: ['Ionic'], morphology: [], age: [], dateRange: null, years: null
+      }]
+    }
+  }]
+};
+
+const renderPanel = (props = {}) => render(
+  <StatsPanel data={data} filters={emptyFilters()} yearRange={null}
+    onToggle={() => {}} onInclude={() => {}} onYearRange={() => {}} onSelectSite={() => {}}
+    {...props} />
+);
+
+test('opens into charts without axe violations', async () => {
+  const { container } = renderPanel();
+  expect(screen.queryByRole('group', { name: 'Order' })).not.toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: /Statistics/ }));
+  expect(screen.getByText(/2 buildings at 1 site; 50% with no dating/)).toBeInTheDocument();
+  expect(screen.getByRole('group', { name: 'Order' })).toBeInTheDocument();
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('bars and cells apply their values as filters', () => {
+  const onToggle = jest.fn(), onInclude = jest.fn(), onYearRange = jest.fn();
+  renderPanel({ onToggle, onInclude, onYearRange, filters: toggleValue(emptyFilters(), 'order', 'Doric') });
+  fireEvent.click(screen.getByRole('button', { name: /Statistics/ }));
+
+  expect(screen.getByRole('button', { name: 'Doric, 1 building' })).toHaveAttribute('aria-pressed', 'true');
+  fireEvent.click(screen.getByRole('button', { name: 'Ionic, 1 building' }));
+  expect(onToggle).toHaveBeenCalledWith('order', 'Ionic');
+  fireEvent.keyDown(screen.getByRole('button', { name: 'peripteral, 1 building' }), { key: 'Enter' });
+  expect(onToggle).toHaveBeenCalledWith('morphology', 'peripteral');
+  fireEvent.click(screen.getByRole('button', { name: '5th c. BCE, 1 building' }));
+  expect(onYearRange).toHaveBeenCalledWith([-500, -401]);
+  fireEvent.click(screen.getByRole('button', { name: 'Doric, Classical: 1 building' }));
+  expect(onInclude).toHaveBeenCalledWith({ order: 'Doric', age: 'Classical' });
+});
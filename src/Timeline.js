@@ -0,0 +1,209 @@
+import React, { useRef, useState } from 'react';
+import { timelineSegments, MIN_YEAR, MAX_YEAR, TOTAL_SPAN, formatYear } from './periods';
+
+// keyboard nudging, in years
+const STEP = 10;
+const BIG_STEP = 100;
+const TICK_EVERY = 100;
+const BAND_HEIGHT = 16;
+const BAND_GAP = 2;
+
+const pct = y => `${((y - MIN_YEAR) / TOTAL_SPAN) * 100}%`;
+const clamp = y => Math.max(MIN_YEAR, Math.min(MAX_YEAR, Math.round(y)));
+
+// stack overlapping presets (e.g. Republican vs Hellenistic) into their own rows
+const bands = (() => {
+  const laneEnds = [];
+  return [...timelineSegments]
+    .sort((a, b) => a.start - b.start)
+    .map(seg => {
+      let lane = laneEnds.findIndex(end => end <= seg.start);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = seg.end;
+      return { ...seg, lane };
+    });
+})();
+const LANE_COUNT = Math.max(...bands.map(b => b.lane)) + 1;
+
+const ticks = [];
+for (let y = Math.ceil(MIN_YEAR / TICK_EVERY) * TICK_EVERY; y <= MAX_YEAR; y += TICK_EVERY) {
+  ticks.push(y);
+}
+
+const handleStyle = {
+  position: 'absolute', top: '50%', width: 16, height: 16,
+  transform: 'translate(-50%, -50%)', borderRadius: '50%',
+  background: 'var(--color-surface)', border: '2px solid var(--color-primary)',
+  boxSizing: 'border-box', cursor: 'grab', outlineOffset: 2
+};
+
+// range === null means "no time filter" and shows the full span;
+// playYear, when set, draws the playback cursor on the axis
+export default function Timeline({ range, onChange, selectedPeriod, onSelectPeriod, playYear = null }) {
+  const track = useRef(null);
+  const dragging = useRef(null);
+  const [hoveredSegment, setHoveredSegment] = useState(null);
+  const [from, to] = range || [MIN_YEAR, MAX_YEAR];
+
+  const update = (handle, year) => {
+    const y = clamp(year);
+    const next = handle === 0 ? [Math.min(y, to), to] : [from, Math.max(y, from)];
+    onChange(next[0] === MIN_YEAR && next[1] === MAX_YEAR ? null : next);
+  };
+
+  const yearAt = clientX => {
+    const rect = track.current.getBoundingClientRect();
+    return MIN_YEAR + ((clientX - rect.left) / rect.width) * TOTAL_SPAN;
+  };
+
+  // grab the handle under the pointer, or the nearest one when clicking the track
+  const onPointerDown = e => {
+    const year = yearAt(e.clientX);
+    const handle = e.target.dataset.handle !== undefined
+      ? Number(e.target.dataset.handle)
+      : Math.abs(year - from) <= Math.abs(year - to) ? 0 : 1;
+    dragging.current = handle;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    update(handle, year);
+  };
+  const onPointerMove = e => {
+    if (dragging.current !== null) update(dragging.current, yearAt(e.clientX));
+  };
+  const onPointerUp = () => { dragging.current = null; };
+
+  const onKeyDown = handle => e => {
+    const value = handle === 0 ? from : to;
+    const delta = { ArrowLeft: -1, ArrowDown: -1, ArrowRight: 1, ArrowUp: 1 }[e.key];
+    if (delta) update(handle, value + delta * (e.shiftKey ? BIG_STEP : STEP));
+    else if (e.key === 'Home') update(handle, MIN_YEAR);
+    else if (e.key === 'End') update(handle, MAX_YEAR);
+    else return;
+    e.preventDefault();
+  };
+
+  const displayedSeg = timelineSegments.find(s => s.id === (hoveredSegment || selectedPeriod));
+
+  return (
+    <div style={{ position: 'relative', fontSize: '0.7rem' }}>
+      {displayedSeg && (
+        <div aria-hidden="true" style={{
+          position: 'absolute',
+          bottom: '100%',
+          left: pct(displayedSeg.start),
+          width: `${((displayedSeg.end - displayedSeg.start) / TOTAL_SPAN) * 100}%`,
+          marginBottom: 6,
+          background: 'rgba(255,255,255,0.95)',
+          border: '1px solid #ccc',
+          borderRadius: 4,
+          padding: '4px 8px',
+          textAlign: 'center',
+          fontSize: '0.8rem',
+          pointerEvents: 'none',
+          boxSizing: 'border-box',
+          zIndex: 2
+        }}>
+          <strong>{displayedSeg.label}</strong>{' '}
+          ({formatYear(displayedSeg.start)} – {formatYear(displayedSeg.end)})<br/>
+          {displayedSeg.tags.join(', ')}
+        </div>
+      )}
+
+      {/* preset bands */}
+      <div role="group" aria-label="Periods"
+        style={{ position: 'relative', height: LANE_COUNT * (BAND_HEIGHT + BAND_GAP) }}>
+        {bands.map(seg => {
+          const active = selectedPeriod === seg.id;
+          return (
+            <button key={seg.id}
+              onClick={() => onSelectPeriod(active ? null : seg.id)}
+              aria-pressed={active}
+              aria-label={`${seg.label}, ${formatYear(seg.start)} to ${formatYear(seg.end)}`
+                + (seg.tags.length ? ` (${seg.tags.join(', ')})` : '')}
+              // keyboard focus shows the same tooltip as hovering
+              onMouseEnter={() => setHoveredSegment(seg.id)}
+              onMouseLeave={() => setHoveredSegment(null)}
+              onFocus={() => setHoveredSegment(seg.id)}
+              onBlur={() => setHoveredSegment(null)}
+              style={{
+                position: 'absolute',
+                left: pct(seg.start),
+                width: `${((seg.end - seg.start) / TOTAL_SPAN) * 100}%`,
+                top: seg.lane * (BAND_HEIGHT + BAND_GAP),
+                height: BAND_HEIGHT,
+                padding: '0 4px',
+                border: '1px solid var(--color-border)',
+                borderRadius: 3,
+                background: active ? 'var(--color-primary)' : 'rgba(255,255,255,0.9)',
+                color: active ? '#fff' : 'var(--color-text)',
+                fontSize: '0.65rem',
+                fontFamily: 'var(--font-base)',
+                whiteSpace: 'nowrap',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                boxSizing: 'border-box',
+                cursor: 'pointer'
+              }}>
+              {seg.label}
+            </button>
+          );
+        })}
+      </div>
+
+      {/* axis with the selected range and two handles */}
+      <div ref={track}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+        style={{
+          position: 'relative', height: 10, marginTop: 4, borderRadius: 5,
+          background: 'var(--color-inactive)', cursor: 'pointer', touchAction: 'none'
+        }}>
+        <div style={{
+          position: 'absolute', top: 0, bottom: 0, borderRadius: 5,
+          left: pct(from), width: `${((to - from) / TOTAL_SPAN) * 100}%`,
+          background: range ? 'var(--color-primary)' : 'transparent'
+        }} />
+        {playYear !== null && (
+          <div style={{
+            position: 'absolute', top: -4, bottom: -4, width: 2,
+            left: pct(playYear), transform: 'translateX(-50%)',
+            background: 'var(--color-text)', pointerEvents: 'none'
+          }} />
+        )}
+        {[from, to].map((year, handle) => (
+          <div key={handle}
+            data-handle={handle}
+            role="slider"
+            tabIndex={0}
+            aria-label={handle === 0 ? 'Start year' : 'End year'}
+            aria-valuemin={MIN_YEAR}
+            aria-valuemax={MAX_YEAR}
+            aria-valuenow={year}
+            aria-valuetext={formatYear(year)}
+            onKeyDown={onKeyDown(handle)}
+            style={{ ...handleStyle, left: pct(year) }}
+          />
+        ))}
+      </div>
+
+      {/* BCE / CE ticks */}
+      <div aria-hidden="true" style={{ position: 'relative', height: 16, marginTop: 2 }}>
+        {ticks.map(y => (
+          <span key={y} style={{
+            position: 'absolute', left: pct(y), transform: 'translateX(-50%)',
+            borderLeft: y === 0 ? '1px solid var(--color-text-alt)' : 'none',
+            paddingLeft: y === 0 ? 2 : 0,
+            color: 'var(--color-text-alt)', whiteSpace: 'nowrap'
+          }}>
+            {formatYear(y)}
+          </span>
+        ))}
+      </div>
+
+      <div aria-live="polite" style={{ textAlign: 'right', color: 'var(--color-text)' }}>
+        {range ? `${formatYear(from)} – ${formatYear(to)}` : 'All periods'}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import Timeline from './Timeline';
+import { timelineSegments, formatYear, MIN_YEAR, MAX_YEAR, TOTAL_SPAN } from './periods';
+
+const seg = timelineSegments[0];
+
+const renderTimeline = (props = {}) => {
+  const onChange = jest.fn();
+  const onSelectPeriod = jest.fn();
+  render(<Timeline range={null} onChange={onChange} selectedPeriod={null} onSelectPeriod={onSelectPeriod} {...props} />);
+  return { onChange, onSelectPeriod };
+};
+
+test('has no axe violations', async () => {
+  const { container } = render(
+    <Timeline range={null} onChange={() => {}} selectedPeriod={seg.id} onSelectPeriod={() => {}} />
+  );
+  expect(await axe(container)).toHaveNoViolations();
+});
+
+test('slider handles move with the keyboard', () => {
+  const { onChange } = renderTimeline();
+  fireEvent.keyDown(screen.getByRole('slider', { name: 'Start year' }), { key: 'ArrowRight' });
+  expect(onChange).toHaveBeenCalledWith([MIN_YEAR + 10, expect.any(Number)]);
+  fireEvent.keyDown(screen.getByRole('slider', { name: 'End year' }), { key: 'ArrowLeft', shiftKey: true });
+  expect(onChange).toHaveBeenLastCalledWith([MIN_YEAR, MAX_YEAR - 100]);
+});
+
+test('handles cannot cross, and the full span clears the filter', () => {
+  const { onChange } = renderTimeline({ range: [-500, -300] });
+  fireEvent.keyDown(screen.getByRole('slider', { name: 'Start year' }), { key: 'End' });
+  expect(onChange).toHaveBeenLastCalledWith([-300, -300]);
+  fireEvent.keyDown(screen.getByRole('slider', { name: 'Start year' }), { key: 'Home' });
+  expect(onChange).toHaveBeenLastCalledWith([MIN_YEAR, -300]);
+  expect(screen.getByText(`${formatYear(-500)} – ${formatYear(-300)}`)).toBeInTheDocument();
+});
+
+test('a handle follows the pointer while dragged', () => {
+  const { onChange } = renderTimeline({ range: [-500, -300] });
+  jest.spyOn(Element.prototype, 'getBoundingClientRect').mockReturnValue({ left: 0, width: TOTAL_SPAN });
+  // jsdom's pointer events carry no coordinates
+  const pointer = (type, year) => new MouseEvent(type, { bubbles: true, clientX: year - MIN_YEAR });
+  const end = screen.getByRole('slider', { name: 'End year' });
+  fireEvent(end, pointer('pointerdown', -200));
+  expect(onChange).toHaveBeenLastCalledWith([-500, -200]);
+  fireEvent(end, pointer('pointermove', -100));
+  expect(onChange).toHaveBeenLastCalledWith([-500, -100]);
+  fireEvent(end, pointer('pointerup', -100));
+  fireEvent(end, pointer('pointermove', 0));
+  expect(onChange).toHaveBeenCalledTimes(2);
+  jest.restoreAllMocks();
+});
+
+test('period bands are named toggle buttons in a group', () => {
+  const { onSelectPeriod } = renderTimeline({ selectedPeriod: seg.id });
+  const band = screen.getByRole('button', { name: new RegExp(`^${seg.label}, ${formatYear(seg.start)}`) });
+  expect(screen.getByRole('group', { name: 'Periods' })).toContainElement(band);
+  expect(band).toHaveAttribute('aria-pressed', 'true');
+  fireEvent.click(band);
+  expect(onSelectPeriod).toHaveBeenCalledWith(null);
+});
@@ -0,0 +1,165 @@
+import React, { useEffect, useRef, useState } from 'react';
+import ColumnMapping from './ColumnMapping';
+import { USER_FORMATS, parseUserFile, rowsToSites, prepareUserDataset } from './userData';
+import { OVERLAY_COLOR } from './symbology';
+import { buttonStyle, buttonPrimary, headerStyle, smallButton, tinyButton } from './styles';
+
+const ERROR_COLOR = '#DC2626';
+const SHOWN_FINDINGS = 20;
+const ACCEPT = USER_FORMATS.flatMap(f => f.ext.map(e => `.${e}`)).join(',');
+
+const hasFiles = e => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+const Findings = ({ title, items, color }) => items.length > 0 && (
+  <details style={{ marginTop: 4 }} open={color === ERROR_COLOR}>
+    <summary style={{ color, cursor: 'pointer' }}>{title} ({items.length})</summary>
+    <ul style={{ margin: '2px 0', paddingLeft: 18, maxHeight: 160, overflowY: 'auto' }}>
+      {items.slice(0, SHOWN_FINDINGS).map((m, i) => <li key={i}>{m}</li>)}
+      {items.length > SHOWN_FINDINGS && <li>… and {items.length - SHOWN_FINDINGS} more</li>}
+    </ul>
+  </details>
+);
+
+// load a local file (picked or dropped anywhere on the page) and show it
+// over the bundled data or in its place
+export default function UserDataLoader({ loaded, onLoad, onModeChange, onRemove }) {
+  const [open, setOpen] = useState(false);
+  const [dragging, setDragging] = useState(false);
+  // CSV waiting for its column mapping: { name, columns, rows }
+  const [pending, setPending] = useState(null);
+  // file that produced nothing to show: { name, errors }
+  const [failed, setFailed] = useState(null);
+  const dragDepth = useRef(0);
+  const fileInput = useRef(null);
+
+  const finish = (name, raw, errors) => {
+    const result = prepareUserDataset(raw, errors);
+    setOpen(true);
+    if (!result.data) {
+      setFailed({ name, errors: result.errors.length ? result.errors : ['no sites found'] });
+      return;
+    }
+    setFailed(null);
+    onLoad({ name, mode: loaded?.mode || 'overlay', ...result });
+  };
+
+  const readFile = file => file.text().then(text => {
+    const parsed = parseUserFile(file.name, text);
+    if (parsed.format === 'csv' && !parsed.errors.length) {
+      setPending({ name: file.name, columns: parsed.columns, rows: parsed.rows });
+    } else {
+      finish(file.name, parsed.raw, parsed.errors);
+    }
+  }).catch(err => {
+    setOpen(true);
+    setFailed({ name: file.name, errors: [err.message] });
+  });
+  // the page-wide drop handler reads through this, bound once
+  const readDropped = useRef(readFile);
+  readDropped.current = readFile;
+
+  const applyMapping = mapping => {
+    const { raw, errors } = rowsToSites(pending.rows, mapping);
+    finish(pending.name, raw, errors);
+    setPending(null);
+  };
+
+  // a file dragged over any part of the page
+  useEffect(() => {
+    const onEnter = e => {
+      if (!hasFiles(e)) return;
+      dragDepth.current++;
+      setDragging(true);
+    };
+    const onLeave = e => {
+      if (!hasFiles(e)) return;
+      dragDepth.current = Math.max(0, dragDepth.current - 1);
+      if (!dragDepth.current) setDragging(false);
+    };
+    const onOver = e => { if (hasFiles(e)) e.preventDefault(); };
+    const onDrop = e => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      dragDepth.current = 0;
+      setDragging(false);
+      const file = e.dataTransfer.files[0];
+      if (file) readDropped.current(file);
+    };
+    window.addEventListener('dragenter', onEnter);
+    window.addEventListener('dragleave', onLeave);
+    window.addEventListener('dragover', onOver);
+    window.addEventListener('drop', onDrop);
+    return () => {
+      window.removeEventListener('dragenter', onEnter);
+      window.removeEventListener('dragleave', onLeave);
+      window.removeEventListener('dragover', onOver);
+      window.removeEventListener('drop', onDrop);
+    };
+  }, []);
+
+  const modeButton = (mode, label, title) => (
+    <button onClick={() => onModeChange(mode)} title={title}
+      style={{ ...(loaded.mode === mode ? buttonPrimary : buttonStyle), ...smallButton }}>
+      {label}
+    </button>
+  );
+
+  return (
+    <div>
+      <button onClick={() => setOpen(!open)} style={headerStyle}>
+        Your data {open ? '▲' : '▼'}
+      </button>
+      {open && (
+        <div style={{ margin: '0 4px 4px', fontSize: '0.85rem' }}>
+          <div style={{ color: 'var(--color-text-alt)' }}>
+            Drop a GeoJSON, CSV or JSON Lines file on the map, or
+            <button onClick={() => fileInput.current.click()}
+              style={{ ...buttonStyle, ...tinyButton }}>
+              choose a file
+            </button>
+            <input ref={fileInput} type="file" accept={ACCEPT} hidden
+              onChange={e => {
+                if (e.target.files[0]) readFile(e.target.files[0]);
+                e.target.value = '';
+              }} />
+          </div>
+          {failed && (
+            <div style={{ marginTop: 4 }}>
+              <strong>{failed.name}</strong> could not be loaded.
+              <Findings title="Errors" items={failed.errors} color={ERROR_COLOR} />
+            </div>
+          )}
+          {loaded && (
+            <div style={{ marginTop: 6, paddingLeft: 6, borderLeft: `3px solid ${OVERLAY_COLOR}` }}>
+              <strong>{loaded.name}</strong>: {loaded.stats.sites} sites, {loaded.stats.buildings} buildings
+              <div style={{ marginTop: 4 }}>
+                {modeButton('overlay', 'Overlay', 'Show over the bundled data, ringed')}
+                {modeButton('replace', 'Replace', 'Show instead of the bundled data')}
+                <button onClick={() => { setFailed(null); onRemove(); }}
+                  style={{ ...buttonStyle, ...smallButton }}>
+                  Remove
+                </button>
+              </div>
+              <Findings title="Records left out" items={loaded.errors} color={ERROR_COLOR} />
+              <Findings title="Warnings" items={loaded.warnings} color="var(--color-text-alt)" />
+            </div>
+          )}
+        </div>
+      )}
+
+      {dragging && (
+        <div style={{
+          position: 'fixed', inset: 0, zIndex: 5, pointerEvents: 'none',
+          display: 'flex', alignItems: 'center', justifyContent: 'center',
+          background: 'rgba(192,38,211,0.08)', border: `4px dashed ${OVERLAY_COLOR}`,
+          fontSize: '1.2rem', color: 'var(--color-text)'
+        }}>
+          Drop a GeoJSON, CSV or JSON Lines file to load it
+        </div>
+      )}
+      {pending && (
+        <ColumnMapping {...pending} onApply={applyMapping} onCancel={() => setPending(null)} />
+      )}
+    </div>
+  );
+}
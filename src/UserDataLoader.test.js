@@ -0,0 +1,19 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import UserDataLoader from './UserDataLoader';
+
+const drop = file => fireEvent.drop(window, { dataTransfer: { types: ['Files'], files: [file] } });
+
+test('a dropped file that fails to read shows why', async () => {
+  render(<UserDataLoader loaded={null} onLoad={() => {}} onModeChange={() => {}} onRemove={() => {}} />);
+  drop({ name: 'broken.geojson', text: () => Promise.reject(new Error('the file could not be read')) });
+  expect(await screen.findByText('the file could not be read')).toBeInTheDocument();
+  expect(screen.getByText('broken.geojson')).toBeInTheDocument();
+});
+
+test('the page-wide drop handlers are bound once', () => {
+  const add = jest.spyOn(window, 'addEventListener');
+  const { rerender } = render(<UserDataLoader loaded={null} onLoad={() => {}} onModeChange={() => {}} onRemove={() => {}} />);
+  rerender(<UserDataLoader loaded={null} onLoad={() => {}} onModeChange={() => {}} onRemove={() => {}} />);
+  expect(add.mock.calls.filter(([type]) => type === 'drop')).toHaveLength(1);
+  add.mockRestore();
+});
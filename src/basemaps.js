@@ -0,0 +1,122 @@
+// basemaps the sites are drawn over, and the GL library that renders each
+//
+// Mapbox styles need mapbox-gl and an access token. The bundled offline
+// style (public/basemap: Natural Earth land and coastlines, ancient region
+// labels) is drawn by MapLibre, which needs neither a token nor, once the
+// service worker has cached it, a network. Labels are rendered from local
+// fonts, so the style has no glyphs URL to fetch.
+const MAPBOX_TOKEN = process.env.REACT_APP_MAPBOX_TOKEN;
+const STORAGE_KEY = 'classical-map:basemap';
+
+const SEA = '#DCE8F0';
+const LAND = '#F4F1EA';
+const COAST = '#8FA9BC';
+const REGION_LABEL = '#7C6F5B';
+// rank 1 regions show from the widest view, rank 2 once zoomed in
+const REGION_MINOR_MIN_ZOOM = 5;
+
+export const BASEMAPS = [
+  { id: 'offline', label: 'Offline', renderer: 'maplibre' },
+  { id: 'mapbox',  label: 'Mapbox',  renderer: 'mapbox', style: 'mapbox://styles/mapbox/light-v10', needsToken: true },
+];
+
+export const availableBasemaps = (token = MAPBOX_TOKEN) =>
+  BASEMAPS.filter(b => !b.needsToken || token);
+
+// offline without a network, else the stored choice while it is still
+// available, else Mapbox when there is a token to use it with
+export function initialBasemap(token = MAPBOX_TOKEN) {
+  const ids = availableBasemaps(token).map(b => b.id);
+  if (!navigator.onLine) return 'offline';
+  let stored = null;
+  try { stored = window.localStorage.getItem(STORAGE_KEY); } catch (e) { /* storage disabled */ }
+  if (ids.includes(stored)) return stored;
+  return ids.includes('mapbox') ? 'mapbox' : 'offline';
+}
+
+export function storeBasemap(id) {
+  try { window.localStorage.setItem(STORAGE_KEY, id); } catch (e) { /* storage disabled */ }
+}
+
+const basemapUrl = (file, base) =>
+  new URL(`${process.env.PUBLIC_URL}/basemap/${file}`, base).href;
+
+const regionLabels = (id, rank, size, minzoom) => ({
+  id,
+  type: 'symbol',
+  source: 'regions',
+  minzoom,
+  filter: ['==', ['get', 'rank'], rank],
+  layout: {
+    'text-field': ['get', 'name'],
+    'text-font': ['serif'],
+    'text-size': size,
+    'text-transform': 'uppercase',
+    'text-letter-spacing': 0.15,
+    'text-max-width': 8
+  },
+  paint: {
+    'text-color': REGION_LABEL,
+    'text-halo-color': LAND,
+    'text-halo-width': 1
+  }
+});
+
+// the offline style; its sources are absolute URLs since the renderer
+// fetches them from a worker
+export function offlineStyle(base = window.location.href) {
+  return {
+    version: 8,
+    name: 'Classical world (offline)',
+    sources: {
+      land: {
+        type: 'geojson',
+        data: basemapUrl('land.json', base),
+        attribution: 'Made with <a href="https://www.naturalearthdata.com">Natural Earth</a>'
+      },
+      regions: { type: 'geojson', data: basemapUrl('regions.json', base) }
+    },
+    layers: [
+      { id: 'sea', type: 'background', paint: { 'background-color': SEA } },
+      {
+        id: 'land',
+        type: 'fill',
+        source: 'land',
+        filter: ['==', ['get', 'kind'], 'land'],
+        paint: { 'fill-color': LAND }
+      },
+      {
+        id: 'coast',
+        type: 'line',
+        source: 'land',
+        filter: ['==', ['get', 'kind'], 'coast'],
+        paint: {
+          'line-color': COAST,
+          'line-width': ['interpolate', ['linear'], ['zoom'], 3, 0.5, 10, 1.5]
+        }
+      },
+      regionLabels('regions-major', 1, 15, 0),
+      regionLabels('regions-minor', 2, 12, REGION_MINOR_MIN_ZOOM)
+    ]
+  };
+}
+
+export const basemapStyle = id => {
+  const basemap = BASEMAPS.find(b => b.id === id);
+  return basemap.style || offlineStyle();
+};
+
+// the GL library for a basemap, with its stylesheet, loaded on demand so
+// only the one in use is downloaded
+export function loadRenderer(id) {
+  const { renderer } = BASEMAPS.find(b => b.id === id);
+  if (renderer === 'mapbox') {
+    return Promise.all([import('mapbox-gl'), import('mapbox-gl/dist/mapbox-gl.css')])
+      .then(([{ default: mapboxgl }]) => {
+        mapboxgl.accessToken = MAPBOX_TOKEN;
+        return mapboxgl;
+      });
+  }
+  return Promise.all([import('maplibre-gl'), import('maplibre-gl/dist/maplibre-gl.css')])
+    .then(([{ default: maplibregl }]) => maplibregl);
+}
@@ -0,0 +1,28 @@
+import { availableBasemaps, initialBasemap, storeBasemap, basemapStyle, offlineStyle } from './basemaps';
+
+afterEach(() => window.localStorage.clear());
+
+test('Mapbox is only offered with a token', () => {
+  expect(availableBasemaps('').map(b => b.id)).toEqual(['offline']);
+  expect(availableBasemaps('pk.test').map(b => b.id)).toEqual(['offline', 'mapbox']);
+  expect(initialBasemap('')).toBe('offline');
+  expect(initialBasemap('pk.test')).toBe('mapbox');
+});
+
+test('a stored choice wins while it is available', () => {
+  storeBasemap('offline');
+  expect(initialBasemap('pk.test')).toBe('offline');
+  storeBasemap('mapbox');
+  expect(initialBasemap('')).toBe('offline');
+});
+
+test('the offline style is self-contained', () => {
+  const style = offlineStyle('https://example.org/app/');
+  expect(style.glyphs).toBeUndefined();
+  expect(style.sprite).toBeUndefined();
+  Object.values(style.sources).forEach(source =>
+    expect(source.data).toMatch(/^https:\/\/example\.org\/basemap\/\w+\.json$/));
+  const sources = new Set(Object.keys(style.sources));
+  style.layers.filter(l => l.source).forEach(l => expect(sources.has(l.source)).toBe(true));
+  expect(basemapStyle('mapbox')).toMatch(/^mapbox:\/\//);
+});
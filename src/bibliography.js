@@ -0,0 +1,116 @@
+// sources cited by the buildings, grouped by doc_id, and their citations
+//
+// Optional metadata lives in public/sources.json, keyed by doc_id:
+//
+//   { "jstor-623952": { "author": "Last, First; Other, A.", "year": 1901,
+//                       "title": "…", "container": "Journal …", "type": "article" } }
+//
+// Sources without an entry are cited by doc_id and URL only.
+
+// where a doc_id comes from, by prefix; `type` is the CSL type
+const ARCHIVES = [
+  { test: /^jstor-j_ct/, label: 'JSTOR (book chapter)', type: 'chapter' },
+  { test: /^jstor-/,     label: 'JSTOR',                type: 'article-journal' },
+  { test: /^othersources-/, label: 'Other source',     type: 'webpage' },
+];
+const BIBTEX_TYPES = { 'article-journal': 'article', chapter: 'incollection', book: 'book', webpage: 'misc' };
+const META_TYPES = { article: 'article-journal', chapter: 'chapter', book: 'book', web: 'webpage' };
+
+export const archiveOf = docId =>
+  ARCHIVES.find(a => a.test.test(docId)) || { label: 'Source', type: 'webpage' };
+
+export const fetchSourceMetadata = () =>
+  fetch(`${process.env.PUBLIC_URL}/sources.json`)
+    .then(r => (r.ok ? r.json() : {}))
+    .catch(() => ({}));
+
+// [{ docId, url, sites: [{ site, buildings: [id] }], buildingCount }],
+// most cited first
+export function collectSources(features) {
+  const sources = new Map();
+  features.forEach(f => f.properties.buildings.forEach(b => {
+    if (!sources.has(b.doc_id)) {
+      sources.set(b.doc_id, { docId: b.doc_id, url: b.url, sites: new Map(), buildingCount: 0 });
+    }
+    const s = sources.get(b.doc_id);
+    const site = f.properties.site;
+    if (!s.sites.has(site)) s.sites.set(site, []);
+    s.sites.get(site).push(b.id);
+    s.buildingCount++;
+  }));
+  return [...sources.values()]
+    .map(s => ({ ...s, sites: [...s.sites].map(([site, buildings]) => ({ site, buildings })) }))
+    .sort((a, b) => b.buildingCount - a.buildingCount || a.docId.localeCompare(b.docId));
+}
+
+// "Last, First; Other, A." or ["Last, First", …] -> [{ family, given }]
+export function parseAuthors(author) {
+  const names = Array.isArray(author) ? author : String(author || '').split(/\s*;\s*|\s+and\s+/);
+  return names.filter(Boolean).map(name => {
+    const [family, given] = name.split(/\s*,\s*/);
+    return given ? { family, given } : { literal: family };
+  });
+}
+
+// "Dinsmoor 1950, The Architecture of Ancient Greece", or the doc_id
+export function shortCitation(source, meta = {}) {
+  const m = meta[source.docId];
+  if (!m?.title) return source.docId;
+  const authors = parseAuthors(m.author).map(a => a.family || a.literal);
+  const who = authors.length > 2 ? `${authors[0]} et al.` : authors.join(' & ');
+  return [who && `${who}${m.year ? ` ${m.year}` : ''}`, m.title].filter(Boolean).join(', ');
+}
+
+const cslType = (source, m) => META_TYPES[m?.type] || archiveOf(source.docId).type;
+
+const citedFor = source => source.sites
+  .map(s => `${s.site}: ${s.buildings.join(', ')}`)
+  .join('; ');
+
+export function toCSLJSON(sources, meta = {}) {
+  return JSON.stringify(sources.map(source => {
+    const m = meta[source.docId] || {};
+    const item = {
+      id: source.docId,
+      type: cslType(source, m),
+      title: m.title || source.docId,
+      URL: source.url,
+      note: `Cited for ${citedFor(source)}`,
+    };
+    if (m.author) item.author = parseAuthors(m.author);
+    if (m.year) item.issued = { 'date-parts': [[Number(m.year)]] };
+    if (m.container) item['container-title'] = m.container;
+    return item;
+  }), null, 2);
+}
+
+// BibTeX keys are letters, digits and a few punctuation marks
+export const citationKey = docId => docId.replace(/[^A-Za-z0-9_:-]/g, '_');
+
+const bibEscape = s => String(s).replace(/[{}]/g, '').replace(/([&%$#_])/g, '\\$1');
+
+export function toBibTeX(sources, meta = {}) {
+  return sources.map(source => {
+    const m = meta[source.docId] || {};
+    const type = BIBTEX_TYPES[cslType(source, m)] || 'misc';
+    const authors = parseAuthors(m.author)
+      .map(a => (a.literal ? `{${bibEscape(a.literal)}}` : bibEscape(`${a.family}, ${a.given}`)))
+      .join(' and ');
+    const fields = [
+      ['author', authors],
+      // double braces keep the title's capitalisation
+      ['title', `{${bibEscape(m.title || source.docId)}}`],
+      [type === 'article' ? 'journal' : 'booktitle', m.container && bibEscape(m.container)],
+      ['year', m.year],
+      ['url', source.url],
+      ['note', bibEscape(`Cited for ${citedFor(source)}`)],
+    ].filter(([, v]) => v);
+    const body = fields.map(([k, v]) => `  ${k} = {${v}}`).join(',\n');
+    return `@${type}{${citationKey(source.docId)},\n${body}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+export const CITATION_FORMATS = [
+  { id: 'bibtex', label: 'BibTeX',   ext: 'bib',  mime: 'application/x-bibtex', build: toBibTeX },
+  { id: 'csl',    label: 'CSL-JSON', ext: 'json', mime: 'application/vnd.citationstyles.csl+json', build: toCSLJSON },
+];
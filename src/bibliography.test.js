@@ -0,0 +1,43 @@
+import { collectSources, shortCitation, toBibTeX, toCSLJSON, parseAuthors } from './bibliography';
+
+const features = [
+  { properties: { site: 'Paestum', buildings: [
+    { id: 'Temple of Hera', doc_id: 'jstor-623952', url: 'http://www.jstor.org/stable/623952' },
+    { id: 'Temple of Athena', doc_id: 'jstor-623952', url: 'http://www.jstor.org/stable/623952' },
+    { id: 'Temple of Neptune', doc_id: 'jstor-j_ctt1_6', url: 'http://www.jstor.org/stable/j.ctt1.6' }
+  ] } },
+  { properties: { site: 'Metapontum', buildings: [
+    { id: 'Temple of Hera', doc_id: 'jstor-623952', url: 'http://www.jstor.org/stable/623952' }
+  ] } }
+];
+const meta = {
+  'jstor-623952': { author: 'Koldewey, Robert; Puchstein, Otto', year: 1899, title: 'Die griechischen Tempel', container: 'AJA & more' }
+};
+
+test('groups buildings by doc_id, most cited first', () => {
+  const sources = collectSources(features);
+  expect(sources.map(s => [s.docId, s.buildingCount])).toEqual([['jstor-623952', 3], ['jstor-j_ctt1_6', 1]]);
+  expect(sources[0].sites).toEqual([
+    { site: 'Paestum', buildings: ['Temple of Hera', 'Temple of Athena'] },
+    { site: 'Metapontum', buildings: ['Temple of Hera'] }
+  ]);
+});
+
+test('cites with metadata where there is some', () => {
+  const [article, chapter] = collectSources(features);
+  expect(parseAuthors('Koldewey, Robert and Puchstein, Otto')).toEqual([
+    { family: 'Koldewey', given: 'Robert' }, { family: 'Puchstein', given: 'Otto' }
+  ]);
+  expect(shortCitation(article, meta)).toBe('Koldewey & Puchstein 1899, Die griechischen Tempel');
+  expect(shortCitation(chapter, meta)).toBe('jstor-j_ctt1_6');
+
+  const bib = toBibTeX([article, chapter], meta);
+  expect(bib).toContain('@article{jstor-623952,');
+  expect(bib).toContain('author = {Koldewey, Robert and Puchstein, Otto}');
+  expect(bib).toContain('journal = {AJA \\& more}');
+  expect(bib).toContain('@incollection{jstor-j_ctt1_6,');
+
+  const csl = JSON.parse(toCSLJSON([article, chapter], meta));
+  expect(csl[0]).toMatchObject({ id: 'jstor-623952', type: 'article-journal', issued: { 'date-parts': [[1899]] } });
+  expect(csl[1]).toMatchObject({ type: 'chapter', title: 'jstor-j_ctt1_6', URL: 'http://www.jstor.org/stable/j.ctt1.6' });
+});
@@ -0,0 +1,70 @@
+// per-building geometry
+//
+// A building may carry its own location, either as a GeoJSON `geometry`
+// (Point, Polygon or MultiPolygon footprint) or as a `coordinates: [lng, lat]`
+// shorthand. Buildings without one are laid out on a small ring around their
+// site so they can still be told apart and clicked when zoomed in.
+import { orderClass, periodClass } from './symbology';
+
+// degrees; roughly 30 m at Mediterranean latitudes
+const RING_RADIUS = 0.0003;
+const GEOMETRY_TYPES = ['Point', 'Polygon', 'MultiPolygon'];
+
+const validPosition = p =>
+  Array.isArray(p) && p.length >= 2 &&
+  Number.isFinite(p[0]) && Number.isFinite(p[1]) &&
+  Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90;
+
+const positionsOf = g =>
+  g.type === 'Point' ? [g.coordinates]
+    : g.type === 'Polygon' ? g.coordinates.flat()
+      : g.coordinates.flat(2);
+
+// own geometry of a raw building record, or null
+export function buildingGeometry(b) {
+  const g = b.geometry ||
+    (b.coordinates ? { type: 'Point', coordinates: b.coordinates } : null);
+  if (!g || !GEOMETRY_TYPES.includes(g.type) || !Array.isArray(g.coordinates)) return null;
+  try {
+    return positionsOf(g).every(validPosition) ? g : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// one feature per building of the (filtered) sites
+export function buildingFeatures(sites) {
+  const features = [];
+  sites.features.forEach(f => {
+    const [lng, lat] = f.geometry.coordinates;
+    const unlocated = f.properties.buildings.filter(b => !b.geometry);
+    f.properties.buildings.forEach(b => {
+      let geometry = b.geometry;
+      if (!geometry) {
+        const i = unlocated.indexOf(b);
+        const angle = (2 * Math.PI * i) / unlocated.length;
+        const r = unlocated.length > 1 ? RING_RADIUS * Math.sqrt(unlocated.length) : 0;
+        geometry = {
+          type: 'Point',
+          // keep the ring round despite longitude convergence
+          coordinates: [lng + (r * Math.cos(angle)) / Math.cos((lat * Math.PI) / 180), lat + r * Math.sin(angle)]
+        };
+      }
+      features.push({
+        type: 'Feature',
+        geometry,
+        properties: {
+          site: f.properties.site,
+          doc_id: b.doc_id,
+          id: b.id,
+          located: !!b.geometry,
+          orderClass: orderClass([b]),
+          periodClass: periodClass([b]),
+          // set in diff view only
+          diffStatus: b.diffStatus
+        }
+      });
+    });
+  });
+  return { type: 'FeatureCollection', features };
+}
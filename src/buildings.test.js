@@ -0,0 +1,46 @@
+import { buildingGeometry, buildingFeatures } from './buildings';
+
+const square = [[[15, 40], [15.001, 40], [15.001, 40.001], [15, 40.001], [15, 40]]];
+
+test('footprints are kept only when every position is valid', () => {
+  expect(buildingGeometry({ coordinates: [15, 40] })).toEqual({ type: 'Point', coordinates: [15, 40] });
+  expect(buildingGeometry({ geometry: { type: 'Polygon', coordinates: square } }).type).toBe('Polygon');
+  expect(buildingGeometry({ geometry: { type: 'MultiPolygon', coordinates: [square] } }).type).toBe('MultiPolygon');
+  expect(buildingGeometry({})).toBeNull();
+  expect(buildingGeometry({ coordinates: [200, 40] })).toBeNull();
+  expect(buildingGeometry({ coordinates: [15] })).toBeNull();
+  expect(buildingGeometry({ geometry: { type: 'LineString', coordinates: [[15, 40], [16, 40]] } })).toBeNull();
+  expect(buildingGeometry({ geometry: { type: 'Polygon', coordinates: [[[15, 40], [15, 'x']]] } })).toBeNull();
+  expect(buildingGeometry({ geometry: { type: 'Polygon', coordinates: 'nope' } })).toBeNull();
+});
+
+test('unlocated buildings ring their site, located ones keep their geometry', () => {
+  const point = { type: 'Point', coordinates: [15.01, 40.01] };
+  const sites = {
+    features: [{
+      geometry: { coordinates: [15, 40] },
+      properties: {
+        site: 'Paestum',
+        buildings: [
+          { id: 'a', doc_id: 'd1', order: [] },
+          { id: 'b', doc_id: 'd1', order: [], geometry: point },
+          { id: 'c', doc_id: 'd1', order: [] },
+        ]
+      }
+    }, {
+      geometry: { coordinates: [14.49, 40.75] },
+      properties: { site: 'Pompeii', buildings: [{ id: 'd', doc_id: 'd2', order: [] }] }
+    }]
+  };
+  const [a, b, c, d] = buildingFeatures(sites).features;
+  expect([a, b, c, d].map(f => f.properties.located)).toEqual([false, true, false, false]);
+  expect(b.geometry).toBe(point);
+  // two unlocated buildings sit on opposite sides of the ring
+  const mid = i => (a.geometry.coordinates[i] + c.geometry.coordinates[i]) / 2;
+  expect(mid(0)).toBeCloseTo(15, 9);
+  expect(mid(1)).toBeCloseTo(40, 9);
+  expect(a.geometry.coordinates).not.toEqual([15, 40]);
+  // a lone building stays on its site
+  expect(d.geometry.coordinates).toEqual([14.49, 40.75]);
+  expect(d.properties).toMatchObject({ site: 'Pompeii', doc_id: 'd2', id: 'd' });
+});
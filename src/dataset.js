@@ -0,0 +1,185 @@
+// dataset validation and normalisation
+//
+// Checks a sites FeatureCollection against the JSON schema
+// (sites.schema.json) plus rules the schema can't express, and returns a
+// cleaned copy with the findings. Used by scripts/prepare-data.mjs at build
+// time; the schema is passed in so this module stays importable from Node.
+import { unmappedValues } from './vocabulary';
+
+export const FACET_FIELDS = ['order', 'morphology', 'age', 'date'];
+const TEXT_LIST_FIELDS = ['style_evidence', 'date_evidence'];
+const BUILDING_KEYS = ['id', ...FACET_FIELDS, 'doc_id', 'url', ...TEXT_LIST_FIELDS, 'geometry', 'coordinates'];
+const PLACEHOLDERS = ['', 'undetermined', '<na>', 'n/a', 'none', 'unknown'];
+const COORD_DIGITS = 6;
+const ODD_SPACE = /[\u00a0\u2007\u2009\u202f\u200b\u2060\ufeff]/;
+
+// --- JSON schema (the draft-07 subset sites.schema.json uses) ---
+
+const isType = (type, v) => ({
+  object: v !== null && typeof v === 'object' && !Array.isArray(v),
+  array: Array.isArray(v),
+  string: typeof v === 'string',
+  number: Number.isFinite(v),
+  null: v === null,
+})[type];
+
+const resolveRef = (root, ref) =>
+  ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+
+// error messages as "<path>: <problem>"
+export function validateSchema(schema, value, at = '$', root = schema, errors = []) {
+  if (schema.$ref) return validateSchema(resolveRef(root, schema.$ref), value, at, root, errors);
+  const fail = msg => { errors.push(`${at}: ${msg}`); return errors; };
+
+  if (schema.enum && !schema.enum.includes(value)) return fail(`expected ${schema.enum.join(' | ')}`);
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => isType(t, value))) return fail(`expected ${types.join(' or ')}`);
+  }
+  if (typeof value === 'string' && value.length < (schema.minLength || 0)) fail('is empty');
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`above ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (value.length < (schema.minItems || 0)) fail(`needs at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`allows at most ${schema.maxItems} items`);
+    value.forEach((item, i) => {
+      const itemSchema = Array.isArray(schema.items) ? schema.items[i] : schema.items;
+      if (itemSchema) validateSchema(itemSchema, item, `${at}[${i}]`, root, errors);
+    });
+  }
+  if (isType('object', value)) {
+    (schema.required || []).forEach(k => { if (!(k in value)) fail(`missing "${k}"`); });
+    Object.entries(schema.properties || {}).forEach(([k, s]) => {
+      if (k in value) validateSchema(s, value[k], `${at}.${k}`, root, errors);
+    });
+  }
+  return errors;
+}
+
+// --- normalisation ---
+
+export const cleanText = s => String(s)
+  .normalize('NFC')
+  .replace(/[\u200b\u2060\ufeff]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const cleanList = (values, dropPlaceholders) => [...new Set(
+  values.map(cleanText).filter(v => v && !(dropPlaceholders && PLACEHOLDERS.includes(v.toLowerCase())))
+)];
+
+// the precision the app shows coordinates (and records moves) at
+export const roundCoord = n => Number(n.toFixed(COORD_DIGITS));
+
+function cleanBuilding(b) {
+  const out = {};
+  BUILDING_KEYS.forEach(k => {
+    if (b[k] === undefined || b[k] === null) return;
+    if (FACET_FIELDS.includes(k)) out[k] = cleanList(b[k], true);
+    else if (TEXT_LIST_FIELDS.includes(k)) out[k] = cleanList(b[k], false);
+    else if (typeof b[k] === 'string') out[k] = cleanText(b[k]);
+    else out[k] = b[k];
+  });
+  return out;
+}
+
+// does any string inside carry a non-breaking / zero-width space?
+const hasOddSpace = v =>
+  typeof v === 'string' ? ODD_SPACE.test(v)
+    : Array.isArray(v) ? v.some(hasOddSpace)
+      : isType('object', v) ? Object.values(v).some(hasOddSpace)
+        : false;
+
+// count occurrences of a key into a Map
+const tally = (map, key, n = 1) => map.set(key, (map.get(key) || 0) + n);
+
+// { data, errors, warnings, stats }: errors name records that were dropped,
+// warnings things that were kept (and fixed, where noted)
+export function prepareDataset(raw, schema) {
+  const errors = [], warnings = [];
+  const top = validateSchema({ ...schema, properties: { ...schema.properties, features: { type: 'array' } } }, raw);
+  if (top.length) {
+    return { data: null, errors: top, warnings, stats: { sites: 0, buildings: 0 } };
+  }
+
+  const oddSpaces = [], placeholders = new Map();
+  const docIds = new Map(), siteNames = new Map();
+  const features = [];
+
+  raw.features.forEach((f, i) => {
+    const name = f?.properties?.site;
+    const label = `site ${i}${typeof name === 'string' ? ` "${cleanText(name)}"` : ''}`;
+    const problems = validateSchema(schema.definitions.site, f, `features[${i}]`, schema);
+
+    // a bad building only drops that building; anything else drops the site
+    const badBuildings = new Set();
+    const siteProblems = [];
+    problems.forEach(p => {
+      const m = p.match(/\.buildings\[(\d+)\]/);
+      if (m) badBuildings.add(Number(m[1]));
+      (m ? errors : siteProblems).push(`${label}: ${p}`);
+    });
+    const [lng, lat] = f?.geometry?.coordinates || [];
+    if (!siteProblems.length && lng === 0 && lat === 0) siteProblems.push(`${label}: coordinates are 0,0`);
+    if (siteProblems.length) { errors.push(...siteProblems); return; }
+
+    const seen = new Set();
+    const buildings = [];
+    f.properties.buildings.forEach((b, j) => {
+      if (badBuildings.has(j)) return;
+      if (hasOddSpace(b)) oddSpaces.push(`${label}, building "${cleanText(b.id)}"`);
+      FACET_FIELDS.forEach(k => b[k].forEach(v => {
+        const clean = cleanText(v);
+        if (!clean || PLACEHOLDERS.includes(clean.toLowerCase())) tally(placeholders, clean || '(empty)');
+      }));
+      const clean = cleanBuilding(b);
+      const key = `${clean.doc_id}\u0000${clean.id}`;
+      if (seen.has(key)) {
+        warnings.push(`${label}: duplicate building "${clean.id}" (${clean.doc_id}) removed`);
+        return;
+      }
+      seen.add(key);
+      tally(docIds, clean.doc_id);
+      buildings.push(clean);
+    });
+    if (!buildings.length) {
+      errors.push(`${label}: no valid buildings`);
+      return;
+    }
+    const site = cleanText(name);
+    tally(siteNames, site);
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [roundCoord(lng), roundCoord(lat)] },
+      properties: { site, buildings },
+    });
+  });
+
+  if (oddSpaces.length) warnings.push(`${oddSpaces.length} building(s) contained non-breaking or zero-width spaces (normalised), e.g. ${oddSpaces.slice(0, 3).join('; ')}`);
+  if (placeholders.size) warnings.push(`placeholder values removed: ${[...placeholders].map(([v, n]) => `"${v}" ×${n}`).join(', ')}`);
+  [...siteNames].filter(([, n]) => n > 1).forEach(([site, n]) =>
+    warnings.push(`site name "${site}" is used by ${n} sites`));
+  const sharedDocIds = [...docIds].filter(([, n]) => n > 1);
+  if (sharedDocIds.length) {
+    warnings.push(`${sharedDocIds.length} doc_id(s) are shared by several buildings, e.g. ${
+      sharedDocIds.sort((a, b) => b[1] - a[1]).slice(0, 5).map(([id, n]) => `${id} ×${n}`).join(', ')}`);
+  }
+  Object.entries(unmappedValues(features)).forEach(([attr, values]) => {
+    if (!values.size) return;
+    warnings.push(`${values.size} ${attr} value(s) outside the vocabulary: ${
+      [...values].sort((a, b) => b[1] - a[1]).map(([v, n]) => `"${v}" ×${n}`).join(', ')}`);
+  });
+
+  return {
+    data: { type: 'FeatureCollection', features },
+    errors,
+    warnings,
+    stats: {
+      sites: features.length,
+      buildings: features.reduce((n, f) => n + f.properties.buildings.length, 0),
+      droppedSites: raw.features.length - features.length,
+    },
+  };
+}
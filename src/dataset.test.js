@@ -0,0 +1,46 @@
+import schema from './sites.schema.json';
+import { validateSchema, prepareDataset } from './dataset';
+
+const building = (id, extra = {}) => ({
+  id, order: ['Doric'], morphology: ['peripteral'], age: [], date: [],
+  doc_id: 'd1', url: 'https://example.org', ...extra
+});
+const site = (name, coordinates, buildings) =>
+  ({ type: 'Feature', geometry: { type: 'Point', coordinates }, properties: { site: name, buildings } });
+
+test('schema errors carry the path of the offending value', () => {
+  const errors = validateSchema(schema, { type: 'FeatureCollection', features: [site('A', [200, 10], [])] });
+  expect(errors).toEqual([
+    '$.features[0].geometry.coordinates[0]: above 180',
+    '$.features[0].properties.buildings: needs at least 1 item(s)',
+  ]);
+});
+
+test('drops bad records and normalises the rest', () => {
+  const raw = {
+    type: 'FeatureCollection',
+    features: [
+      site('Paestum\u00a0', [15.0051234567, 40.42], [
+        building('Temple\u00a0of Hera', { order: ['Doric', 'undetermined', '<NA>', 'Doric'] }),
+        building('Temple of Hera'),
+        building(42),
+      ]),
+      site('Nowhere', [0, 0], [building('x')]),
+      site('Empty', [10, 10], []),
+    ],
+  };
+  const { data, errors, warnings, stats } = prepareDataset(raw, schema);
+  expect(stats).toEqual({ sites: 1, buildings: 1, droppedSites: 2 });
+  expect(errors).toHaveLength(3);
+  expect(data.features[0].properties.site).toBe('Paestum');
+  expect(data.features[0].geometry.coordinates).toEqual([15.005123, 40.42]);
+  expect(data.features[0].properties.buildings[0]).toMatchObject({ id: 'Temple of Hera', order: ['Doric'] });
+  expect(warnings.join('\n')).toMatch(/duplicate building "Temple of Hera"/);
+  expect(warnings.join('\n')).toMatch(/non-breaking/);
+});
+
+test('reports values outside the vocabulary', () => {
+  const raw = { type: 'FeatureCollection', features: [site('A', [1, 1], [building('t', { age: ['Byzantine'] })])] };
+  expect(prepareDataset(raw, schema).warnings).toContain('1 age value(s) outside the vocabulary: "Byzantine" ×1');
+  expect(prepareDataset({ type: 'Topology' }, schema).data).toBeNull();
+});
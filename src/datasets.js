@@ -0,0 +1,39 @@
+// dataset versions built by `npm run data` (scripts/prepare-data.mjs)
+import { dateRange } from './dates';
+import { buildingYears } from './periods';
+import { buildingGeometry } from './buildings';
+import { buildingTerms } from './vocabulary';
+
+export const DEFAULT_DATASET = 'sites';
+
+const dataUrl = file => `${process.env.PUBLIC_URL}/data/${file}`;
+
+// [{ id, file, source, sites, buildings }]
+export const fetchManifest = () =>
+  fetch(dataUrl('manifest.json')).then(r => r.json());
+
+// derived fields the app filters and draws with, added in place
+export function prepareBuilding(b) {
+  // numeric {from, to, confidence} interval parsed from `date`
+  b.dateRange = dateRange(b.date);
+  // interval the timeline filters on
+  b.years = buildingYears(b);
+  // optional own Point / footprint, null when missing or invalid
+  b.geometry = buildingGeometry(b);
+  // canonical order / typology / age terms the filters match on
+  b.terms = buildingTerms(b);
+  return b;
+}
+
+export function prepareBuildings(fc) {
+  fc.features.forEach(f => f.properties.buildings.forEach(prepareBuilding));
+  return fc;
+}
+
+export const loadDataset = id =>
+  fetch(dataUrl(`${id}.json`))
+    .then(r => {
+      if (!r.ok) throw new Error(`dataset "${id}" not found`);
+      return r.json();
+    })
+    .then(prepareBuildings);
@@ -0,0 +1,213 @@
+// free-text `date` strings → numeric year intervals
+//
+// Years are signed integers (BCE negative, no year zero handling).
+// Every parsed interval carries a confidence flag:
+//   'exact'       – explicit years ("447–432 B.C.")
+//   'approximate' – circa years, decades, centuries, reigns ("ca. 500 B.C.")
+//   'vague'       – broad eras ("Roman period")
+
+const CONFIDENCE_RANK = { exact: 0, approximate: 1, vague: 2 };
+
+// named periods, most specific first
+const NAMED_PERIODS = [
+  { pattern: /\bmycenaean\b/i,                      from: -1600, to: -1100, confidence: 'vague' },
+  { pattern: /\bpre-?historic\b/i,                  from: -3000, to: -1100, confidence: 'vague' },
+  { pattern: /geometric\b/i,                        from: -900,  to: -700 },
+  { pattern: /\borientali[sz]ing\b/i,               from: -720,  to: -600 },
+  { pattern: /\b(?:pre-?|previous to the )persi/i,  from: -600,  to: -480 },
+  { pattern: /\b(?:post-?|after the )persi/i,       from: -479,  to: -430 },
+  { pattern: /\bpericlean\b/i,                      from: -461,  to: -429 },
+  { pattern: /\bpeisistrat/i,                       from: -561,  to: -510 },
+  { pattern: /\bhekatomnid\b/i,                     from: -392,  to: -330 },
+  { pattern: /\balexander\b/i,                      from: -336,  to: -323 },
+  { pattern: /\barchaic\b/i,                        from: -800,  to: -480 },
+  { pattern: /\bclassical\b/i,                      from: -480,  to: -323 },
+  { pattern: /\bseleu[ck]id\b/i,                    from: -312,  to: -63 },
+  { pattern: /\bptolem(?:y|aic)\b/i,                from: -305,  to: -30 },
+  { pattern: /\bhasmonean\b/i,                      from: -140,  to: -37 },
+  { pattern: /\bhellenistic\b/i,                    from: -323,  to: -31 },
+  { pattern: /\bsullan\b/i,                         from: -88,   to: -78 },
+  { pattern: /\bcaesar(?:ian|ean)\b/i,              from: -49,   to: -44 },
+  { pattern: /\btriumviral\b/i,                     from: -43,   to: -27 },
+  { pattern: /\brepublic(?:an)?\b/i,                from: -509,  to: -27 },
+  { pattern: /\bla t[èe]ne\b/i,                     from: -450,  to: -1,  confidence: 'vague' },
+  { pattern: /\bnabataean\b/i,                      from: -168,  to: 106 },
+  { pattern: /\bherodian\b/i,                       from: -37,   to: 70 },
+  { pattern: /\bjulio-claudian\b/i,                 from: -27,   to: 68 },
+  { pattern: /\baugust(?:an|us)\b/i,                from: -27,   to: 14 },
+  { pattern: /\btiberi(?:an|us)\b/i,                from: 14,    to: 37 },
+  { pattern: /\bclaudi(?:an|us)\b/i,                from: 41,    to: 54 },
+  { pattern: /\bnero(?:nian)?\b/i,                  from: 54,    to: 68 },
+  { pattern: /\bvespasian(?:ic)?\b/i,               from: 69,    to: 79 },
+  { pattern: /\bdomitian(?:ic)?\b/i,                from: 81,    to: 96 },
+  { pattern: /\bflavian\b/i,                        from: 69,    to: 96 },
+  { pattern: /\btrajan(?:ic)?\b/i,                  from: 98,    to: 117 },
+  { pattern: /\bhadrian(?:ic)?\b/i,                 from: 117,   to: 138 },
+  { pattern: /\bcommodus\b/i,                       from: 180,   to: 192 },
+  { pattern: /\banton(?:ine|inus)\b/i,              from: 138,   to: 192 },
+  { pattern: /\bseveran\b/i,                        from: 193,   to: 235 },
+  { pattern: /\baurelian\b/i,                       from: 270,   to: 275 },
+  { pattern: /\b(?:tetrarch|diocletian)/i,          from: 284,   to: 312 },
+  { pattern: /\bconstantin/i,                       from: 306,   to: 363 },
+  { pattern: /\bearly (?:imperial|roman)\b/i,       from: -27,   to: 96 },
+  { pattern: /\bhigh empire\b/i,                    from: 96,    to: 192 },
+  { pattern: /\blate (?:roman|antiq)/i,             from: 284,   to: 600 },
+  { pattern: /\bimperial\b/i,                       from: -27,   to: 476, confidence: 'vague' },
+  { pattern: /\broman\b/i,                          from: -509,  to: 476, confidence: 'vague' },
+];
+
+// position of a qualifier inside its anchor span, as fractions
+const QUALIFIERS = [
+  { pattern: /\bfirst half\b/i,                     from: 0,    to: 1 / 2 },
+  { pattern: /\b(?:second|latter) half\b/i,         from: 1 / 2, to: 1 },
+  { pattern: /\bfirst third\b/i,                    from: 0,    to: 1 / 3 },
+  { pattern: /\b(?:first|1st) quarter\b/i,          from: 0,    to: 1 / 4 },
+  { pattern: /\b(?:second|2nd) quarter\b/i,         from: 1 / 4, to: 1 / 2 },
+  { pattern: /\b(?:third|3rd) quarter\b/i,          from: 1 / 2, to: 3 / 4 },
+  { pattern: /\b(?:last|fourth|4th) quarter\b/i,    from: 3 / 4, to: 1 },
+  { pattern: /\blast (?:years|decades?)\b/i,        from: 9 / 10, to: 1 },
+  { pattern: /\b(?:early|beginning|start)\b/i,      from: 0,    to: 1 / 3 },
+  { pattern: /\b(?:mid|middle)\b/i,                 from: 1 / 3, to: 2 / 3 },
+  { pattern: /\b(?:late|later|latter part|end)\b/i, from: 2 / 3, to: 1 },
+];
+
+const ORDINAL_WORDS = [
+  'first', 'second', 'third', 'fourth', 'fifth', 'sixth',
+  'seventh', 'eighth', 'ninth', 'tenth', 'eleventh', 'twelfth'
+];
+const ORDINAL_RE = new RegExp(
+  `\\b(?:(\\d{1,2})(?:st|nd|rd|th)|(${ORDINAL_WORDS.join('|')}))\\b`, 'i'
+);
+
+const BCE_RE = /\bB\.?\s?C\.?(?:\s?E\.?)?(?![A-Za-z])/;
+const CE_RE = /\b(?:C\.?E\.?|A\.?\s?D\.?)(?![A-Za-z])/;
+const CIRCA_RE = /(?:^|\s)(?:ca?\.|circa|about|around)(?=\s|\d)/i;
+const BEFORE_RE = /\b(?:before|pre-|not later than|by)(?=\s|\d)/i;
+const AFTER_RE = /\b(?:after|post-|since)(?=\s|\d)/i;
+const OPEN_ENDED_SPAN = 50;
+
+// unify whitespace/dash variants and expand abbreviated year ranges
+export function normaliseDateText(text) {
+  return String(text)
+    .replace(/[\u00a0\u2007\u2009\u202f]/g, ' ')
+    .replace(/[\u2010\u2011]/g, '-')
+    .replace(/[\u2012\u2014\u2212]/g, '–')
+    .replace(/\bafter Christ\b/gi, 'AD')
+    .replace(/(\d)\s*\/\s*(?=\d)/g, '$1–')
+    .replace(/(\d(?:st|nd|rd|th|s)?)\s*-\s*(?=\d)/g, '$1–')
+    .replace(/(\d{2,4})\s*–\s*(\d{1,3})(?![\d]|st|nd|rd|th|s)/g, (m, a, b) =>
+      b.length < a.length ? `${a}–${a.slice(0, a.length - b.length)}${b}` : m
+    )
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const eraOf = text =>
+  BCE_RE.test(text) ? 'BCE' : CE_RE.test(text) ? 'CE' : null;
+
+const worst = (a, b) =>
+  CONFIDENCE_RANK[a] >= CONFIDENCE_RANK[b] ? a : b;
+
+const applyQualifier = ([from, to], q) => q
+  ? [Math.round(from + (to - from) * q.from), Math.round(from + (to - from) * q.to)]
+  : [from, to];
+
+const takeQualifier = text => {
+  const q = QUALIFIERS.find(({ pattern }) => pattern.test(text));
+  return q ? [q, text.replace(q.pattern, ' ')] : [null, text];
+};
+
+// one side of a range ("late 5th century BCE", "ca. 450", "Augustan period")
+function parsePiece(piece, era, centuryContext) {
+  const named = NAMED_PERIODS.find(({ pattern }) => pattern.test(piece));
+  if (named) {
+    const [q] = takeQualifier(piece.replace(named.pattern, ' '));
+    const [from, to] = applyQualifier([named.from, named.to], q);
+    return { from, to, confidence: named.confidence || 'approximate' };
+  }
+  if (!era) return null;
+  const bce = era === 'BCE';
+  const [q, rest] = takeQualifier(piece);
+
+  const ordinal = rest.match(ORDINAL_RE);
+  if (ordinal && (/centur/i.test(rest) || centuryContext)) {
+    const n = ordinal[1]
+      ? Number(ordinal[1])
+      : ORDINAL_WORDS.indexOf(ordinal[2].toLowerCase()) + 1;
+    const span = bce ? [-n * 100, -(n - 1) * 100] : [(n - 1) * 100, n * 100];
+    const [from, to] = applyQualifier(span, q);
+    return { from, to, confidence: 'approximate' };
+  }
+
+  const decade = rest.match(/\b(\d{1,3}0)s\b/);
+  if (decade) {
+    const d = Number(decade[1]);
+    return bce
+      ? { from: -d - 9, to: -d, confidence: 'approximate' }
+      : { from: d, to: d + 9, confidence: 'approximate' };
+  }
+
+  const year = rest.match(/\b(\d{1,4})\b/);
+  if (!year) return null;
+  const y = bce ? -Number(year[1]) : Number(year[1]);
+  if (BEFORE_RE.test(rest)) return { from: y - OPEN_ENDED_SPAN, to: y, confidence: 'approximate' };
+  if (AFTER_RE.test(rest)) return { from: y, to: y + OPEN_ENDED_SPAN, confidence: 'approximate' };
+  return { from: y, to: y, confidence: CIRCA_RE.test(rest) ? 'approximate' : 'exact' };
+}
+
+// a whole phrase, possibly a range ("7th–6th century BCE", "31 BC to AD 14")
+function parsePhrase(text) {
+  const pieces = text
+    .replace(/\bbetween\b/gi, ' ')
+    .split(/\s*(?:–|\bto\b|\band\b|\bor\b)\s*/i)
+    .map(p => p.trim())
+    .filter(Boolean);
+  if (!pieces.length) return null;
+
+  const eras = pieces.map(eraOf);
+  const centuryContext = /centur/i.test(text);
+  const parsed = pieces.map((p, i) => {
+    // unmarked pieces borrow the era of the nearest marked one, later first
+    const era = eras[i]
+      || eras.slice(i + 1).find(Boolean)
+      || eras.slice(0, i).reverse().find(Boolean)
+      || null;
+    return parsePiece(p, era, centuryContext);
+  }).filter(Boolean);
+  if (!parsed.length) return null;
+
+  return parsed.reduce((acc, r) => ({
+    from: Math.min(acc.from, r.from),
+    to: Math.max(acc.to, r.to),
+    confidence: worst(acc.confidence, r.confidence),
+  }));
+}
+
+// single `date` entry → {from, to, confidence} or null when unparseable
+export function parseDate(text) {
+  if (!text) return null;
+  const clean = normaliseDateText(text);
+  const asides = [...clean.matchAll(/\(([^)]*)(?:\)|$)/g)].map(m => m[1]);
+  const main = clean.replace(/\([^)]*(?:\)|$)/g, ' ').replace(/[()]/g, ' ');
+
+  // a parenthetical aside may pin the main phrase down further
+  const candidates = [main, ...asides].map(parsePhrase).filter(Boolean);
+  if (!candidates.length) return null;
+  return candidates.reduce((best, r) =>
+    r.to - r.from < best.to - best.from ? r : best
+  );
+}
+
+// union of a building's `date` entries, or null when none parse
+export function dateRange(dates) {
+  const ranges = (dates || []).map(parseDate).filter(Boolean);
+  if (!ranges.length) return null;
+  return ranges.reduce((acc, r) => ({
+    from: Math.min(acc.from, r.from),
+    to: Math.max(acc.to, r.to),
+    confidence: worst(acc.confidence, r.confidence),
+  }));
+}
+
+export const overlaps = (range, start, end) =>
+  !!range && range.from <= end && range.to >= start;
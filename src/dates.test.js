@@ -0,0 +1,41 @@
+import { normaliseDateText, parseDate, dateRange, overlaps } from './dates';
+
+test('normalises non-breaking spaces and abbreviated ranges', () => {
+  expect(normaliseDateText('late 5th century B.C.')).toBe('late 5th century B.C.');
+  expect(normaliseDateText('AD 134–5')).toBe('AD 134–135');
+  expect(normaliseDateText('320/19 BCE')).toBe('320–319 BCE');
+});
+
+test('parses centuries with qualifiers on either side of the era', () => {
+  expect(parseDate('5th century BCE')).toEqual({ from: -500, to: -400, confidence: 'approximate' });
+  expect(parseDate('mid-5th century BCE')).toMatchObject({ from: -467, to: -433 });
+  expect(parseDate('second century A.D.')).toMatchObject({ from: 100, to: 200 });
+  expect(parseDate('first half of the second century CE')).toMatchObject({ from: 100, to: 150 });
+  expect(parseDate('7th–6th century BCE')).toMatchObject({ from: -700, to: -500 });
+});
+
+test('parses explicit and circa years', () => {
+  expect(parseDate('447–432 B.C.')).toEqual({ from: -447, to: -432, confidence: 'exact' });
+  expect(parseDate('31 BC to AD 14')).toMatchObject({ from: -31, to: 14 });
+  expect(parseDate('ca. 500 B.C.')).toEqual({ from: -500, to: -500, confidence: 'approximate' });
+  expect(parseDate('420s BCE')).toMatchObject({ from: -429, to: -420 });
+});
+
+test('maps named periods and flags broad eras as vague', () => {
+  expect(parseDate('Augustan period')).toEqual({ from: -27, to: 14, confidence: 'approximate' });
+  expect(parseDate('Roman period').confidence).toBe('vague');
+  expect(parseDate('Hadrianic period (2nd century AD)')).toMatchObject({ from: 117, to: 138 });
+});
+
+test('returns null for phrases without a usable anchor', () => {
+  expect(parseDate('fourth century')).toBeNull();
+  expect(parseDate('upper city levels 4 and 3')).toBeNull();
+  expect(dateRange([])).toBeNull();
+});
+
+test('unions a building date list and checks overlap', () => {
+  const range = dateRange(['Archaic period', '5th century BCE', 'undated']);
+  expect(range).toEqual({ from: -800, to: -400, confidence: 'approximate' });
+  expect(overlaps(range, -480, -323)).toBe(true);
+  expect(overlaps(range, -323, -30)).toBe(false);
+});
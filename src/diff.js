@@ -0,0 +1,141 @@
+// differences between two versions of the dataset
+//
+// Sites are matched by name and position, since names repeat across
+// regions; a site that moved still matches when its name is unique in both
+// versions. Buildings within a site are matched by doc_id + id, the same
+// keys the rest of the app selects on.
+import { roundCoord } from './dataset';
+import { orderClass, periodClass } from './symbology';
+
+export const DIFF_STATUSES = ['added', 'removed', 'changed', 'unchanged'];
+
+// fields compared per building, in display order
+export const DIFF_FIELDS = ['order', 'morphology', 'age', 'date', 'url', 'style_evidence', 'date_evidence'];
+
+export const buildingKey = b => `${b.doc_id}\u0000${b.id}`;
+
+// coordinates rounded as the data is prepared, so float noise is no move
+export const siteKey = f =>
+  [f.properties.site, ...f.geometry.coordinates.slice(0, 2).map(roundCoord)].join('\u0000');
+
+const asList = v => (v === undefined || v === null ? [] : [].concat(v));
+
+// [{ field, added: [...], removed: [...] }] for the fields that differ
+export function buildingChanges(before, after) {
+  return DIFF_FIELDS.map(field => {
+    const a = asList(before[field]), b = asList(after[field]);
+    return {
+      field,
+      added: b.filter(v => !a.includes(v)),
+      removed: a.filter(v => !b.includes(v)),
+    };
+  }).filter(c => c.added.length || c.removed.length);
+}
+
+const byName = features => features.reduce((m, f) =>
+  m.set(f.properties.site, [...(m.get(f.properties.site) || []), f]), new Map());
+
+// next feature -> base feature for the sites whose name is unique in both
+// versions but whose position changed
+function movedSites(base, next) {
+  const baseNames = byName(base.features);
+  const moved = new Map();
+  byName(next.features).forEach(([f, ...more], name) => {
+    const [old, ...moreOld] = baseNames.get(name) || [];
+    if (old && !more.length && !moreOld.length && siteKey(old) !== siteKey(f)) moved.set(f, old);
+  });
+  return moved;
+}
+
+const entry = (status, extra = {}) => ({ status, changes: [], buildings: new Map(), removedBuildings: [], ...extra });
+
+// {
+//   sites: Map(siteKey -> { status, changes, buildings: Map(key -> { status, changes }), removedBuildings }),
+//   removedSites: [base features],
+//   counts: { sites: { added, removed, changed }, buildings: { … } }
+// }
+export function diffDatasets(base, next) {
+  const baseSites = new Map(base.features.map(f => [siteKey(f), f]));
+  const nextKeys = new Set(next.features.map(siteKey));
+  const moved = movedSites(base, next);
+  const movedFrom = new Set(moved.values());
+  const sites = new Map();
+  const counts = {
+    sites: { added: 0, removed: 0, changed: 0 },
+    buildings: { added: 0, removed: 0, changed: 0 },
+  };
+
+  next.features.forEach(f => {
+    const key = siteKey(f);
+    const old = baseSites.get(key) || moved.get(f);
+    if (!old) {
+      const e = entry('added');
+      f.properties.buildings.forEach(b => e.buildings.set(buildingKey(b), { status: 'added', changes: [] }));
+      counts.sites.added++;
+      counts.buildings.added += f.properties.buildings.length;
+      sites.set(key, e);
+      return;
+    }
+    const e = entry('unchanged');
+    if (moved.has(f)) {
+      e.changes.push({ field: 'location', added: [f.geometry.coordinates.join(', ')], removed: [old.geometry.coordinates.join(', ')] });
+    }
+    const oldBuildings = new Map(old.properties.buildings.map(b => [buildingKey(b), b]));
+    f.properties.buildings.forEach(b => {
+      const key = buildingKey(b);
+      const before = oldBuildings.get(key);
+      const changes = before ? buildingChanges(before, b) : [];
+      const status = !before ? 'added' : changes.length ? 'changed' : 'unchanged';
+      if (status !== 'unchanged') counts.buildings[status]++;
+      e.buildings.set(key, { status, changes });
+      oldBuildings.delete(key);
+    });
+    e.removedBuildings = [...oldBuildings.values()];
+    counts.buildings.removed += e.removedBuildings.length;
+    if (e.changes.length || e.removedBuildings.length ||
+        [...e.buildings.values()].some(c => c.status !== 'unchanged')) {
+      e.status = 'changed';
+      counts.sites.changed++;
+    }
+    sites.set(key, e);
+  });
+
+  const removedSites = base.features.filter(f => !nextKeys.has(siteKey(f)) && !movedFrom.has(f));
+  removedSites.forEach(f => {
+    sites.set(siteKey(f), entry('removed', { removedBuildings: f.properties.buildings }));
+    counts.sites.removed++;
+    counts.buildings.removed += f.properties.buildings.length;
+  });
+
+  return { sites, removedSites, counts };
+}
+
+// map features for diff view: the filtered sites plus what was removed,
+// each site and building tagged with a `diffStatus`; `filterRemoved(buildings,
+// site)` keeps the removed buildings that pass the filters
+export function diffFeatures(filtered, diff, filterRemoved) {
+  const tag = (b, status) => ({ ...b, diffStatus: status });
+  const features = filtered.features.map(f => {
+    const e = diff.sites.get(siteKey(f));
+    const buildings = [
+      ...f.properties.buildings.map(b => tag(b, e?.buildings.get(buildingKey(b))?.status || 'unchanged')),
+      ...filterRemoved(e?.removedBuildings || [], f).map(b => tag(b, 'removed')),
+    ];
+    return {
+      ...f,
+      properties: { ...f.properties, buildings, buildingCount: buildings.length, diffStatus: e?.status || 'unchanged' },
+    };
+  });
+  diff.removedSites.forEach(f => {
+    const buildings = filterRemoved(f.properties.buildings, f).map(b => tag(b, 'removed'));
+    if (!buildings.length) return;
+    features.push({
+      ...f,
+      properties: {
+        ...f.properties, buildings, buildingCount: buildings.length, diffStatus: 'removed',
+        orderClass: orderClass(buildings), periodClass: periodClass(buildings),
+      },
+    });
+  });
+  return { type: 'FeatureCollection', features };
+}
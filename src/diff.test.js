@@ -0,0 +1,80 @@
+import { diffDatasets, diffFeatures, buildingChanges, siteKey } from './diff';
+
+const site = (name, coords, buildings) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: coords },
+  properties: { site: name, buildings }
+});
+const b = (doc_id, id, extra = {}) => ({ doc_id, id, order: [], morphology: [], age: [], date: [], ...extra });
+
+const base = {
+  type: 'FeatureCollection',
+  features: [
+    site('Athens', [23.7, 37.9], [b('d1', 'Parthenon', { order: ['Doric'] }), b('d2', 'Erechtheion')]),
+    site('Sparta', [22.4, 37.1], [b('d3', 'Temple')])
+  ]
+};
+const next = {
+  type: 'FeatureCollection',
+  features: [
+    site('Athens', [23.7, 37.9], [b('d1', 'Parthenon', { order: ['Doric', 'Ionic'] }), b('d4', 'Stoa')]),
+    site('Corinth', [22.9, 37.9], [b('d5', 'Temple of Apollo')])
+  ]
+};
+
+const key = name => siteKey([...next.features, ...base.features].find(f => f.properties.site === name));
+
+test('buildingChanges lists added and removed values per field', () => {
+  expect(buildingChanges(b('d', 'x', { order: ['Doric'] }), b('d', 'x', { order: ['Ionic'] })))
+    .toEqual([{ field: 'order', added: ['Ionic'], removed: ['Doric'] }]);
+  expect(buildingChanges(b('d', 'x'), b('d', 'x'))).toEqual([]);
+});
+
+test('diffDatasets classifies sites and buildings', () => {
+  const diff = diffDatasets(base, next);
+  expect(diff.sites.get(key('Athens')).status).toBe('changed');
+  expect(diff.sites.get(key('Corinth')).status).toBe('added');
+  expect(diff.sites.get(key('Sparta')).status).toBe('removed');
+  expect(diff.sites.get(key('Athens')).removedBuildings.map(x => x.id)).toEqual(['Erechtheion']);
+  expect(diff.counts).toEqual({
+    sites: { added: 1, removed: 1, changed: 1 },
+    buildings: { added: 2, removed: 2, changed: 1 }
+  });
+});
+
+test('diffFeatures tags buildings and brings back removed ones', () => {
+  const diff = diffDatasets(base, next);
+  const fc = diffFeatures(next, diff, list => list);
+  const athens = fc.features.find(f => f.properties.site === 'Athens');
+  expect(athens.properties.buildings.map(x => [x.id, x.diffStatus])).toEqual([
+    ['Parthenon', 'changed'], ['Stoa', 'added'], ['Erechtheion', 'removed']
+  ]);
+  expect(fc.features.find(f => f.properties.site === 'Sparta').properties.diffStatus).toBe('removed');
+  // removed sites whose buildings are all filtered out stay hidden
+  expect(diffFeatures(next, diff, () => []).features).toHaveLength(2);
+});
+
+test('sites sharing a name are told apart by position', () => {
+  const apollo = coords => site('Temple of Apollo', coords, [b('d6', 'Temple')]);
+  const diff = diffDatasets(
+    { type: 'FeatureCollection', features: [apollo([22.9, 37.9]), apollo([27.3, 37.4])] },
+    { type: 'FeatureCollection', features: [apollo([22.9, 37.9]), apollo([22.1, 37.3])] }
+  );
+  expect([...diff.sites.values()].map(e => e.status)).toEqual(['unchanged', 'added', 'removed']);
+  expect(diff.removedSites.map(f => f.geometry.coordinates)).toEqual([[27.3, 37.4]]);
+  expect(diff.counts.sites).toEqual({ added: 1, removed: 1, changed: 0 });
+});
+
+test('a site that moved is changed, float noise is not a move', () => {
+  const diff = diffDatasets(base, {
+    ...base,
+    features: [
+      site('Athens', [23.7000000001, 37.9], base.features[0].properties.buildings),
+      site('Sparta', [22.43, 37.08], base.features[1].properties.buildings)
+    ]
+  });
+  const [athens, sparta] = diff.sites.values();
+  expect(athens.status).toBe('unchanged');
+  expect(sparta).toMatchObject({ status: 'changed', changes: [{ field: 'location', added: ['22.43, 37.08'], removed: ['22.4, 37.1'] }] });
+  expect(diff.removedSites).toEqual([]);
+});
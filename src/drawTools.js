@@ -0,0 +1,121 @@
+// drawing a spatial filter area (spatial.js) on the map with the mouse
+//
+// The lasso follows the pointer while the button is held, a circle is
+// dragged out from its centre and a box from corner to corner. A click with
+// the circle tool gives the default radius around the click, or around the
+// site under it. The map doesn't pan or box-zoom while a tool is active.
+import { SITE_LAYERS } from './mapLayers';
+import { distanceKm, roundPoint } from './spatial';
+
+export const DRAW_TOOLS = [
+  { id: 'polygon', label: 'Lasso',  hint: 'Hold the mouse button down and draw around the sites' },
+  { id: 'circle',  label: 'Circle', hint: 'Drag out from the centre, or click a site for the radius set here' },
+  { id: 'bbox',    label: 'Box',    hint: 'Drag from one corner to the other' },
+];
+
+// lasso points closer together than this are dropped
+const LASSO_STEP_PX = 6;
+// a press that moves less than this is a click
+const CLICK_PX = 4;
+const RADIUS_DIGITS = 1;
+
+const pixels = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+export const circleName = (radius, site) => `Within ${radius} km of ${site}`;
+
+// the site drawn under a pixel, if any
+function siteAt(map, point) {
+  const layers = SITE_LAYERS.filter(id => map.getLayer(id));
+  return layers.length ? map.queryRenderedFeatures([point.x, point.y], { layers })[0] : undefined;
+}
+
+// start a tool; `onPreview(area | null)` follows the pointer, `onDone(area)`
+// gets the finished shape and `onCancel()` is called on Escape. Returns the
+// function that stops drawing.
+export function startDrawing(map, tool, { radius, onPreview, onDone, onCancel }) {
+  const canvas = map.getCanvas();
+  let points = [];
+
+  // the button may be released off the map, so mouseup is a window event
+  const mapEvent = e => {
+    const rect = canvas.getBoundingClientRect();
+    const point = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    return { point, lngLat: map.unproject([point.x, point.y]) };
+  };
+
+  const shapeTo = e => {
+    const [start] = points, here = e.lngLat.toArray();
+    if (tool === 'circle') {
+      const km = Number(distanceKm(start.lngLat, here).toFixed(RADIUS_DIGITS));
+      return { type: 'circle', center: roundPoint(start.lngLat), radius: km };
+    }
+    if (tool === 'bbox') {
+      const [x1, y1] = start.lngLat, [x2, y2] = here;
+      return {
+        type: 'bbox',
+        bbox: [...roundPoint([Math.min(x1, x2), Math.min(y1, y2)]), ...roundPoint([Math.max(x1, x2), Math.max(y1, y2)])]
+      };
+    }
+    if (points.length < 3) return null;
+    const ring = points.map(p => roundPoint(p.lngLat));
+    return { type: 'polygon', coordinates: [...ring, ring[0]] };
+  };
+
+  // a click names the circle after the site it landed on
+  const clickShape = e => {
+    if (tool !== 'circle') return null;
+    const site = siteAt(map, e.point);
+    return site
+      ? { type: 'circle', center: roundPoint(site.geometry.coordinates), radius, name: circleName(radius, site.properties.site) }
+      : { type: 'circle', center: roundPoint(e.lngLat.toArray()), radius };
+  };
+
+  const onMove = e => {
+    const last = points[points.length - 1];
+    if (tool === 'polygon' && pixels(e.point, last.point) >= LASSO_STEP_PX) {
+      points.push({ point: e.point, lngLat: e.lngLat.toArray() });
+    }
+    onPreview(shapeTo(e));
+  };
+
+  const onUp = event => {
+    window.removeEventListener('mouseup', onUp);
+    map.off('mousemove', onMove);
+    if (!points.length) return;
+    const e = mapEvent(event);
+    const area = pixels(e.point, points[0].point) < CLICK_PX ? clickShape(e) : shapeTo(e);
+    points = [];
+    onPreview(null);
+    if (area) onDone(area);
+  };
+
+  const onDown = e => {
+    if (e.originalEvent.button !== 0) return;
+    e.preventDefault();
+    points = [{ point: e.point, lngLat: e.lngLat.toArray() }];
+    map.on('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  };
+
+  const onKey = e => {
+    if (e.key === 'Escape') onCancel();
+  };
+
+  map.dragPan.disable();
+  map.boxZoom.disable();
+  map.doubleClickZoom.disable();
+  canvas.style.cursor = 'crosshair';
+  map.on('mousedown', onDown);
+  window.addEventListener('keydown', onKey);
+
+  return () => {
+    map.off('mousedown', onDown);
+    map.off('mousemove', onMove);
+    window.removeEventListener('mouseup', onUp);
+    window.removeEventListener('keydown', onKey);
+    map.dragPan.enable();
+    map.boxZoom.enable();
+    map.doubleClickZoom.enable();
+    canvas.style.cursor = '';
+  };
+}
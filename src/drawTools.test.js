@@ -0,0 +1,42 @@
+import { fireEvent } from '@testing-library/react';
+import { startDrawing } from './drawTools';
+
+// just enough of a map: handlers by event, pixels / 10 as degrees
+function fakeMap() {
+  const handlers = {};
+  const lngLat = (x, y) => ({ toArray: () => [x / 10, y / 10] });
+  const toggle = () => ({ enable: jest.fn(), disable: jest.fn() });
+  return {
+    handlers,
+    on: (type, fn) => { handlers[type] = fn; },
+    off: type => { delete handlers[type]; },
+    getCanvas: () => document.createElement('canvas'),
+    getLayer: () => null,
+    unproject: ([x, y]) => lngLat(x, y),
+    fire: (type, x, y) => handlers[type]?.({
+      point: { x, y }, lngLat: lngLat(x, y), originalEvent: { button: 0 }, preventDefault: () => {}
+    }),
+    dragPan: toggle(), boxZoom: toggle(), doubleClickZoom: toggle(),
+  };
+}
+
+test('a box finishes when the button is released off the map', () => {
+  const map = fakeMap();
+  const onDone = jest.fn();
+  const stop = startDrawing(map, 'bbox', { radius: 50, onPreview: () => {}, onDone, onCancel: () => {} });
+  map.fire('mousedown', 100, 200);
+  map.fire('mousemove', 150, 240);
+  fireEvent.mouseUp(window, { clientX: 300, clientY: 100 });
+  expect(onDone).toHaveBeenCalledWith({ type: 'bbox', bbox: [10, 10, 30, 20] });
+  expect(map.handlers.mousemove).toBeUndefined();
+  stop();
+  expect(map.dragPan.enable).toHaveBeenCalled();
+});
+
+test('Escape cancels the tool', () => {
+  const onCancel = jest.fn();
+  const stop = startDrawing(fakeMap(), 'polygon', { radius: 50, onPreview: () => {}, onDone: () => {}, onCancel });
+  fireEvent.keyDown(window, { key: 'Escape' });
+  expect(onCancel).toHaveBeenCalled();
+  stop();
+});
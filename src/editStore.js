@@ -0,0 +1,58 @@
+// IndexedDB persistence for the curation log (see patches.js)
+//
+// One object store of log entries with an auto-increment `seq`, indexed by
+// dataset. Entries are only ever added. Without IndexedDB (some private
+// windows) the log lives in memory for the session.
+
+const DB_NAME = 'classical-map';
+const DB_VERSION = 1;
+const STORE = 'edits';
+
+const memory = [];
+let dbPromise = null;
+
+const request = req => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+function openDb() {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true });
+      store.createIndex('dataset', 'dataset');
+    };
+    dbPromise = request(req).catch(err => {
+      console.error('edits are not saved between sessions', err);
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+// every entry for a dataset, oldest first
+export const loadEdits = dataset => openDb().then(db => db
+  ? request(db.transaction(STORE).objectStore(STORE).index('dataset').getAll(dataset))
+    .then(entries => entries.sort((a, b) => a.seq - b.seq))
+  : memory.filter(e => e.dataset === dataset));
+
+// stamps the entries and stores them in one transaction; resolves to the
+// stored entries with their `seq`
+export function appendEdits(dataset, edits) {
+  const at = new Date().toISOString();
+  const entries = edits.map(e => ({ ...e, dataset, at }));
+  return openDb().then(db => {
+    if (!db) {
+      return entries.map(e => {
+        const entry = { ...e, seq: memory.length + 1 };
+        memory.push(entry);
+        return entry;
+      });
+    }
+    const store = db.transaction(STORE, 'readwrite').objectStore(STORE);
+    return Promise.all(entries.map(e => request(store.add(e))))
+      .then(keys => entries.map((e, i) => ({ ...e, seq: keys[i] })));
+  });
+}
@@ -0,0 +1,105 @@
+// evidence passages and the words in them behind each extracted value
+//
+// The extraction kept no offsets, so the justification is reconstructed:
+// a value is found in a passage by its recorded wording, its vocabulary
+// term, or its distinctive words (and, for dates, its numbers).
+import { ownTerms } from './vocabulary';
+
+export const EVIDENCE_FIELDS = [
+  { id: 'style_evidence', label: 'Style evidence' },
+  { id: 'date_evidence',  label: 'Date evidence' },
+];
+
+// fields whose values are highlighted, with their marker colours
+export const HIGHLIGHT_FIELDS = [
+  { id: 'order',      label: 'Order',    color: '#BFDBFE' },
+  { id: 'morphology', label: 'Typology', color: '#BBF7D0' },
+  { id: 'age',        label: 'Age',      color: '#FDE68A' },
+  { id: 'date',       label: 'Date',     color: '#E9D5FF' },
+];
+
+// words too common in the values to point at anything
+const STOP_WORDS = new Set([
+  'and', 'the', 'with', 'temple', 'order', 'style', 'period', 'century', 'early', 'late',
+  'middle', 'outer', 'inner', 'type', 'plan', 'from', 'circa', 'before', 'after'
+]);
+const MIN_WORD = 4;
+
+const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// strings that count as a mention of `value`, longest first
+export function valuePatterns(field, value) {
+  const patterns = new Set([value.trim()]);
+  ownTerms(field, [value]).forEach(t => patterns.add(t));
+  value.split(/[^\p{L}\p{N}-]+/u).forEach(word => {
+    const w = word.replace(/^-+|-+$/g, '');
+    if (/\d/.test(w) || (w.length >= MIN_WORD && !STOP_WORDS.has(w.toLowerCase()))) patterns.add(w);
+  });
+  return [...patterns].filter(Boolean).sort((a, b) => b.length - a.length);
+}
+
+const patternCache = new Map();
+const patternRegex = p => {
+  if (!patternCache.has(p)) {
+    patternCache.set(p, new RegExp(`(?<![\\p{L}\\p{N}])${escape(p)}(?![\\p{L}\\p{N}])`, 'giu'));
+  }
+  return patternCache.get(p);
+};
+
+// [{ start, end, field, value }] without overlaps, in text order; earlier
+// and longer matches win
+export function findMentions(text, building) {
+  const found = [];
+  HIGHLIGHT_FIELDS.forEach(({ id: field }) => (building[field] || []).forEach(value =>
+    valuePatterns(field, value).forEach(p => {
+      for (const m of text.matchAll(patternRegex(p))) {
+        found.push({ start: m.index, end: m.index + m[0].length, field, value });
+      }
+    })
+  ));
+  found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const mentions = [];
+  found.forEach(m => {
+    if (!mentions.length || m.start >= mentions[mentions.length - 1].end) mentions.push(m);
+  });
+  return mentions;
+}
+
+// the passage cut into [{ text, field?, value? }] runs for rendering
+export function highlightPassage(text, building) {
+  const runs = [];
+  let at = 0;
+  findMentions(text, building).forEach(m => {
+    if (m.start > at) runs.push({ text: text.slice(at, m.start) });
+    runs.push({ text: text.slice(m.start, m.end), field: m.field, value: m.value });
+    at = m.end;
+  });
+  if (at < text.length) runs.push({ text: text.slice(at) });
+  return runs;
+}
+
+// { field: Map(value -> number of passages mentioning it) }
+export function valueSupport(building) {
+  const passages = EVIDENCE_FIELDS.flatMap(f => building[f.id] || []);
+  const support = {};
+  HIGHLIGHT_FIELDS.forEach(({ id: field }) => {
+    support[field] = new Map((building[field] || []).map(v => [v, 0]));
+  });
+  passages.forEach(text => {
+    const seen = new Set();
+    findMentions(text, building).forEach(m => seen.add(`${m.field}\u0000${m.value}`));
+    seen.forEach(key => {
+      const [field, value] = key.split('\u0000');
+      support[field].set(value, support[field].get(value) + 1);
+    });
+  });
+  return support;
+}
+
+// the longer passages (over five words) previewed as a description, two of
+// each kind; buildings from user files may carry only one kind
+export const descriptionPassages = building => EVIDENCE_FIELDS.flatMap(({ id }) =>
+  (building[id] || [])
+    .filter(t => t.split(/\s+/).length > 5)
+    .slice(0, 2)
+    .map((text, i) => ({ key: `${id}-${i}`, text })));
@@ -0,0 +1,35 @@
+import { valuePatterns, highlightPassage, valueSupport } from './evidence';
+
+const building = {
+  order: ['Doric'],
+  morphology: ['in antis'],
+  age: ['Archaic'],
+  date: ['c. 550 BC'],
+  style_evidence: ['A Doric temple in antis, unlike the Doric-Ionic stoa.'],
+  date_evidence: ['which has been dated to c. 550 BC', 'THE LOWER TERRACE IN THE ARCHAIC PERIOD']
+};
+
+test('values are found by wording, terms and distinctive words', () => {
+  expect(valuePatterns('date', 'c. 550 BC')).toEqual(['c. 550 BC', '550']);
+  expect(valuePatterns('age', 'Archaic period to Roman period')).toEqual(
+    expect.arrayContaining(['Archaic', 'Roman']));
+  expect(valuePatterns('age', 'Archaic period to Roman period')).not.toContain('period');
+});
+
+test('highlights whole-word mentions without overlaps', () => {
+  const runs = highlightPassage(building.style_evidence[0], building);
+  expect(runs.filter(r => r.field).map(r => [r.text, r.field])).toEqual([
+    ['Doric', 'order'], ['in antis', 'morphology'], ['Doric', 'order']
+  ]);
+  expect(runs.map(r => r.text).join('')).toBe(building.style_evidence[0]);
+  // the longest match wins over the number inside it
+  expect(highlightPassage(building.date_evidence[0], building).filter(r => r.field))
+    .toEqual([{ text: 'c. 550 BC', field: 'date', value: 'c. 550 BC' }]);
+});
+
+test('counts the passages supporting each value', () => {
+  const support = valueSupport({ ...building, order: ['Doric', 'Corinthian'] });
+  expect(support.order.get('Doric')).toBe(1);
+  expect(support.order.get('Corinthian')).toBe(0);
+  expect(support.age.get('Archaic')).toBe(1);
+});
@@ -0,0 +1,122 @@
+// exports of the filtered result set: flattened CSV, GeoJSON and KML
+//
+// Derived fields added by the loader and the map (dateRange, years, fade,
+// buildingCount, …) are dropped so the output matches the source schema.
+
+const BUILDING_FIELDS = ['id', 'order', 'morphology', 'age', 'date', 'doc_id', 'url'];
+const EVIDENCE_FIELDS = ['style_evidence', 'date_evidence'];
+const LIST_SEPARATOR = '; ';
+const PASSAGE_SEPARATOR = ' | ';
+
+const cleanBuilding = (b, evidence) => {
+  const out = {};
+  [...BUILDING_FIELDS, ...(evidence ? EVIDENCE_FIELDS : [])].forEach(k => {
+    if (b[k] !== undefined) out[k] = b[k];
+  });
+  if (b.geometry) out.geometry = b.geometry;
+  return out;
+};
+
+const csvCell = v => {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// one row per building, site coordinates unless the building has its own point
+export function toCSV(fc, { evidence = true } = {}) {
+  const header = [
+    'site', 'lat', 'lon', 'building', 'order', 'morphology', 'age', 'date',
+    'year_from', 'year_to', 'doc_id', 'url', ...(evidence ? EVIDENCE_FIELDS : [])
+  ];
+  const rows = [];
+  fc.features.forEach(f => {
+    f.properties.buildings.forEach(b => {
+      const [lon, lat] = b.geometry?.type === 'Point' ? b.geometry.coordinates : f.geometry.coordinates;
+      rows.push([
+        f.properties.site, lat, lon, b.id,
+        b.order.join(LIST_SEPARATOR),
+        b.morphology.join(LIST_SEPARATOR),
+        b.age.join(LIST_SEPARATOR),
+        b.date.join(LIST_SEPARATOR),
+        b.years?.from, b.years?.to,
+        b.doc_id, b.url,
+        ...(evidence ? EVIDENCE_FIELDS.map(k => (b[k] || []).join(PASSAGE_SEPARATOR)) : [])
+      ]);
+    });
+  });
+  return [header, ...rows].map(r => r.map(csvCell).join(',')).join('\r\n');
+}
+
+export function toGeoJSON(fc, { evidence = true } = {}) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: fc.features.map(f => ({
+      type: 'Feature',
+      geometry: f.geometry,
+      properties: {
+        site: f.properties.site,
+        buildings: f.properties.buildings.map(b => cleanBuilding(b, evidence))
+      }
+    }))
+  }, null, 2);
+}
+
+const xml = s => String(s)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const kmlDescription = (b, evidence) => [
+  `<h4>${xml(b.id)}</h4>`,
+  ...['order', 'morphology', 'age', 'date']
+    .filter(k => b[k].length)
+    .map(k => `<b>${k === 'morphology' ? 'Typology' : k[0].toUpperCase() + k.slice(1)}:</b> ${xml(b[k].join(LIST_SEPARATOR))}<br/>`),
+  `<a href="${xml(b.url)}">${xml(b.doc_id)}</a>`,
+  ...(evidence
+    ? EVIDENCE_FIELDS.flatMap(k => (b[k] || []).map(t => `<p>${xml(t)}</p>`))
+    : [])
+].join('\n');
+
+// one Placemark per site; its buildings go in the balloon
+export function toKML(fc, { evidence = true } = {}) {
+  const placemarks = fc.features.map(f => {
+    const [lon, lat] = f.geometry.coordinates;
+    const description = f.properties.buildings.map(b => kmlDescription(b, evidence)).join('\n<hr/>\n');
+    return [
+      '    <Placemark>',
+      `      <name>${xml(f.properties.site)}</name>`,
+      `      <description><![CDATA[${description.replace(/]]>/g, ']]]]><![CDATA[>')}]]></description>`,
+      `      <Point><coordinates>${lon},${lat},0</coordinates></Point>`,
+      '    </Placemark>'
+    ].join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    '    <name>Greco-Roman temples</name>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>'
+  ].join('\n');
+}
+
+export const EXPORT_FORMATS = [
+  { id: 'csv',     label: 'CSV',     ext: 'csv',     mime: 'text/csv',                             build: toCSV },
+  { id: 'geojson', label: 'GeoJSON', ext: 'geojson', mime: 'application/geo+json',                 build: toGeoJSON },
+  { id: 'kml',     label: 'KML',     ext: 'kml',     mime: 'application/vnd.google-earth.kml+xml', build: toKML },
+];
+
+// `content` is text, or a Blob already holding the bytes (a PNG)
+export function download(filename, content, mime) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
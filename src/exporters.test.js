@@ -0,0 +1,48 @@
+import { toCSV, toGeoJSON, toKML } from './exporters';
+
+const building = {
+  id: 'Temple of Hera', order: ['Doric'], morphology: ['peripteral', 'hexastyle'],
+  age: ['Archaic'], date: ['c. 550 BC'], doc_id: 'd1', url: 'https://example.org/d1',
+  style_evidence: ['a "Doric" peristyle, six columns'], date_evidence: [],
+  dateRange: { from: -560, to: -540 }, years: { from: -560, to: -540 }, geometry: null
+};
+const fc = {
+  type: 'FeatureCollection',
+  features: [{
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [15.0, 40.4] },
+    properties: { site: 'Paestum & Velia', buildings: [building], buildingCount: 1, fade: 1 }
+  }]
+};
+
+test('csv has one row per building with site coordinates and quoted evidence', () => {
+  const [header, row] = toCSV(fc).split('\r\n');
+  expect(header.split(',')).toEqual([
+    'site', 'lat', 'lon', 'building', 'order', 'morphology', 'age', 'date',
+    'year_from', 'year_to', 'doc_id', 'url', 'style_evidence', 'date_evidence'
+  ]);
+  expect(row).toBe(
+    'Paestum & Velia,40.4,15,Temple of Hera,Doric,peripteral; hexastyle,Archaic,c. 550 BC,' +
+    '-560,-540,d1,https://example.org/d1,"a ""Doric"" peristyle, six columns",'
+  );
+  expect(toCSV(fc, { evidence: false }).split('\r\n')[0]).not.toMatch(/evidence/);
+});
+
+test('geojson drops derived fields and optionally evidence', () => {
+  const out = JSON.parse(toGeoJSON(fc, { evidence: false }));
+  expect(out.features[0].properties).toEqual({
+    site: 'Paestum & Velia',
+    buildings: [{
+      id: 'Temple of Hera', order: ['Doric'], morphology: ['peripteral', 'hexastyle'],
+      age: ['Archaic'], date: ['c. 550 BC'], doc_id: 'd1', url: 'https://example.org/d1'
+    }]
+  });
+});
+
+test('kml escapes names and places one placemark per site', () => {
+  const kml = toKML(fc);
+  expect(kml.match(/<Placemark>/g)).toHaveLength(1);
+  expect(kml).toContain('<name>Paestum &amp; Velia</name>');
+  expect(kml).toContain('<coordinates>15,40.4,0</coordinates>');
+  expect(kml).toContain('a &quot;Doric&quot; peristyle');
+});
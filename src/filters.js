@@ -0,0 +1,152 @@
+// attribute filter engine shared by the map, the side panel and the counts
+//
+// Each facet holds included values, excluded values and a mode: `any`
+// keeps buildings with at least one included value, `all` only those with
+// every one. Excluded values always drop a building. Facets are ANDed.
+// Vocabulary facets match on the building's canonical terms (see vocabulary.js);
+// `region` is set from the historical overlays (see historical.js).
+// `source`, when set, keeps only the buildings cited from that doc_id, and
+// `area` only the sites inside a drawn area (see spatial.js).
+import { overlaps } from './dates';
+import { areaContains } from './spatial';
+
+export const FACETS = ['order', 'morphology', 'age', 'region'];
+export const MODES = ['any', 'all'];
+
+export const emptyFacet = () => ({ include: new Set(), exclude: new Set(), mode: 'any' });
+
+export const emptyFilters = () => ({
+  ...Object.fromEntries(FACETS.map(attr => [attr, emptyFacet()])),
+  source: null,
+  area: null
+});
+
+export const isFacetActive = facet => facet.include.size > 0 || facet.exclude.size > 0;
+
+export const hasActiveFilters = filters =>
+  Boolean(filters.source || filters.area) || FACETS.some(attr => isFacetActive(filters[attr]));
+
+// values a building is filtered on: canonical terms when the loader set them
+export const facetValues = (b, attr) => b.terms?.[attr] ?? b[attr] ?? [];
+
+// 'include' | 'exclude' | null
+export const valueState = (facet, v) =>
+  facet.include.has(v) ? 'include' : facet.exclude.has(v) ? 'exclude' : null;
+
+export function matchesFacet(values, facet) {
+  if (values.some(v => facet.exclude.has(v))) return false;
+  if (!facet.include.size) return true;
+  const included = [...facet.include];
+  return facet.mode === 'all'
+    ? included.every(v => values.includes(v))
+    : included.some(v => values.includes(v));
+}
+
+export const matchesSource = (b, filters) => !filters.source || b.doc_id === filters.source;
+
+// `skip` leaves one facet out, e.g. when counting that facet's options
+export const matchesFilters = (b, filters, skip = null) =>
+  matchesSource(b, filters) &&
+  FACETS.every(attr => attr === skip || matchesFacet(facetValues(b, attr), filters[attr]));
+
+// [from, to] window the building's years must overlap, null = no time filter
+export const matchesTime = (b, timeWindow) =>
+  !timeWindow || overlaps(b.years, timeWindow[0], timeWindow[1]);
+
+export const matchesBuilding = (b, filters, timeWindow, skip = null) =>
+  matchesFilters(b, filters, skip) && matchesTime(b, timeWindow);
+
+export const matchesArea = (f, filters) =>
+  !filters.area || areaContains(filters.area, f.geometry.coordinates);
+
+// sites keeping only their matching buildings; sites left empty are dropped
+export const filterSites = (features, filters, timeWindow) =>
+  features
+    .filter(f => matchesArea(f, filters))
+    .map(f => ({ feature: f, buildings: f.properties.buildings.filter(b => matchesBuilding(b, filters, timeWindow)) }))
+    .filter(r => r.buildings.length);
+
+// buildings per option, given the other facets and the time window. In `any`
+// mode another value widens the facet, so its own includes are ignored; in
+// `all` mode it narrows the current match.
+export function facetCounts(features, filters, timeWindow) {
+  const counts = Object.fromEntries(FACETS.map(attr => [attr, new Map()]));
+  const widened = Object.fromEntries(FACETS.map(attr =>
+    [attr, { ...filters[attr], include: new Set() }]));
+  features.filter(f => matchesArea(f, filters)).forEach(f => f.properties.buildings.forEach(b => {
+    if (!matchesTime(b, timeWindow) || !matchesSource(b, filters)) return;
+    const values = FACETS.map(attr => facetValues(b, attr));
+    const matched = FACETS.map((attr, i) => matchesFacet(values[i], filters[attr]));
+    FACETS.forEach((attr, i) => {
+      if (matched.some((m, j) => j !== i && !m)) return;
+      const own = filters[attr].mode === 'all' ? matched[i] : matchesFacet(values[i], widened[attr]);
+      if (!own) return;
+      new Set(values[i]).forEach(v => counts[attr].set(v, (counts[attr].get(v) || 0) + 1));
+    });
+  }));
+  return counts;
+}
+
+const updateFacet = (filters, attr, fn) => ({ ...filters, [attr]: fn(filters[attr]) });
+
+const withValue = (facet, v, state) => {
+  const include = new Set(facet.include);
+  const exclude = new Set(facet.exclude);
+  include.delete(v);
+  exclude.delete(v);
+  if (state === 'include') include.add(v);
+  if (state === 'exclude') exclude.add(v);
+  return { ...facet, include, exclude };
+};
+
+export const setValue = (filters, attr, v, state) =>
+  updateFacet(filters, attr, facet => withValue(facet, v, state));
+
+// off → include → exclude → off
+export const cycleValue = (filters, attr, v) => {
+  const state = valueState(filters[attr], v);
+  return setValue(filters, attr, v, state === null ? 'include' : state === 'include' ? 'exclude' : null);
+};
+
+// on/off as an include, clearing an exclusion
+export const toggleValue = (filters, attr, v) =>
+  setValue(filters, attr, v, valueState(filters[attr], v) ? null : 'include');
+
+export const setSource = (filters, docId) => ({ ...filters, source: docId });
+
+export const setArea = (filters, area) => ({ ...filters, area });
+
+export const setMode = (filters, attr, mode) =>
+  updateFacet(filters, attr, facet => ({ ...facet, mode }));
+
+// the facet without the exclusions `values` hit and, if it still fails, the
+// includes they lack; `changes` counts the values dropped
+function relaxFacet(facet, values) {
+  const exclude = new Set([...facet.exclude].filter(v => !values.includes(v)));
+  const include = matchesFacet(values, { ...facet, exclude })
+    ? facet.include
+    : new Set([...facet.include].filter(v => values.includes(v)));
+  const changes = facet.exclude.size - exclude.size + facet.include.size - include.size;
+  return { facet: { ...facet, include, exclude }, changes };
+}
+
+// the filters relaxed just enough for site `f` to show one of `buildings`:
+// the area it lies outside of, the source, and in each facet only the values
+// keeping the building that needs the fewest changes hidden
+export function revealFilters(filters, f, buildings = f.properties.buildings) {
+  const candidates = buildings.map(b => {
+    const relaxed = { ...filters, source: matchesSource(b, filters) ? filters.source : null };
+    let changes = relaxed.source === filters.source ? 0 : 1;
+    FACETS.forEach(attr => {
+      const values = facetValues(b, attr);
+      if (matchesFacet(values, filters[attr])) return;
+      const r = relaxFacet(filters[attr], values);
+      relaxed[attr] = r.facet;
+      changes += r.changes;
+    });
+    return { relaxed, changes };
+  });
+  const best = candidates.sort((a, b) => a.changes - b.changes)[0];
+  const revealed = best ? best.relaxed : filters;
+  return matchesArea(f, filters) ? revealed : { ...revealed, area: null };
+}
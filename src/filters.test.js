@@ -0,0 +1,97 @@
+import {
+  emptyFilters, matchesBuilding, filterSites, facetCounts, cycleValue, toggleValue, setMode, setSource,
+  valueState, hasActiveFilters, setValue, setArea, revealFilters
+} from './filters';
+
+const building = (id, order, morphology, years = null) =>
+  ({ id, order, morphology, age: [], years });
+
+const buildings = [
+  building('a', ['Ionic'], ['peripteral', 'hexastyle'], { from: -450, to: -400 }),
+  building('b', ['Ionic', 'Corinthian'], ['peripteral']),
+  building('c', ['Doric'], ['hexastyle'], { from: -100, to: -50 }),
+];
+
+const ids = filters => buildings.filter(b => matchesBuilding(b, filters, null)).map(b => b.id);
+
+test('any/all modes within a facet', () => {
+  let filters = cycleValue(emptyFilters(), 'morphology', 'peripteral');
+  filters = cycleValue(filters, 'morphology', 'hexastyle');
+  expect(ids(filters)).toEqual(['a', 'b', 'c']);
+  expect(ids(setMode(filters, 'morphology', 'all'))).toEqual(['a']);
+});
+
+test('excluded values drop buildings and combine across facets', () => {
+  let filters = cycleValue(emptyFilters(), 'order', 'Ionic');
+  filters = cycleValue(cycleValue(filters, 'order', 'Corinthian'), 'order', 'Corinthian');
+  expect(valueState(filters.order, 'Corinthian')).toBe('exclude');
+  expect(ids(filters)).toEqual(['a']);
+  expect(ids(cycleValue(emptyFilters(), 'morphology', 'hexastyle'))).toEqual(['a', 'c']);
+});
+
+test('cycling and toggling values', () => {
+  let filters = emptyFilters();
+  filters = cycleValue(filters, 'age', 'Archaic');
+  expect(valueState(filters.age, 'Archaic')).toBe('include');
+  filters = cycleValue(filters, 'age', 'Archaic');
+  expect(valueState(filters.age, 'Archaic')).toBe('exclude');
+  expect(valueState(toggleValue(filters, 'age', 'Archaic').age, 'Archaic')).toBeNull();
+  expect(valueState(cycleValue(filters, 'age', 'Archaic').age, 'Archaic')).toBeNull();
+});
+
+test('time window and site filtering', () => {
+  const sites = [
+    { properties: { site: 'x', buildings: buildings.slice(0, 2) } },
+    { properties: { site: 'y', buildings: buildings.slice(2) } },
+  ];
+  const result = filterSites(sites, emptyFilters(), [-500, -300]);
+  expect(result).toHaveLength(1);
+  expect(result[0].feature.properties.site).toBe('x');
+  expect(result[0].buildings.map(b => b.id)).toEqual(['a']);
+});
+
+test('facet counts respect the other facets and the mode', () => {
+  const sites = [{ properties: { buildings } }];
+  const filters = cycleValue(emptyFilters(), 'order', 'Ionic');
+  let counts = facetCounts(sites, filters, null);
+  // other orders stay countable while the order facet is in `any` mode
+  expect(counts.order.get('Doric')).toBe(1);
+  expect(counts.morphology.get('peripteral')).toBe(2);
+  expect(counts.morphology.get('hexastyle')).toBe(1);
+  counts = facetCounts(sites, setMode(filters, 'order', 'all'), null);
+  expect(counts.order.get('Doric')).toBeUndefined();
+  expect(counts.order.get('Corinthian')).toBe(1);
+  expect(facetCounts(sites, emptyFilters(), [-500, -300]).order.get('Ionic')).toBe(1);
+});
+
+test('a source restriction keeps only buildings cited from it', () => {
+  const cited = buildings.map((b, i) => ({ ...b, doc_id: i < 2 ? 'jstor-1' : 'jstor-2' }));
+  const filters = setSource(emptyFilters(), 'jstor-1');
+  expect(hasActiveFilters(filters)).toBe(true);
+  expect(cited.filter(b => matchesBuilding(b, filters, null)).map(b => b.id)).toEqual(['a', 'b']);
+  expect(facetCounts([{ properties: { buildings: cited } }], filters, null).order.get('Doric')).toBeUndefined();
+});
+
+test('revealing a hidden site lifts only the filters in its way', () => {
+  const cited = buildings.map((b, i) => ({ ...b, doc_id: i < 1 ? 'jstor-1' : 'jstor-2' }));
+  const site = { geometry: { coordinates: [0, 0] }, properties: { buildings: cited } };
+  let filters = setValue(emptyFilters(), 'order', 'Doric', 'include');
+  filters = setValue(filters, 'order', 'Corinthian', 'exclude');
+  filters = setValue(filters, 'morphology', 'peripteral', 'include');
+  filters = setArea(setSource(filters, 'jstor-1'), { type: 'circle', center: [50, 50], radius: 1 });
+
+  // building a needs the fewest changes: only the Doric include
+  const revealed = revealFilters(filters, site);
+  expect([...revealed.order.include]).toEqual([]);
+  expect([...revealed.order.exclude]).toEqual(['Corinthian']);
+  expect([...revealed.morphology.include]).toEqual(['peripteral']);
+  expect(revealed.source).toBe('jstor-1');
+  expect(revealed.area).toBeNull();
+  expect(cited.filter(b => matchesBuilding(b, revealed, null)).map(b => b.id)).toEqual(['a']);
+
+  // a chosen building: its source and exclusion go, the other facets stay
+  const b = revealFilters(filters, site, [cited[1]]);
+  expect(b.source).toBeNull();
+  expect([...b.order.exclude]).toEqual([]);
+  expect([...b.morphology.include]).toEqual(['peripteral']);
+});
@@ -0,0 +1,89 @@
+// period gazetteer for `age` tags
+//
+// Every tag the data uses gets year bounds, a parent period and, where it
+// is regional or dynastic, the context it applies to. `segment` ties a
+// period to a timeline band and is inherited by its children; periods
+// spanning several bands (Imperial, Nabataean) have none.
+
+export const PERIODS = [
+  // Greek
+  { tag: 'Archaic',               from: -800, to: -480, segment: 'archaic', context: 'Greek world' },
+  { tag: 'Late Archaic',          from: -550, to: -480, parent: 'Archaic' },
+  { tag: 'Peisistratid',          from: -561, to: -510, parent: 'Late Archaic', context: 'Athens, Peisistratid tyranny' },
+  { tag: 'Classical',             from: -480, to: -323, segment: 'classical', context: 'Greek world' },
+  { tag: 'Early Classical',       from: -480, to: -450, parent: 'Classical' },
+  { tag: 'Periclean',             from: -461, to: -429, parent: 'Classical', context: 'Athens' },
+  { tag: 'Late Classical',        from: -400, to: -323, parent: 'Classical' },
+  { tag: 'Lycurgan Period',       from: -338, to: -322, parent: 'Late Classical', context: 'Athens' },
+  { tag: 'Hellenistic',           from: -323, to: -30,  segment: 'hellenistic', context: 'Greek East' },
+  { tag: 'Early Hellenistic',     from: -323, to: -200, parent: 'Hellenistic' },
+  { tag: 'Late Hellenistic',      from: -200, to: -30,  parent: 'Hellenistic' },
+  { tag: 'Seleucid',              from: -312, to: -63,  parent: 'Hellenistic', context: 'Seleucid dynasty, Syria and the East' },
+  { tag: 'Ptolemaic',             from: -305, to: -30,  parent: 'Hellenistic', context: 'Ptolemaic dynasty, Egypt' },
+  { tag: 'Pergamene',             from: -282, to: -133, parent: 'Hellenistic', context: 'Attalid dynasty, Pergamon' },
+  { tag: 'Hasmonean',             from: -140, to: -37,  parent: 'Hellenistic', context: 'Hasmonean dynasty, Judaea' },
+  { tag: 'Nabataean',             from: -168, to: 106,  context: 'Nabataean kingdom, Petra and Arabia' },
+
+  // Roman
+  { tag: 'Republican',            from: -509, to: -27,  segment: 'republican', context: 'Rome' },
+  { tag: 'Early Republican',      from: -509, to: -287, parent: 'Republican' },
+  { tag: 'Middle Republican',     from: -287, to: -133, parent: 'Republican' },
+  { tag: 'Late Republican',       from: -133, to: -27,  parent: 'Republican' },
+  { tag: 'Sullan',                from: -88,  to: -78,  parent: 'Late Republican', context: 'dictatorship of Sulla' },
+  { tag: 'Caesarian Period',      from: -49,  to: -44,  parent: 'Late Republican', context: 'dictatorship of Caesar' },
+  { tag: 'Triumviral Period',     from: -43,  to: -27,  parent: 'Late Republican', context: 'Second Triumvirate' },
+  { tag: 'Imperial',              from: -27,  to: 476,  context: 'Roman Empire' },
+  { tag: 'Early Imperial',        from: -27,  to: 192,  parent: 'Imperial', segment: 'earlyEmpire' },
+  { tag: 'Julio-Claudian',        from: -27,  to: 68,   parent: 'Early Imperial', context: 'Julio-Claudian dynasty' },
+  { tag: 'Augustan',              from: -27,  to: 14,   parent: 'Julio-Claudian', context: 'reign of Augustus' },
+  { tag: 'Tiberian',              from: 14,   to: 37,   parent: 'Julio-Claudian', context: 'reign of Tiberius' },
+  { tag: 'Neronian',              from: 54,   to: 68,   parent: 'Julio-Claudian', context: 'reign of Nero' },
+  { tag: 'Herodian',              from: -37,  to: 70,   parent: 'Early Imperial', context: 'Herodian dynasty, Judaea' },
+  { tag: 'Claudian-Nervan',       from: 41,   to: 98,   parent: 'Early Imperial' },
+  { tag: 'Flavian',               from: 69,   to: 96,   parent: 'Early Imperial', context: 'Flavian dynasty' },
+  { tag: 'Vespasian',             from: 69,   to: 79,   parent: 'Flavian', context: 'reign of Vespasian' },
+  { tag: 'High Empire',           from: 96,   to: 192,  parent: 'Early Imperial', context: 'Nerva-Antonine dynasty' },
+  { tag: 'Nerva–Trajanian',       from: 96,   to: 117,  parent: 'High Empire' },
+  { tag: 'Trajan',                from: 98,   to: 117,  parent: 'Nerva–Trajanian', context: 'reign of Trajan' },
+  { tag: 'Hadrian',               from: 117,  to: 138,  parent: 'High Empire', context: 'reign of Hadrian' },
+  { tag: 'Antonine',              from: 138,  to: 192,  parent: 'High Empire' },
+  { tag: 'Late Roman',            from: 193,  to: 476,  parent: 'Imperial', segment: 'lateEmpire' },
+  { tag: 'Severan',               from: 193,  to: 235,  parent: 'Late Roman', context: 'Severan dynasty' },
+  { tag: 'Crisis of 3rd Century', from: 235,  to: 284,  parent: 'Late Roman' },
+  { tag: 'Aurelian',              from: 270,  to: 275,  parent: 'Crisis of 3rd Century', context: 'reign of Aurelian' },
+  { tag: 'Diocletian-Tetrarch',   from: 284,  to: 312,  parent: 'Late Roman', context: 'Tetrarchy' },
+  { tag: 'Constantinian',         from: 306,  to: 363,  parent: 'Late Roman', context: 'Constantinian dynasty' },
+  { tag: 'Late Antique',          from: 284,  to: 476,  parent: 'Late Roman' },
+];
+
+// case, spacing and dash variants of a tag share one entry
+export const tagKey = tag => String(tag)
+  .toLowerCase()
+  .replace(/[\u2010-\u2015\u2212]/g, '-')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const BY_KEY = new Map(PERIODS.map(p => [tagKey(p.tag), p]));
+
+export const findPeriod = tag => BY_KEY.get(tagKey(tag)) || null;
+
+// timeline band a period belongs to, through its parents
+export function periodSegment(tag) {
+  for (let p = findPeriod(tag); p; p = p.parent && findPeriod(p.parent)) {
+    if (p.segment) return p.segment;
+  }
+  return null;
+}
+
+// gazetteer tags shown under a timeline band
+export const segmentTags = id => PERIODS.filter(p => periodSegment(p.tag) === id).map(p => p.tag);
+
+// union of the bounds of the known tags, null when none is known
+export function periodBounds(tags) {
+  const known = tags.map(findPeriod).filter(Boolean);
+  if (!known.length) return null;
+  return {
+    from: Math.min(...known.map(p => p.from)),
+    to: Math.max(...known.map(p => p.to)),
+  };
+}
@@ -0,0 +1,37 @@
+import fs from 'fs';
+import path from 'path';
+import { PERIODS, findPeriod, periodSegment, periodBounds } from './gazetteer';
+import { timelineSegments, buildingYears } from './periods';
+import { mapValue } from './vocabulary';
+
+test('tags resolve through case and dash variants', () => {
+  expect(findPeriod('nerva-trajanian').tag).toBe('Nerva–Trajanian');
+  expect(findPeriod('Byzantine')).toBeNull();
+});
+
+test('parents exist, contain their children and give them a timeline band', () => {
+  PERIODS.filter(p => p.parent).forEach(p => {
+    const parent = findPeriod(p.parent);
+    expect(parent).not.toBeNull();
+    expect(p.from).toBeGreaterThanOrEqual(parent.from - 40);
+    expect(p.from).toBeLessThanOrEqual(p.to);
+  });
+  expect(periodSegment('Vespasian')).toBe('earlyEmpire');
+  expect(periodSegment('Imperial')).toBeNull();
+  expect(timelineSegments.find(s => s.id === 'earlyEmpire').tags).toContain('Herodian');
+});
+
+test('undated buildings get years from their age tags', () => {
+  expect(periodBounds(['Trajan', 'Hadrian'])).toEqual({ from: 98, to: 138 });
+  expect(buildingYears({ dateRange: null, age: ['Hasmonean'] })).toMatchObject({ from: -140, to: -37 });
+  expect(buildingYears({ dateRange: null, age: ['Unknown'] })).toBeNull();
+});
+
+test('every age value in the dataset has a gazetteer entry', () => {
+  const data = JSON.parse(fs.readFileSync(path.join(__dirname, '../public/sites.geojson'), 'utf8'));
+  const missing = new Set();
+  data.features.forEach(f => f.properties.buildings.forEach(b =>
+    (b.age || []).forEach(tag => { if (!mapValue('age', tag).length) missing.add(tag); })
+  ));
+  expect([...missing]).toEqual([]);
+});
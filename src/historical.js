@@ -0,0 +1,105 @@
+// historical overlays: Roman provinces by date, Greek regions and roads
+//
+// The outlines in public/overlays are drawn by hand and approximate: good
+// enough to say a site lies in Attica or in Asia, not to settle a border
+// dispute. Provinces and roads carry `from` / `to` years (a province that
+// changed shape or name is one feature per stage); Diocletian's provinces
+// after 284 CE are not drawn. The areas a site falls in are its `region`
+// facet values.
+export const HISTORICAL_LAYERS = [
+  { id: 'provinces', label: 'Roman provinces', file: 'provinces.json', type: 'area', dated: true, color: '#B45309' },
+  { id: 'greek-regions', label: 'Greek regions', file: 'greek-regions.json', type: 'area', color: '#0F766E' },
+  { id: 'roads', label: 'Roads', file: 'roads.json', type: 'line', dated: true, color: '#7C2D12' },
+];
+const AREA_LAYERS = HISTORICAL_LAYERS.filter(l => l.type === 'area');
+
+// dated layers are drawn as they stood in this year when the timeline
+// doesn't say otherwise: the empire at its widest, under Trajan
+export const DEFAULT_LAYER_YEAR = 117;
+
+const overlayUrl = file => `${process.env.PUBLIC_URL}/overlays/${file}`;
+
+// { [layer id]: FeatureCollection }; a layer that fails to load is left out
+export const fetchHistoricalLayers = () => Promise.all(HISTORICAL_LAYERS.map(layer =>
+  fetch(overlayUrl(layer.file))
+    .then(r => (r.ok ? r.json() : null))
+    .catch(() => null)
+    .then(fc => [layer.id, fc])
+)).then(entries => Object.fromEntries(entries.filter(([, fc]) => fc)));
+
+// the year dated layers show: the playback cursor, else the middle of the
+// selected years, else the default
+export function layerYear(playYear, yearRange) {
+  if (playYear !== null) return Math.round(playYear);
+  if (yearRange) return Math.round((yearRange[0] + yearRange[1]) / 2);
+  return DEFAULT_LAYER_YEAR;
+}
+
+// GL filter for the features standing in `year`; a missing bound is open
+export const existsAtFilter = year => ['all',
+  ['<=', ['coalesce', ['get', 'from'], year], year],
+  ['>=', ['coalesce', ['get', 'to'], year], year]
+];
+
+// even-odd ray casting; points exactly on an edge may fall either way
+function inRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i], [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < xi + (xj - xi) * (y - yi) / (yj - yi)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+const inPolygon = (point, [outer, ...holes]) =>
+  inRing(point, outer) && !holes.some(hole => inRing(point, hole));
+
+export function containsPoint(geometry, point) {
+  if (geometry?.type === 'Polygon') return inPolygon(point, geometry.coordinates);
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates.some(p => inPolygon(point, p));
+  return false;
+}
+
+// the facet value for an area; provinces are marked so that the province
+// of Macedonia and the Greek region of Macedonia stay apart
+export const regionName = (layerId, props) =>
+  layerId === 'provinces' ? `${props.name} (province)` : props.name;
+
+// [{ name, from, to }] for every area containing the point, provinces
+// first; `from` / `to` are undefined for undated areas
+export function areasAt(point, layers) {
+  return AREA_LAYERS.flatMap(layer => (layers[layer.id]?.features || [])
+    .filter(f => containsPoint(f.geometry, point))
+    .map(f => ({ name: regionName(layer.id, f.properties), from: f.properties.from, to: f.properties.to })));
+}
+
+const overlaps = (area, years) =>
+  !years || ((area.from ?? -Infinity) <= years.to && (area.to ?? Infinity) >= years.from);
+
+const distinct = names => [...new Set(names)];
+
+// a copy of `fc` with `region` set on each site (every area it lies in)
+// and each building (the areas standing while it did; all of them when
+// undated); null data stays null
+export function withRegions(fc, layers) {
+  if (!fc || !layers) return fc;
+  return {
+    ...fc,
+    features: fc.features.map(f => {
+      const areas = areasAt(f.geometry.coordinates, layers);
+      return {
+        ...f,
+        properties: {
+          ...f.properties,
+          region: distinct(areas.map(a => a.name)),
+          buildings: f.properties.buildings.map(b => ({
+            ...b,
+            region: distinct(areas.filter(a => overlaps(a, b.years)).map(a => a.name))
+          }))
+        }
+      };
+    })
+  };
+}
@@ -0,0 +1,76 @@
+import { containsPoint, layerYear, withRegions, DEFAULT_LAYER_YEAR } from './historical';
+import { cycleValue, emptyFilters, filterSites } from './filters';
+
+const square = (x0, y0, x1, y1) => [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]];
+const area = (name, geometry, years = {}) =>
+  ({ type: 'Feature', properties: { name, ...years }, geometry });
+
+const layers = {
+  provinces: { type: 'FeatureCollection', features: [
+    area('Macedonia', { type: 'Polygon', coordinates: [square(20, 36, 26, 42)] }, { from: -146, to: -28 }),
+    area('Achaea', { type: 'Polygon', coordinates: [square(20, 36, 26, 39)] }, { from: -27, to: 284 }),
+  ] },
+  'greek-regions': { type: 'FeatureCollection', features: [
+    area('Attica', { type: 'Polygon', coordinates: [square(23, 37, 24.5, 38.5)] }),
+    area('Islands', { type: 'MultiPolygon', coordinates: [
+      [square(25, 36, 26, 37)],
+      [square(27, 36, 28, 37)],
+    ] }),
+  ] },
+};
+
+const site = (name, coordinates, buildings) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates },
+  properties: { site: name, buildings }
+});
+
+test('points in polygons, multipolygons and holes', () => {
+  const holed = { type: 'Polygon', coordinates: [square(0, 0, 10, 10), square(4, 4, 6, 6)] };
+  expect(containsPoint(holed, [2, 2])).toBe(true);
+  expect(containsPoint(holed, [5, 5])).toBe(false);
+  expect(containsPoint(holed, [11, 5])).toBe(false);
+  const islands = layers['greek-regions'].features[1].geometry;
+  expect(containsPoint(islands, [27.5, 36.5])).toBe(true);
+  expect(containsPoint(islands, [26.5, 36.5])).toBe(false);
+  expect(containsPoint({ type: 'Point', coordinates: [0, 0] }, [0, 0])).toBe(false);
+});
+
+test('sites get every area, buildings the provinces of their time', () => {
+  const fc = { type: 'FeatureCollection', features: [
+    site('Athens', [23.7, 38.0], [
+      { id: 'classical', years: { from: -450, to: -400 } },
+      { id: 'roman', years: { from: 120, to: 130 } },
+      { id: 'undated', years: null },
+    ]),
+    site('Nowhere', [0, 0], [{ id: 'x', years: null }]),
+  ] };
+  const [athens, nowhere] = withRegions(fc, layers).features;
+  expect(athens.properties.region).toEqual(['Macedonia (province)', 'Achaea (province)', 'Attica']);
+  expect(athens.properties.buildings.map(b => b.region)).toEqual([
+    ['Attica'],
+    ['Achaea (province)', 'Attica'],
+    ['Macedonia (province)', 'Achaea (province)', 'Attica'],
+  ]);
+  expect(nowhere.properties.region).toEqual([]);
+  // the input is left alone
+  expect(fc.features[0].properties.region).toBeUndefined();
+  expect(withRegions(fc, null)).toBe(fc);
+});
+
+test('region is a facet like any other', () => {
+  const fc = withRegions({ type: 'FeatureCollection', features: [
+    site('Athens', [23.7, 38.0], [{ id: 'a', years: null }]),
+    site('Corinth', [22.9, 37.9], [{ id: 'b', years: null }]),
+  ] }, layers);
+  const filters = cycleValue(emptyFilters(), 'region', 'Attica');
+  expect(filterSites(fc.features, filters, null).map(r => r.feature.properties.site)).toEqual(['Athens']);
+  // sites without regions never match an included one
+  expect(filterSites([site('Nowhere', [0, 0], [{ id: 'x', years: null }])], filters, null)).toEqual([]);
+});
+
+test('dated layers follow playback, then the selected years', () => {
+  expect(layerYear(-212.4, [-500, 0])).toBe(-212);
+  expect(layerYear(null, [-500, 0])).toBe(-250);
+  expect(layerYear(null, null)).toBe(DEFAULT_LAYER_YEAR);
+});
@@ -0,0 +1,352 @@
+// Mapbox sources & layers for the sites
+//
+// The same filtered FeatureCollection feeds two sources: `sites` for plain
+// points and the heatmap, `sites-clustered` for cluster bubbles (clustering is
+// a source option, so it cannot be toggled on a single source).
+
+import { OVERLAY_COLOR, colorExpression, radiusExpression } from './symbology';
+import { HISTORICAL_LAYERS, existsAtFilter } from './historical';
+import { areaGeometry } from './spatial';
+
+export const DISPLAY_MODES = [
+  { id: 'points',   label: 'Points' },
+  { id: 'clusters', label: 'Clusters' },
+  { id: 'heatmap',  label: 'Heatmap' },
+];
+
+// layers that draw individual, clickable sites
+export const SITE_LAYERS = ['sites-layer', 'sites-unclustered'];
+export const SITE_SOURCES = ['sites', 'sites-clustered'];
+// clickable building layers, shown once zoomed into a site
+export const BUILDING_LAYERS = ['buildings-footprint', 'buildings-layer'];
+
+const HEATMAP_MAX_ZOOM = 9;
+const CLUSTER_MAX_ZOOM = 11;
+export const BUILDING_MIN_ZOOM = 13;
+// sites from a user's file shown over the bundled ones
+export const OVERLAY_LAYER = 'overlay-sites';
+const OVERLAY_LABEL_MIN_ZOOM = 7;
+// ring around the site focused in the keyboard site list
+export const FOCUS_LAYER = 'sites-focus';
+// historical overlays and the filter area go under the first site layer
+const UNDER_SITES = 'sites-heat';
+// the area the sites are filtered to, or the one being drawn
+export const AREA_LAYER = 'spatial-area';
+const AREA_COLOR = '#2563EB';
+const HISTORICAL_LABEL_MIN_ZOOM = 4;
+
+const MODE_LAYERS = {
+  points:   ['sites-layer'],
+  clusters: ['clusters', 'cluster-count', 'sites-unclustered'],
+  heatmap:  ['sites-heat', 'sites-layer'],
+};
+
+const sitePaint = {
+  'circle-radius': radiusExpression,
+  'circle-color': colorExpression('order', null),
+  'circle-stroke-width': 1,
+  'circle-stroke-color': '#fff',
+  // sites fade in during playback
+  'circle-opacity': ['coalesce', ['get', 'fade'], 1]
+};
+
+export function addSiteLayers(map, data) {
+  map.addSource('sites', { type: 'geojson', data });
+  map.addSource('sites-clustered', {
+    type: 'geojson',
+    data,
+    cluster: true,
+    clusterRadius: 50,
+    clusterMaxZoom: CLUSTER_MAX_ZOOM,
+    // bubbles report buildings, not just sites
+    clusterProperties: { buildingCount: ['+', ['get', 'buildingCount']] }
+  });
+
+  map.addLayer({
+    id: 'sites-heat',
+    type: 'heatmap',
+    source: 'sites',
+    maxzoom: HEATMAP_MAX_ZOOM,
+    layout: { visibility: 'none' },
+    paint: {
+      // weighted by buildings passing the filters at each site
+      'heatmap-weight': ['interpolate', ['linear'], ['coalesce', ['get', 'buildingCount'], 1],
+        1, 0.3, 10, 1],
+      'heatmap-intensity': ['interpolate', ['linear'], ['zoom'], 3, 0.8, HEATMAP_MAX_ZOOM, 2],
+      'heatmap-radius': ['interpolate', ['linear'], ['zoom'], 3, 12, HEATMAP_MAX_ZOOM, 30],
+      'heatmap-color': ['interpolate', ['linear'], ['heatmap-density'],
+        0, 'rgba(37,99,235,0)',
+        0.2, '#93C5FD',
+        0.5, '#2563EB',
+        0.8, '#F59E0B',
+        1, '#DC2626'
+      ],
+      'heatmap-opacity': ['interpolate', ['linear'], ['zoom'],
+        HEATMAP_MAX_ZOOM - 1, 0.9, HEATMAP_MAX_ZOOM, 0]
+    }
+  });
+
+  map.addLayer({
+    id: 'sites-layer',
+    type: 'circle',
+    source: 'sites',
+    paint: sitePaint
+  });
+
+  map.addLayer({
+    id: 'clusters',
+    type: 'circle',
+    source: 'sites-clustered',
+    filter: ['has', 'point_count'],
+    layout: { visibility: 'none' },
+    paint: {
+      'circle-color': ['step', ['get', 'point_count'], '#93C5FD', 10, '#2563EB', 50, '#1D4ED8'],
+      'circle-radius': ['step', ['get', 'point_count'], 14, 10, 20, 50, 28],
+      'circle-stroke-width': 2,
+      'circle-stroke-color': '#fff'
+    }
+  });
+  map.addLayer({
+    id: 'cluster-count',
+    type: 'symbol',
+    source: 'sites-clustered',
+    filter: ['has', 'point_count'],
+    layout: {
+      visibility: 'none',
+      'text-field': ['get', 'point_count_abbreviated'],
+      'text-size': 12
+    },
+    paint: { 'text-color': '#fff' }
+  });
+  map.addLayer({
+    id: 'sites-unclustered',
+    type: 'circle',
+    source: 'sites-clustered',
+    filter: ['!', ['has', 'point_count']],
+    layout: { visibility: 'none' },
+    paint: sitePaint
+  });
+}
+
+export function addBuildingLayers(map) {
+  map.addSource('buildings', {
+    type: 'geojson',
+    data: { type: 'FeatureCollection', features: [] }
+  });
+  map.addLayer({
+    id: 'buildings-footprint',
+    type: 'fill',
+    source: 'buildings',
+    minzoom: BUILDING_MIN_ZOOM,
+    filter: ['!=', ['geometry-type'], 'Point'],
+    paint: {
+      'fill-color': colorExpression('order', null, 'doc_id'),
+      'fill-opacity': 0.5,
+      'fill-outline-color': '#333'
+    }
+  });
+  map.addLayer({
+    id: 'buildings-layer',
+    type: 'circle',
+    source: 'buildings',
+    minzoom: BUILDING_MIN_ZOOM,
+    filter: ['==', ['geometry-type'], 'Point'],
+    paint: {
+      'circle-radius': 7,
+      'circle-color': colorExpression('order', null, 'doc_id'),
+      // hollow when placed around the site rather than surveyed
+      'circle-opacity': ['case', ['get', 'located'], 1, 0.35],
+      'circle-stroke-width': 2,
+      'circle-stroke-color': ['case', ['get', 'located'], '#fff', '#333']
+    }
+  });
+  map.addLayer({
+    id: 'buildings-label',
+    type: 'symbol',
+    source: 'buildings',
+    minzoom: BUILDING_MIN_ZOOM + 1,
+    layout: {
+      'text-field': ['get', 'id'],
+      'text-size': 11,
+      'text-offset': [0, 1.2],
+      'text-anchor': 'top',
+      'text-optional': true
+    },
+    paint: { 'text-color': '#333', 'text-halo-color': '#fff', 'text-halo-width': 1 }
+  });
+}
+
+// drawn above everything else: hollow-ringed circles in the overlay colour,
+// labelled once zoomed in
+export function addOverlayLayers(map) {
+  map.addSource(OVERLAY_LAYER, {
+    type: 'geojson',
+    data: { type: 'FeatureCollection', features: [] }
+  });
+  map.addLayer({
+    id: OVERLAY_LAYER,
+    type: 'circle',
+    source: OVERLAY_LAYER,
+    paint: {
+      'circle-radius': radiusExpression,
+      'circle-color': colorExpression('order', null),
+      'circle-opacity': 0.6,
+      'circle-stroke-width': 3,
+      'circle-stroke-color': OVERLAY_COLOR
+    }
+  });
+  map.addLayer({
+    id: `${OVERLAY_LAYER}-label`,
+    type: 'symbol',
+    source: OVERLAY_LAYER,
+    minzoom: OVERLAY_LABEL_MIN_ZOOM,
+    layout: {
+      'text-field': ['get', 'site'],
+      'text-size': 11,
+      'text-offset': [0, 1.1],
+      'text-anchor': 'top',
+      'text-optional': true
+    },
+    paint: { 'text-color': OVERLAY_COLOR, 'text-halo-color': '#fff', 'text-halo-width': 1 }
+  });
+}
+
+export function setOverlayData(map, data) {
+  map.getSource(OVERLAY_LAYER)?.setData(data);
+}
+
+// drawn last so the ring sits on top of every display mode
+export function addFocusLayer(map) {
+  map.addSource(FOCUS_LAYER, {
+    type: 'geojson',
+    data: { type: 'FeatureCollection', features: [] }
+  });
+  map.addLayer({
+    id: FOCUS_LAYER,
+    type: 'circle',
+    source: FOCUS_LAYER,
+    paint: {
+      'circle-radius': 16,
+      'circle-color': 'rgba(0,0,0,0)',
+      'circle-stroke-width': 3,
+      'circle-stroke-color': '#111827'
+    }
+  });
+}
+
+export function setFocusedSite(map, feature) {
+  map.getSource(FOCUS_LAYER)?.setData({
+    type: 'FeatureCollection',
+    features: feature ? [feature] : []
+  });
+}
+
+// provinces, Greek regions and roads (historical.js), hidden until toggled;
+// `layers` holds the FeatureCollections that loaded
+const historicalIds = layer => [`hist-${layer.id}`, `hist-${layer.id}-outline`, `hist-${layer.id}-label`];
+
+export function addHistoricalLayers(map, layers, year) {
+  HISTORICAL_LAYERS.filter(layer => layers[layer.id]).forEach(layer => {
+    const [id, outline, label] = historicalIds(layer);
+    if (map.getSource(id)) return;
+    map.addSource(id, { type: 'geojson', data: layers[layer.id] });
+    const common = {
+      source: id,
+      layout: { visibility: 'none' },
+      ...(layer.dated ? { filter: existsAtFilter(year) } : {})
+    };
+    if (layer.type === 'area') {
+      map.addLayer({
+        ...common, id, type: 'fill',
+        paint: { 'fill-color': layer.color, 'fill-opacity': 0.08 }
+      }, UNDER_SITES);
+    }
+    map.addLayer({
+      ...common,
+      id: outline,
+      type: 'line',
+      paint: layer.type === 'area'
+        ? { 'line-color': layer.color, 'line-width': 1.5, 'line-dasharray': [3, 2] }
+        : { 'line-color': layer.color, 'line-width': 2, 'line-opacity': 0.7 }
+    }, UNDER_SITES);
+    map.addLayer({
+      ...common,
+      id: label,
+      type: 'symbol',
+      minzoom: HISTORICAL_LABEL_MIN_ZOOM,
+      layout: {
+        ...common.layout,
+        'text-field': ['get', 'name'],
+        'text-size': 12,
+        'text-optional': true,
+        ...(layer.type === 'line' ? { 'symbol-placement': 'line' } : {})
+      },
+      paint: { 'text-color': layer.color, 'text-halo-color': '#fff', 'text-halo-width': 1 }
+    }, UNDER_SITES);
+  });
+}
+
+export function addAreaLayers(map) {
+  map.addSource(AREA_LAYER, {
+    type: 'geojson',
+    data: { type: 'FeatureCollection', features: [] }
+  });
+  map.addLayer({
+    id: AREA_LAYER,
+    type: 'fill',
+    source: AREA_LAYER,
+    paint: { 'fill-color': AREA_COLOR, 'fill-opacity': 0.08 }
+  }, UNDER_SITES);
+  map.addLayer({
+    id: `${AREA_LAYER}-outline`,
+    type: 'line',
+    source: AREA_LAYER,
+    paint: { 'line-color': AREA_COLOR, 'line-width': 2, 'line-dasharray': [2, 1] }
+  }, UNDER_SITES);
+}
+
+export function setAreaShape(map, area) {
+  map.getSource(AREA_LAYER)?.setData({
+    type: 'FeatureCollection',
+    features: area ? [{ type: 'Feature', properties: {}, geometry: areaGeometry(area) }] : []
+  });
+}
+
+export function setHistoricalVisibility(map, shown) {
+  HISTORICAL_LAYERS.forEach(layer => historicalIds(layer).forEach(id => {
+    if (map.getLayer(id)) map.setLayoutProperty(id, 'visibility', shown[layer.id] ? 'visible' : 'none');
+  }));
+}
+
+// dated layers show what stood in `year`
+export function setHistoricalYear(map, year) {
+  HISTORICAL_LAYERS.filter(layer => layer.dated).forEach(layer => historicalIds(layer).forEach(id => {
+    if (map.getLayer(id)) map.setFilter(id, existsAtFilter(year));
+  }));
+}
+
+export function setSiteData(map, data) {
+  SITE_SOURCES.forEach(id => map.getSource(id)?.setData(data));
+}
+
+export function applyDisplayMode(map, mode) {
+  const shown = new Set(MODE_LAYERS[mode]);
+  Object.values(MODE_LAYERS).flat().forEach(id => {
+    if (map.getLayer(id)) {
+      map.setLayoutProperty(id, 'visibility', shown.has(id) ? 'visible' : 'none');
+    }
+  });
+  // under the heatmap, points only take over once it fades out
+  map.setLayerZoomRange('sites-layer', mode === 'heatmap' ? HEATMAP_MAX_ZOOM - 1 : 0, 24);
+}
+
+// zoom into a clicked cluster bubble; mapbox-gl answers with a callback,
+// MapLibre with a promise
+export function expandCluster(map, feature) {
+  const zoomTo = zoom => map.easeTo({ center: feature.geometry.coordinates, zoom });
+  const pending = map.getSource('sites-clustered').getClusterExpansionZoom(
+    feature.properties.cluster_id,
+    (err, zoom) => { if (!err) zoomTo(zoom); }
+  );
+  pending?.then?.(zoomTo).catch(() => {});
+}
@@ -0,0 +1,47 @@
+import { DISPLAY_MODES, applyDisplayMode, expandCluster } from './mapLayers';
+
+// just enough of a map: the site layers with their visibility and zoom range
+function fakeMap(expansionZoom) {
+  const layers = {};
+  ['sites-layer', 'sites-heat', 'clusters', 'cluster-count', 'sites-unclustered']
+    .forEach(id => { layers[id] = { visibility: 'visible', minzoom: 0 }; });
+  return {
+    layers,
+    getLayer: id => layers[id],
+    setLayoutProperty: (id, prop, value) => { layers[id][prop] = value; },
+    setLayerZoomRange: (id, minzoom) => { layers[id].minzoom = minzoom; },
+    getSource: () => ({ getClusterExpansionZoom: expansionZoom }),
+    easeTo: jest.fn(),
+  };
+}
+
+const visible = map => Object.keys(map.layers).filter(id => map.layers[id].visibility === 'visible').sort();
+
+test('each display mode shows only its own site layers', () => {
+  const map = fakeMap();
+  expect(DISPLAY_MODES.map(m => m.id)).toEqual(['points', 'clusters', 'heatmap']);
+  applyDisplayMode(map, 'clusters');
+  expect(visible(map)).toEqual(['cluster-count', 'clusters', 'sites-unclustered']);
+  applyDisplayMode(map, 'heatmap');
+  expect(visible(map)).toEqual(['sites-heat', 'sites-layer']);
+  // points take over from the heatmap only when zoomed in
+  expect(map.layers['sites-layer'].minzoom).toBeGreaterThan(0);
+  applyDisplayMode(map, 'points');
+  expect(visible(map)).toEqual(['sites-layer']);
+  expect(map.layers['sites-layer'].minzoom).toBe(0);
+});
+
+const cluster = { geometry: { coordinates: [15, 40] }, properties: { cluster_id: 7 } };
+
+test('a clicked cluster zooms in, answered by callback (mapbox-gl)', () => {
+  const map = fakeMap((id, callback) => callback(null, id + 1));
+  expandCluster(map, cluster);
+  expect(map.easeTo).toHaveBeenCalledWith({ center: [15, 40], zoom: 8 });
+});
+
+test('a clicked cluster zooms in, answered by promise (MapLibre)', async () => {
+  const map = fakeMap(id => Promise.resolve(id + 2));
+  expandCluster(map, cluster);
+  await Promise.resolve();
+  expect(map.easeTo).toHaveBeenCalledWith({ center: [15, 40], zoom: 9 });
+});
@@ -0,0 +1,172 @@
+// curation edits layered over a dataset
+//
+// Edits are kept as an append-only audit log; undoing one appends a
+// `revert` entry rather than deleting it. The edits still in effect form
+// the patch set, which is applied to the loaded data in the app and to
+// the source GeoJSON by scripts/apply-patch.mjs. Buildings are addressed
+// by site name + doc_id + id, never by position, so a patch survives the
+// file being reordered or re-generated.
+//
+//   { op: 'add',     site, doc_id, id, field, value }
+//   { op: 'remove',  site, doc_id, id, field, value }
+//   { op: 'replace', site, doc_id, id, field, from, to }
+//   { op: 'move',    site, from: [lng, lat], to: [lng, lat] }
+//   { op: 'flag',    site, doc_id, id, field, value, note }
+//   { op: 'revert',  target: seq }
+//
+// A flag marks an evidence passage (`value`) as wrong without changing the
+// data; it is carried in the patch for whoever curates the source.
+//
+// Log entries also carry `seq`, `dataset` and an ISO `at` timestamp.
+
+export const PATCH_TYPE = 'temple-map-patch';
+export const PATCH_VERSION = 1;
+
+// building fields edits may touch
+export const EDITABLE_FIELDS = ['order', 'morphology', 'age', 'date'];
+// fields whose passages can be flagged
+export const FLAGGABLE_FIELDS = ['style_evidence', 'date_evidence'];
+const FLAG_EXCERPT = 60;
+
+const FIELD_LABELS = { morphology: 'typology', style_evidence: 'style evidence', date_evidence: 'date evidence' };
+
+const excerpt = s => (s.length > FLAG_EXCERPT ? `${s.slice(0, FLAG_EXCERPT)}…` : s);
+
+// edits not undone, in the order they were made
+export function activeEdits(log) {
+  const reverted = new Set(log.filter(e => e.op === 'revert').map(e => e.target));
+  return log.filter(e => e.op !== 'revert' && !reverted.has(e.seq));
+}
+
+export const editTarget = e => (e.op === 'move' ? e.site : `${e.id} (${e.site})`);
+
+export function describeEdit(e, log = []) {
+  const field = FIELD_LABELS[e.field] || e.field;
+  switch (e.op) {
+    case 'add':     return `Added "${e.value}" to ${field} of ${editTarget(e)}`;
+    case 'remove':  return `Removed "${e.value}" from ${field} of ${editTarget(e)}`;
+    case 'replace': return `Changed ${field} "${e.from}" to "${e.to}" on ${editTarget(e)}`;
+    case 'move':    return `Moved ${e.site} to ${e.to.map(n => n.toFixed(5)).join(', ')}`;
+    case 'flag':    return `Flagged ${field} of ${editTarget(e)} as wrong: "${excerpt(e.value)}"${e.note ? ` (${e.note})` : ''}`;
+    case 'revert': {
+      const target = log.find(t => t.seq === e.target);
+      return `Undid: ${target ? describeEdit(target) : `edit #${e.target}`}`;
+    }
+    default:        return `Unknown edit "${e.op}"`;
+  }
+}
+
+const same = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+// { data, conflicts: [{ edit, reason }] }; `data` shares every site and
+// building the edits don't touch. `prepare(building)` re-derives fields on
+// the buildings that changed; `normalise(text)` is applied to names and
+// values before comparing them, `round(n)` to coordinates.
+export function applyEdits(fc, edits, { prepare = b => b, normalise = s => s, round = n => n } = {}) {
+  const features = [...fc.features];
+  const siteIndex = new Map(features.map((f, i) => [normalise(f.properties.site), i]));
+  const touchedSites = new Set(), touchedBuildings = new Set();
+  const conflicts = [];
+
+  const siteFor = name => {
+    const i = siteIndex.get(normalise(name));
+    if (i === undefined) return null;
+    if (!touchedSites.has(i)) {
+      const f = features[i];
+      features[i] = {
+        ...f,
+        geometry: { ...f.geometry, coordinates: [...f.geometry.coordinates] },
+        properties: { ...f.properties, buildings: [...f.properties.buildings] },
+      };
+      touchedSites.add(i);
+    }
+    return features[i];
+  };
+
+  const buildingFor = (site, e) => {
+    const buildings = site.properties.buildings;
+    const j = buildings.findIndex(b =>
+      normalise(b.doc_id) === normalise(e.doc_id) && normalise(b.id) === normalise(e.id));
+    if (j < 0) return null;
+    if (!touchedBuildings.has(buildings[j])) {
+      const b = buildings[j];
+      buildings[j] = { ...b, ...Object.fromEntries(EDITABLE_FIELDS.map(k => [k, [...(b[k] || [])]])) };
+      touchedBuildings.add(buildings[j]);
+    }
+    return buildings[j];
+  };
+
+  edits.forEach(e => {
+    const conflict = reason => conflicts.push({ edit: e, reason });
+    // flags only check the passage is still there
+    if (e.op === 'flag') {
+      const i = siteIndex.get(normalise(e.site));
+      if (i === undefined) return conflict(`site "${e.site}" not found`);
+      const b = features[i].properties.buildings.find(b =>
+        normalise(b.doc_id) === normalise(e.doc_id) && normalise(b.id) === normalise(e.id));
+      if (!b) return conflict(`building "${e.id}" (${e.doc_id}) not found`);
+      if (!FLAGGABLE_FIELDS.includes(e.field) ||
+          !(b[e.field] || []).some(v => normalise(v) === normalise(e.value))) {
+        conflict(`flagged passage is no longer in ${e.field}`);
+      }
+      return;
+    }
+    const site = siteFor(e.site);
+    if (!site) return conflict(`site "${e.site}" not found`);
+
+    if (e.op === 'move') {
+      const [lng, lat] = site.geometry.coordinates;
+      if (!same([lng, lat].map(round), e.from)) conflict(`site was at ${lng}, ${lat}, not ${e.from.join(', ')}; moved anyway`);
+      site.geometry.coordinates = [...e.to, ...site.geometry.coordinates.slice(2)];
+      return;
+    }
+    if (!EDITABLE_FIELDS.includes(e.field)) return conflict(`field "${e.field}" cannot be edited`);
+    const b = buildingFor(site, e);
+    if (!b) return conflict(`building "${e.id}" (${e.doc_id}) not found`);
+    const values = b[e.field];
+    const indexOf = v => values.findIndex(x => normalise(x) === normalise(v));
+
+    if (e.op === 'add') {
+      if (indexOf(e.value) >= 0) return conflict(`"${e.value}" is already in ${e.field}`);
+      values.push(e.value);
+    } else if (e.op === 'remove') {
+      const i = indexOf(e.value);
+      if (i < 0) return conflict(`"${e.value}" is not in ${e.field}`);
+      values.splice(i, 1);
+    } else if (e.op === 'replace') {
+      const i = indexOf(e.from);
+      if (i < 0) return conflict(`"${e.from}" is not in ${e.field}`);
+      values[i] = e.to;
+    } else {
+      conflict(`unknown edit "${e.op}"`);
+    }
+  });
+
+  touchedBuildings.forEach(b => prepare(b));
+  return { data: { ...fc, features }, conflicts };
+}
+
+// active flags on one building: Map(`${field}\u0000${passage}` -> edit)
+export function buildingFlags(edits, site, b) {
+  return new Map(edits
+    .filter(e => e.op === 'flag' && e.site === site && e.doc_id === b.doc_id && e.id === b.id)
+    .map(e => [`${e.field}\u0000${e.value}`, e]));
+}
+
+// the patch file handed to scripts/apply-patch.mjs
+export function toPatchFile(log, dataset) {
+  return {
+    type: PATCH_TYPE,
+    version: PATCH_VERSION,
+    dataset,
+    exported: new Date().toISOString(),
+    edits: activeEdits(log).map(({ seq, dataset: _, ...edit }) => edit),
+  };
+}
+
+export function readPatchFile(json) {
+  if (json?.type !== PATCH_TYPE) throw new Error(`not a ${PATCH_TYPE} file`);
+  if (json.version > PATCH_VERSION) throw new Error(`patch version ${json.version} is newer than this tool (${PATCH_VERSION})`);
+  if (!Array.isArray(json.edits)) throw new Error('patch has no edits');
+  return json;
+}
@@ -0,0 +1,84 @@
+import { activeEdits, applyEdits, buildingFlags, describeEdit, toPatchFile, readPatchFile } from './patches';
+
+const fc = {
+  type: 'FeatureCollection',
+  features: [{
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [15.0, 40.4] },
+    properties: {
+      site: 'Paestum',
+      buildings: [
+        {
+          id: 'Temple of Hera', doc_id: 'd1', order: ['Doric'], morphology: [], age: ['Archaic'], date: ['550 BC'],
+          style_evidence: ['A Doric temple of the sixth century.']
+        },
+        { id: 'Temple of Athena', doc_id: 'd2', order: [], morphology: [], age: [], date: [] }
+      ]
+    }
+  }]
+};
+const hera = { site: 'Paestum', doc_id: 'd1', id: 'Temple of Hera' };
+
+test('reverted edits drop out of the patch set but stay in the log', () => {
+  const log = [
+    { seq: 1, op: 'add', ...hera, field: 'order', value: 'Ionic' },
+    { seq: 2, op: 'remove', ...hera, field: 'age', value: 'Archaic' },
+    { seq: 3, op: 'revert', target: 1 }
+  ];
+  expect(activeEdits(log).map(e => e.seq)).toEqual([2]);
+  expect(describeEdit(log[2], log)).toBe('Undid: Added "Ionic" to order of Temple of Hera (Paestum)');
+  const patch = readPatchFile(toPatchFile(log, 'sites'));
+  expect(patch.edits).toEqual([{ op: 'remove', ...hera, field: 'age', value: 'Archaic' }]);
+});
+
+test('applies edits without touching the input', () => {
+  const edits = [
+    { op: 'add', ...hera, field: 'order', value: 'Ionic' },
+    { op: 'replace', ...hera, field: 'date', from: '550 BC', to: 'c. 550 BC' },
+    { op: 'move', site: 'Paestum', from: [15.0, 40.4], to: [15.005, 40.42] }
+  ];
+  const prepared = [];
+  const { data, conflicts } = applyEdits(fc, edits, { prepare: b => prepared.push(b.id) });
+  expect(conflicts).toEqual([]);
+  const site = data.features[0];
+  expect(site.geometry.coordinates).toEqual([15.005, 40.42]);
+  expect(site.properties.buildings[0]).toMatchObject({ order: ['Doric', 'Ionic'], date: ['c. 550 BC'] });
+  expect(site.properties.buildings[1]).toBe(fc.features[0].properties.buildings[1]);
+  expect(prepared).toEqual(['Temple of Hera']);
+  expect(fc.features[0].properties.buildings[0].order).toEqual(['Doric']);
+  expect(fc.features[0].geometry.coordinates).toEqual([15.0, 40.4]);
+});
+
+test('edits that no longer match are reported as conflicts', () => {
+  const { conflicts } = applyEdits(fc, [
+    { op: 'remove', ...hera, field: 'order', value: 'Ionic' },
+    { op: 'add', ...hera, id: 'Temple of Neptune', field: 'order', value: 'Doric' },
+    { op: 'add', ...hera, site: 'Sybaris', field: 'order', value: 'Doric' }
+  ]);
+  expect(conflicts.map(c => c.reason)).toEqual([
+    '"Ionic" is not in order',
+    'building "Temple of Neptune" (d1) not found',
+    'site "Sybaris" not found'
+  ]);
+});
+
+test('moves compare against the coordinates the app showed', () => {
+  const precise = { ...fc, features: [{ ...fc.features[0], geometry: { type: 'Point', coordinates: [15.00000012, 40.39999987] } }] };
+  const move = { op: 'move', site: 'Paestum', from: [15.0, 40.4], to: [15.005, 40.42] };
+  expect(applyEdits(precise, [move]).conflicts.map(c => c.reason)).toEqual(
+    ['site was at 15.00000012, 40.39999987, not 15, 40.4; moved anyway']);
+  const round = n => Number(n.toFixed(6));
+  const { data, conflicts } = applyEdits(precise, [move], { round });
+  expect(conflicts).toEqual([]);
+  expect(data.features[0].geometry.coordinates).toEqual([15.005, 40.42]);
+});
+
+test('flags mark passages without changing the data', () => {
+  const flag = { seq: 1, op: 'flag', ...hera, field: 'style_evidence', value: 'A Doric temple of the sixth century.', note: 'Ionic' };
+  const { data, conflicts } = applyEdits(fc, [flag]);
+  expect(conflicts).toEqual([]);
+  expect(data.features[0]).toBe(fc.features[0]);
+  expect(buildingFlags([flag], 'Paestum', fc.features[0].properties.buildings[0]).size).toBe(1);
+  expect(describeEdit(flag)).toBe('Flagged style evidence of Temple of Hera (Paestum) as wrong: "A Doric temple of the sixth century." (Ionic)');
+  expect(applyEdits(fc, [{ ...flag, value: 'gone' }]).conflicts).toHaveLength(1);
+});
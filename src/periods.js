@@ -0,0 +1,36 @@
+// signature timeline segments; their tags come from the period gazetteer
+import { segmentTags, periodBounds, findPeriod } from './gazetteer';
+
+const segment = (id, label, start, end) => ({ id, label, start, end, tags: segmentTags(id) });
+
+export const timelineSegments = [
+  segment('archaic',     'Archaic & Early', -800, -480),
+  segment('classical',   'Classical',       -480, -323),
+  segment('hellenistic', 'Hellenistic',     -323, -30),
+  segment('republican',  'Republican',      -509, -27),
+  segment('earlyEmpire', 'Early Empire',    -27,  192),
+  segment('lateEmpire',  'Late Empire',     193,  476),
+];
+
+// compute total span
+export const MIN_YEAR = Math.min(...timelineSegments.map(s => s.start));
+export const MAX_YEAR = Math.max(...timelineSegments.map(s => s.end));
+export const TOTAL_SPAN = MAX_YEAR - MIN_YEAR;
+
+export const formatYear = y =>
+  y < 0 ? `${-y} BCE` : y === 0 ? '0' : `${y} CE`;
+
+// tooltip for an age tag: context and bounds from the gazetteer
+export function describePeriod(tag) {
+  const p = findPeriod(tag);
+  if (!p) return 'Not in the period gazetteer';
+  return [p.context, `${formatYear(p.from)} – ${formatYear(p.to)}`].filter(Boolean).join(' · ');
+}
+
+// a building's year interval: its parsed date when usable,
+// otherwise the union of the gazetteer bounds of its age tags
+export function buildingYears(b) {
+  if (b.dateRange && b.dateRange.confidence !== 'vague') return b.dateRange;
+  const bounds = periodBounds(b.age);
+  return bounds && { ...bounds, confidence: 'approximate' };
+}
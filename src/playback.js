@@ -0,0 +1,28 @@
+// play-through-time: a cursor sweeps the year range and the map shows the
+// buildings in the window behind it, newly appeared sites fading in
+export const PLAY_TICK_MS = 100;
+export const PLAY_STEP = 25;      // years per step button press
+export const PLAY_WINDOW = 50;    // non-cumulative: years a building stays on the map
+export const FADE_YEARS = 40;     // years a newly appeared site takes to reach full opacity
+export const MIN_FADE = 0.15;
+
+// the cursor after one tick at `speed` years per second, held at `end`
+export const advance = (year, speed, end) => Math.min(end, year + speed * PLAY_TICK_MS / 1000);
+
+// the cursor a step back (-1) or forward (1) within [start, end]
+export const stepYear = (year, dir, start, end) =>
+  Math.max(start, Math.min(end, (year === null ? start : year) + dir * PLAY_STEP));
+
+// where play resumes: the start again once the cursor reached the end
+export const resumeYear = (year, start, end) => year === null || year >= end ? start : year;
+
+// [from, to] window buildings must overlap: everything since the start, or
+// only the last PLAY_WINDOW years
+export const playWindow = (year, cumulative, start) =>
+  [cumulative ? start : year - PLAY_WINDOW, year];
+
+// opacity of a site whose earliest building appeared inside the window
+export function siteFade(buildings, year, window) {
+  const appeared = Math.max(window[0], Math.min(...buildings.map(b => b.years.from)));
+  return Math.min(1, Math.max(MIN_FADE, (year - appeared) / FADE_YEARS));
+}
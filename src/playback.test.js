@@ -0,0 +1,31 @@
+import {
+  PLAY_STEP, PLAY_WINDOW, FADE_YEARS, MIN_FADE, advance, stepYear, resumeYear, playWindow, siteFade
+} from './playback';
+
+test('the cursor advances with the speed and stops at the end', () => {
+  expect(advance(-500, 100, 0)).toBe(-490);
+  expect(advance(-5, 100, 0)).toBe(0);
+  expect(stepYear(null, 1, -500, 0)).toBe(-500 + PLAY_STEP);
+  expect(stepYear(-490, -1, -500, 0)).toBe(-500);
+  expect(stepYear(-10, 1, -500, 0)).toBe(0);
+});
+
+test('play resumes where it paused, or from the start at the end', () => {
+  expect(resumeYear(null, -500, 0)).toBe(-500);
+  expect(resumeYear(-200, -500, 0)).toBe(-200);
+  expect(resumeYear(0, -500, 0)).toBe(-500);
+});
+
+test('the window is cumulative or trails the cursor', () => {
+  expect(playWindow(-200, true, -500)).toEqual([-500, -200]);
+  expect(playWindow(-200, false, -500)).toEqual([-200 - PLAY_WINDOW, -200]);
+});
+
+test('sites fade in from when their first building appears in the window', () => {
+  const buildings = [{ years: { from: -300 } }, { years: { from: -250 } }];
+  expect(siteFade(buildings, -300, [-500, -300])).toBe(MIN_FADE);
+  expect(siteFade(buildings, -300 + FADE_YEARS / 2, [-500, 0])).toBe(0.5);
+  expect(siteFade(buildings, -300 + FADE_YEARS * 2, [-500, 0])).toBe(1);
+  // older buildings count from the window's start
+  expect(siteFade(buildings, -280 + FADE_YEARS / 2, [-280, 0])).toBe(0.5);
+});
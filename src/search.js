@@ -0,0 +1,166 @@
+// in-browser full-text index over sites, buildings and evidence passages
+//
+// Sites and buildings are separate documents so a site-name hit can open the
+// site list while a passage hit opens the building. Terms are folded so common
+// transliteration variants (Asklepios/Asclepius) collapse to one form; what
+// folding misses, small edit distances catch (Athena/Athene).
+
+const FIELD_WEIGHTS = { site: 3, building: 3, style: 1, date: 1 };
+const STOPWORDS = new Set(['a', 'an', 'and', 'at', 'by', 'for', 'in', 'of', 'on', 'the', 'to']);
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.5, fuzzy: 0.5 };
+const SNIPPET_CONTEXT = 60;
+
+// lowercase, strip diacritics, then collapse spelling variants
+export const fold = word => word
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/ph/g, 'f')
+  .replace(/c/g, 'k')
+  .replace(/ou/g, 'u')
+  .replace(/us$/, 'os');
+
+export const tokenize = text =>
+  (String(text).match(/[\p{L}\p{N}]+/gu) || []).map(fold);
+
+const maxDistance = term => term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+
+// bounded Levenshtein: gives up as soon as the row minimum exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        prev[j] + 1,
+        row[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+export function buildIndex(features) {
+  const docs = [];
+  const postings = new Map();
+
+  const add = (doc, fields) => {
+    const idx = docs.push(doc) - 1;
+    const tf = new Map();
+    Object.entries(fields).forEach(([field, texts]) =>
+      texts.forEach(text => tokenize(text).forEach(term =>
+        tf.set(term, (tf.get(term) || 0) + FIELD_WEIGHTS[field])
+      ))
+    );
+    tf.forEach((weight, term) => {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([idx, weight]);
+    });
+  };
+
+  features.forEach(f => {
+    const { site, buildings } = f.properties;
+    const coordinates = f.geometry.coordinates;
+    add({ type: 'site', site, coordinates }, { site: [site] });
+    buildings.forEach(b => add(
+      {
+        type: 'building', site, coordinates,
+        docId: b.doc_id, buildingId: b.id,
+        passages: [...(b.style_evidence || []), ...(b.date_evidence || [])]
+      },
+      {
+        building: [b.id],
+        style: b.style_evidence || [],
+        date: b.date_evidence || []
+      }
+    ));
+  });
+
+  return { docs, postings, terms: [...postings.keys()] };
+}
+
+// index terms a query term matches, with how well
+function expand(index, term, isLast) {
+  const max = maxDistance(term);
+  const matches = [];
+  index.terms.forEach(t => {
+    if (t === term) matches.push([t, MATCH_WEIGHTS.exact]);
+    else if (isLast && term.length >= 3 && t.startsWith(term)) matches.push([t, MATCH_WEIGHTS.prefix]);
+    else if (max && editDistance(term, t, max) <= max) matches.push([t, MATCH_WEIGHTS.fuzzy]);
+  });
+  return matches;
+}
+
+// every query term must match somewhere in the document
+export function search(index, query, limit = 20) {
+  const raw = tokenize(query);
+  const qterms = raw.filter(t => !STOPWORDS.has(t));
+  if (!qterms.length) return [];
+  const n = index.docs.length;
+
+  let scores = null;
+  const matched = new Map();
+  qterms.forEach((q, i) => {
+    const termScores = new Map();
+    expand(index, q, i === qterms.length - 1 && raw[raw.length - 1] === q)
+      .forEach(([t, w]) => {
+        const list = index.postings.get(t);
+        const idf = Math.log(1 + n / list.length);
+        list.forEach(([doc, tf]) => {
+          const s = w * idf * (1 + Math.log(tf));
+          if (s > (termScores.get(doc) || 0)) termScores.set(doc, s);
+          if (!matched.has(doc)) matched.set(doc, new Set());
+          matched.get(doc).add(t);
+        });
+      });
+    if (scores === null) scores = termScores;
+    else {
+      const next = new Map();
+      termScores.forEach((s, doc) => {
+        if (scores.has(doc)) next.set(doc, scores.get(doc) + s);
+      });
+      scores = next;
+    }
+  });
+
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([doc, score]) => ({ ...index.docs[doc], score, terms: matched.get(doc) }));
+}
+
+// split text into [{text, hit}] runs, marking words whose folded form was matched
+export function highlight(text, terms) {
+  const parts = [];
+  let last = 0;
+  for (const m of String(text).matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (!terms.has(fold(m[0]))) continue;
+    if (m.index > last) parts.push({ text: text.slice(last, m.index), hit: false });
+    parts.push({ text: m[0], hit: true });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last), hit: false });
+  return parts;
+}
+
+// the passage with the most hits, trimmed around the first one
+export function snippet(result) {
+  if (!result.passages?.length) return null;
+  const count = p => tokenize(p).filter(t => result.terms.has(t)).length;
+  const best = result.passages.reduce((a, b) => (count(b) > count(a) ? b : a));
+  if (!count(best)) return null;
+  const parts = highlight(best, result.terms);
+  const offset = parts
+    .slice(0, parts.findIndex(p => p.hit))
+    .reduce((n, p) => n + p.text.length, 0);
+  const start = Math.max(0, offset - SNIPPET_CONTEXT);
+  const end = Math.min(best.length, offset + SNIPPET_CONTEXT * 2);
+  const text = `${start > 0 ? '…' : ''}${best.slice(start, end)}${end < best.length ? '…' : ''}`;
+  return highlight(text, result.terms);
+}
@@ -0,0 +1,40 @@
+import { buildIndex, search, snippet } from './search';
+
+const feature = (site, buildings) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [0, 0] },
+  properties: { site, buildings },
+});
+const building = (id, doc_id, style_evidence = [], date_evidence = []) =>
+  ({ id, doc_id, style_evidence, date_evidence });
+
+const index = buildIndex([
+  feature('Athens', [
+    building('Temple of Athena Nike', 'd1', ['An Ionic amphiprostyle temple on the bastion.']),
+    building('Parthenon', 'd2', ['Doric octastyle with a stylobate curved upward.']),
+  ]),
+  feature('Epidaurus', [
+    building('Temple of Asklepios', 'd3', [], ['Built about 380 BCE.']),
+  ]),
+]);
+
+test('ranks name matches above passage matches', () => {
+  const results = search(index, 'Athens');
+  expect(results[0]).toMatchObject({ type: 'site', site: 'Athens' });
+});
+
+test('matches transliteration variants', () => {
+  expect(search(index, 'Athene').map(r => r.docId)).toContain('d1');
+  expect(search(index, 'Asclepius')[0].docId).toBe('d3');
+});
+
+test('requires every query term and completes the last one as a prefix', () => {
+  expect(search(index, 'doric stylo').map(r => r.docId)).toEqual(['d2']);
+  expect(search(index, 'doric ionic')).toEqual([]);
+});
+
+test('highlights the matched words in the snippet', () => {
+  const [result] = search(index, 'stylobate');
+  const hits = snippet(result).filter(p => p.hit).map(p => p.text);
+  expect(hits).toEqual(['stylobate']);
+});
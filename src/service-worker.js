@@ -0,0 +1,45 @@
+/* eslint-disable no-restricted-globals */
+// offline support, built into service-worker.js by `npm run build`
+//
+// The build fills in self.__WB_MANIFEST with the app shell (index.html, the
+// scripts and styles, both map renderers). The default dataset, source
+// metadata, offline basemap and historical overlays are cached on install,
+// so one visit is enough to work offline; every dataset or basemap file
+// fetched later is served from the cache and refreshed in the background.
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute, NavigationRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+const PUBLIC_URL = process.env.PUBLIC_URL;
+const DATA_CACHE = 'classical-map-data';
+const MAX_DATA_FILES = 30;
+// data/sites.json is DEFAULT_DATASET in datasets.js
+const INSTALL_FILES = [
+  'data/manifest.json', 'data/sites.json', 'sources.json', 'basemap/land.json', 'basemap/regions.json',
+  'overlays/provinces.json', 'overlays/greek-regions.json', 'overlays/roads.json'
+];
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// the app is one page whose state lives in the query string
+registerRoute(new NavigationRoute(createHandlerBoundToURL(`${PUBLIC_URL}/index.html`)));
+
+const isDataFile = ({ url }) => url.origin === self.location.origin &&
+  url.pathname.startsWith(`${PUBLIC_URL}/`) &&
+  /\/(data|basemap|overlays)\/[^/]+\.json$|\/sources\.json$/.test(url.pathname);
+
+registerRoute(isDataFile, new StaleWhileRevalidate({
+  cacheName: DATA_CACHE,
+  plugins: [new ExpirationPlugin({ maxEntries: MAX_DATA_FILES })]
+}));
+
+// a file that fails to download is left to the first online visit that asks
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(DATA_CACHE).then(cache => Promise.all(
+    INSTALL_FILES.map(file => cache.add(`${PUBLIC_URL}/${file}`).catch(() => null))
+  )));
+});
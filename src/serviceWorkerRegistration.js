@@ -0,0 +1,23 @@
+// the service worker (src/service-worker.js) only exists in production
+// builds; a new version takes over once every tab of the old one is closed
+
+// a worker left over from a production build served on the same origin
+// would answer the dev server's requests from its cache
+function unregister() {
+  navigator.serviceWorker.getRegistration()
+    .then(registration => registration && registration.unregister())
+    .catch(console.error);
+}
+
+export function register() {
+  if (!('serviceWorker' in navigator)) return;
+  if (process.env.NODE_ENV !== 'production') {
+    unregister();
+    return;
+  }
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(err => console.error('Service worker registration failed:', err));
+  });
+}
@@ -3,3 +3,7 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { toHaveNoViolations } from 'jest-axe';
+
+// axe accessibility checks: expect(await axe(container)).toHaveNoViolations()
+expect.extend(toHaveNoViolations);
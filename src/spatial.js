@@ -0,0 +1,119 @@
+// spatial filter areas: a drawn polygon, a circle or a bounding box
+//
+//   { type: 'polygon', coordinates: [[lng, lat], …, first] }
+//   { type: 'circle',  center: [lng, lat], radius: km }
+//   { type: 'bbox',    bbox: [west, south, east, north] }
+//
+// plus an optional `name`. A site is in the area when its own coordinates
+// are; buildings placed around it follow the site. Named areas are saved
+// in localStorage for reuse.
+import { containsPoint } from './historical';
+
+const STORAGE_KEY = 'classical-map:areas';
+const EARTH_RADIUS_KM = 6371.0088;
+// about ten metres, and what the URL carries
+const AREA_DIGITS = 4;
+// vertices of the polygon a circle is drawn as
+const CIRCLE_STEPS = 64;
+
+export const AREA_TYPES = ['polygon', 'circle', 'bbox'];
+
+const rad = d => d * Math.PI / 180;
+const deg = r => r * 180 / Math.PI;
+const round = n => Number(n.toFixed(AREA_DIGITS));
+export const roundPoint = p => [round(p[0]), round(p[1])];
+
+// great-circle distance in km
+export function distanceKm([lng1, lat1], [lng2, lat2]) {
+  const dLat = rad(lat2 - lat1), dLng = rad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// the point `km` away on the initial `bearing`, in degrees
+function destination([lng, lat], km, bearing) {
+  const d = km / EARTH_RADIUS_KM, b = rad(bearing), la = rad(lat);
+  const la2 = Math.asin(Math.sin(la) * Math.cos(d) + Math.cos(la) * Math.sin(d) * Math.cos(b));
+  const lo2 = rad(lng) + Math.atan2(Math.sin(b) * Math.sin(d) * Math.cos(la), Math.cos(d) - Math.sin(la) * Math.sin(la2));
+  return [deg(lo2), deg(la2)];
+}
+
+export function areaContains(area, [lng, lat]) {
+  if (area.type === 'circle') return distanceKm(area.center, [lng, lat]) <= area.radius;
+  if (area.type === 'bbox') {
+    const [w, s, e, n] = area.bbox;
+    return lng >= w && lng <= e && lat >= s && lat <= n;
+  }
+  return containsPoint({ type: 'Polygon', coordinates: [area.coordinates] }, [lng, lat]);
+}
+
+// GeoJSON Polygon to draw the area with
+export function areaGeometry(area) {
+  if (area.type === 'circle') {
+    const ring = Array.from({ length: CIRCLE_STEPS }, (_, i) =>
+      destination(area.center, area.radius, i * 360 / CIRCLE_STEPS));
+    return { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+  }
+  if (area.type === 'bbox') {
+    const [w, s, e, n] = area.bbox;
+    return { type: 'Polygon', coordinates: [[[w, s], [e, s], [e, n], [w, n], [w, s]]] };
+  }
+  return { type: 'Polygon', coordinates: [area.coordinates] };
+}
+
+// chip text: the name, else what and where
+export function describeArea(area) {
+  if (area.name) return area.name;
+  if (area.type === 'circle') {
+    const [lng, lat] = area.center;
+    return `Within ${area.radius} km of ${lat.toFixed(2)}, ${lng.toFixed(2)}`;
+  }
+  if (area.type === 'bbox') {
+    const [w, s, e, n] = area.bbox.map(v => v.toFixed(1));
+    return `Box ${s}, ${w} to ${n}, ${e}`;
+  }
+  return `Drawn area (${area.coordinates.length - 1} points)`;
+}
+
+// `circle:lng,lat,km`, `bbox:w,s,e,n` or `polygon:lng,lat;lng,lat;…`;
+// the name travels separately
+export function encodeArea(area) {
+  if (area.type === 'circle') return `circle:${[...area.center, area.radius].join(',')}`;
+  if (area.type === 'bbox') return `bbox:${area.bbox.join(',')}`;
+  return `polygon:${area.coordinates.slice(0, -1).map(p => p.join(',')).join(';')}`;
+}
+
+const numbers = text => text.split(',').map(Number);
+const valid = list => list.every(Number.isFinite);
+
+// null for anything malformed
+export function decodeArea(text, name = null) {
+  const [type, body = ''] = (text || '').split(/:(.*)/s);
+  let area = null;
+  if (type === 'circle') {
+    const [lng, lat, radius] = numbers(body);
+    if (valid([lng, lat, radius]) && radius > 0) area = { type, center: [lng, lat], radius };
+  } else if (type === 'bbox') {
+    const bbox = numbers(body);
+    if (bbox.length === 4 && valid(bbox) && bbox[0] < bbox[2] && bbox[1] < bbox[3]) area = { type, bbox };
+  } else if (type === 'polygon') {
+    const points = body.split(';').map(numbers);
+    if (points.length >= 3 && points.every(p => p.length === 2 && valid(p))) {
+      area = { type, coordinates: [...points, points[0]] };
+    }
+  }
+  return area && name ? { ...area, name } : area;
+}
+
+export function loadSavedAreas() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(a => a?.name && AREA_TYPES.includes(a.type)) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+export function storeSavedAreas(areas) {
+  try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify(areas)); } catch (e) { /* storage disabled */ }
+}
@@ -0,0 +1,65 @@
+import {
+  areaContains, areaGeometry, describeArea, distanceKm, encodeArea, decodeArea, loadSavedAreas, storeSavedAreas
+} from './spatial';
+import { emptyFilters, facetCounts, filterSites, setArea } from './filters';
+
+const PAESTUM = [15.0049, 40.4199];
+const VELIA = [15.1537, 40.1608];
+const POMPEII = [14.4848, 40.7489];
+
+const circle = { type: 'circle', center: PAESTUM, radius: 50, name: 'Within 50 km of Paestum' };
+const box = { type: 'bbox', bbox: [14, 40, 15.1, 41] };
+const triangle = { type: 'polygon', coordinates: [[14, 40], [16, 40], [15, 41], [14, 40]] };
+
+afterEach(() => window.localStorage.clear());
+
+test('distances and containment for each kind of area', () => {
+  expect(distanceKm(PAESTUM, VELIA)).toBeCloseTo(31.4, 0);
+  expect(areaContains(circle, VELIA)).toBe(true);
+  expect(areaContains({ ...circle, radius: 25 }, VELIA)).toBe(false);
+  expect(areaContains(box, PAESTUM)).toBe(true);
+  expect(areaContains(box, VELIA)).toBe(false);
+  expect(areaContains(triangle, VELIA)).toBe(true);
+  expect(areaContains(triangle, POMPEII)).toBe(false);
+});
+
+test('a circle is drawn as a closed ring at its radius', () => {
+  const [ring] = areaGeometry(circle).coordinates;
+  expect(ring[0]).toEqual(ring[ring.length - 1]);
+  ring.forEach(p => expect(distanceKm(PAESTUM, p)).toBeCloseTo(50, 5));
+});
+
+test('areas survive the URL and reject malformed values', () => {
+  [circle, box, triangle].forEach(area =>
+    expect(decodeArea(encodeArea(area), area.name)).toEqual(area));
+  expect(decodeArea('circle:1,2,-5')).toBeNull();
+  expect(decodeArea('bbox:2,0,1,1')).toBeNull();
+  expect(decodeArea('polygon:1,1;2,2')).toBeNull();
+  expect(decodeArea('square:1,1')).toBeNull();
+  expect(decodeArea(null)).toBeNull();
+});
+
+test('describes unnamed areas by their shape', () => {
+  expect(describeArea(circle)).toBe('Within 50 km of Paestum');
+  expect(describeArea({ ...circle, name: undefined })).toBe('Within 50 km of 40.42, 15.00');
+  expect(describeArea(triangle)).toBe('Drawn area (3 points)');
+});
+
+test('the area filters sites alongside the facets and counts', () => {
+  const site = (name, coordinates) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates },
+    properties: { site: name, buildings: [{ id: name, order: ['Doric'], morphology: [], age: [], years: null }] }
+  });
+  const features = [site('Paestum', PAESTUM), site('Velia', VELIA), site('Pompeii', POMPEII)];
+  const filters = setArea(emptyFilters(), { ...circle, radius: 40 });
+  expect(filterSites(features, filters, null).map(r => r.feature.properties.site)).toEqual(['Paestum', 'Velia']);
+  expect(facetCounts(features, filters, null).order.get('Doric')).toBe(2);
+});
+
+test('saved areas round-trip through localStorage', () => {
+  storeSavedAreas([circle, { type: 'circle' }]);
+  expect(loadSavedAreas()).toEqual([circle]);
+  window.localStorage.setItem('classical-map:areas', 'not json');
+  expect(loadSavedAreas()).toEqual([]);
+});
@@ -0,0 +1,105 @@
+// breakdown of the filtered selection for the statistics panel
+//
+// Centuries come from the parsed dates only (vague ones like "Roman" are
+// left out, as on the timeline) and cover the timeline's span; dates
+// outside it are only counted. The period cross-tab goes by age tags,
+// grouped into the timeline segments. Centuries are signed, with no zero:
+// -5 is the 5th century BCE (500–401 BCE), 1 the 1st century CE (1–100).
+import { timelineSegments, MIN_YEAR, MAX_YEAR } from './periods';
+import { PERIODS, periodSegment } from './gazetteer';
+import { ownTerms } from './vocabulary';
+
+export const TOP_VALUES = 12;
+export const TOP_SITES = 10;
+// order rows of the cross-tab
+export const CROSSTAB_ROWS = 8;
+
+export const centuryOf = year => year <= 0
+  ? -Math.max(1, Math.ceil(-year / 100))
+  : Math.ceil(year / 100);
+
+const FIRST_CENTURY = centuryOf(MIN_YEAR);
+const LAST_CENTURY = centuryOf(MAX_YEAR);
+
+// [from, to] years of a century, for the time filter
+export const centuryYears = c => c < 0 ? [c * 100, c * 100 + 99] : [(c - 1) * 100 + 1, c * 100];
+
+const ordinal = n => {
+  const tens = n % 100, ones = n % 10;
+  const suffix = tens >= 11 && tens <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][ones] || 'th';
+  return `${n}${suffix}`;
+};
+
+export const centuryLabel = c => `${ordinal(Math.abs(c))} c. ${c < 0 ? 'BCE' : 'CE'}`;
+
+// the gazetteer period a timeline segment stands for, as an age filter value
+export const segmentTerm = id => PERIODS.find(p => p.segment === id)?.tag;
+
+const isDated = b => Boolean(b.dateRange) && b.dateRange.confidence !== 'vague';
+
+const tally = (counts, key) => counts.set(key, (counts.get(key) || 0) + 1);
+
+// [{ value, count }], most first, ties by name
+const ranked = (counts, limit) => [...counts]
+  .map(([value, count]) => ({ value, count }))
+  .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+  .slice(0, limit);
+
+// every century from the earliest to the latest, empty ones included
+function centuryBins(counts) {
+  if (!counts.size) return [];
+  const keys = [...counts.keys()];
+  const bins = [];
+  for (let c = Math.min(...keys); c <= Math.max(...keys); c++) {
+    if (c !== 0) bins.push({ century: c, label: centuryLabel(c), count: counts.get(c) || 0 });
+  }
+  return bins;
+}
+
+export function selectionStats(features) {
+  const centuries = new Map();
+  const values = { order: new Map(), morphology: new Map() };
+  const crosstab = new Map();
+  const sites = [];
+  let buildings = 0, dated = 0, periodOnly = 0, undated = 0, outsideTimeline = 0;
+
+  features.forEach(f => {
+    const bs = f.properties.buildings;
+    buildings += bs.length;
+    sites.push({ feature: f, value: f.properties.site, count: bs.length });
+    bs.forEach(b => {
+      if (isDated(b)) {
+        dated++;
+        const c = centuryOf((b.dateRange.from + b.dateRange.to) / 2);
+        if (c >= FIRST_CENTURY && c <= LAST_CENTURY) tally(centuries, c);
+        else outsideTimeline++;
+      } else if (b.years) periodOnly++;
+      else undated++;
+
+      Object.keys(values).forEach(attr =>
+        ownTerms(attr, b[attr] || []).forEach(v => tally(values[attr], v)));
+
+      const segments = new Set((b.age || []).map(periodSegment).filter(Boolean));
+      ownTerms('order', b.order || []).forEach(order =>
+        segments.forEach(s => tally(crosstab, `${order}\n${s}`)));
+    });
+  });
+
+  const orders = ranked(values.order, CROSSTAB_ROWS).map(r => r.value);
+  const cell = (order, s) => crosstab.get(`${order}\n${s}`) || 0;
+  const columns = timelineSegments.filter(s => orders.some(order => cell(order, s.id)));
+
+  return {
+    buildings, dated, periodOnly, undated, outsideTimeline,
+    centuries: centuryBins(centuries),
+    order: ranked(values.order, TOP_VALUES),
+    morphology: ranked(values.morphology, TOP_VALUES),
+    crosstab: {
+      columns: columns.map(s => ({ id: s.id, label: s.label, term: segmentTerm(s.id) })),
+      rows: orders.map(order => ({ value: order, counts: columns.map(s => cell(order, s.id)) }))
+    },
+    topSites: sites
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+      .slice(0, TOP_SITES)
+  };
+}
@@ -0,0 +1,61 @@
+import { centuryOf, centuryYears, centuryLabel, selectionStats, segmentTerm } from './stats';
+
+const building = (id, fields = {}) => ({
+  id, order: [], morphology: [], age: [], dateRange: null, years: null, ...fields
+});
+const site = (name, buildings) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [23.7, 38.0] },
+  properties: { site: name, buildings }
+});
+
+test('centuries are signed, with no year zero', () => {
+  expect([-500, -401, -400, -1, 0, 1, 100, 101].map(centuryOf)).toEqual([-5, -5, -4, -1, -1, 1, 1, 2]);
+  expect(centuryYears(-5)).toEqual([-500, -401]);
+  expect(centuryYears(1)).toEqual([1, 100]);
+  expect(centuryLabel(-5)).toBe('5th c. BCE');
+  expect(centuryLabel(2)).toBe('2nd c. CE');
+  expect(centuryLabel(-1)).toBe('1st c. BCE');
+});
+
+test('breaks the selection down by century, facet, period and site', () => {
+  const stats = selectionStats([
+    site('Athens', [
+      building('parthenon', {
+        order: ['Doric'], morphology: ['peripteral octastyle'], age: ['Periclean'],
+        dateRange: { from: -447, to: -432, confidence: 'exact' }, years: { from: -447, to: -432 }
+      }),
+      building('olympieion', {
+        order: ['Corinthian'], age: ['Hadrian'],
+        dateRange: { from: 124, to: 132, confidence: 'approximate' }, years: { from: 124, to: 132 }
+      }),
+      building('unknown'),
+      building('restored', { dateRange: { from: 1950, to: 1960, confidence: 'exact' }, years: { from: 1950, to: 1960 } }),
+    ]),
+    site('Paestum', [
+      building('hera', {
+        order: ['Doric'], age: ['Archaic'], years: { from: -800, to: -480 }
+      }),
+      building('roman', {
+        order: ['Doric'], dateRange: { from: -509, to: 476, confidence: 'vague' }, years: null
+      }),
+    ]),
+  ]);
+  expect(stats).toMatchObject({ buildings: 6, dated: 3, periodOnly: 1, undated: 2, outsideTimeline: 1 });
+  // 5th c. BCE to 2nd c. CE with the empty ones in between; the 20th
+  // century is off the timeline
+  expect(stats.centuries.map(b => [b.century, b.count])).toEqual([[-5, 1], [-4, 0], [-3, 0], [-2, 0], [-1, 0], [1, 0], [2, 1]]);
+  expect(stats.order).toEqual([{ value: 'Doric', count: 3 }, { value: 'Corinthian', count: 1 }]);
+  expect(stats.morphology.map(v => v.value)).toEqual(['octastyle', 'peripteral']);
+  expect(stats.crosstab.columns.map(c => c.id)).toEqual(['archaic', 'classical', 'earlyEmpire']);
+  expect(stats.crosstab.rows).toEqual([
+    { value: 'Doric', counts: [1, 1, 0] },
+    { value: 'Corinthian', counts: [0, 0, 1] },
+  ]);
+  expect(stats.topSites.map(s => [s.value, s.count])).toEqual([['Athens', 4], ['Paestum', 2]]);
+});
+
+test('periods filter by their gazetteer term', () => {
+  expect(segmentTerm('classical')).toBe('Classical');
+  expect(segmentTerm('earlyEmpire')).toBe('Early Imperial');
+});
@@ -0,0 +1,103 @@
+// shared inline styles
+
+// 1) Shared button base
+export const baseButton = {
+  margin: 4,
+  padding: '8px 16px',
+  border: '1px solid var(--color-border)',
+  borderRadius: '8px',
+  fontSize: '0.9rem',
+  fontFamily: 'var(--font-base)',
+  transition: 'background 0.2s, border-color 0.2s, color 0.2s',
+};
+
+// 2) Variants
+export const buttonStyle = {
+  ...baseButton,
+  background: 'var(--color-surface)',
+  color:      'var(--color-text)',
+  cursor:     'pointer',
+};
+
+export const buttonPrimary = {
+  ...baseButton,
+  background: 'var(--color-primary)',
+  border:     '1px solid var(--color-primary)',
+  color:      '#fff',
+};
+
+export const buttonPrimaryHover = {
+  background: 'var(--color-primary-2)',
+  border:     '1px solid var(--color-primary-2)',
+};
+
+export const buttonExcluded = {
+  ...baseButton,
+  background:     'var(--color-text-alt)',
+  border:         '1px solid var(--color-text-alt)',
+  color:          '#fff',
+  textDecoration: 'line-through',
+  cursor:         'pointer',
+};
+
+export const buttonDisabled = {
+  ...baseButton,
+  background: 'var(--color-bg)',
+  color:      'var(--color-inactive)',
+  cursor:     'not-allowed',
+};
+
+// 3) Header / dropdown toggles
+export const headerStyle = {
+  ...buttonStyle,
+  fontWeight: 500,
+  padding:    '10px 18px',
+};
+
+// 4) Compact buttons: sizes to spread over a variant, and links
+export const smallButton = { padding: '4px 10px', fontSize: '0.8rem' };
+export const tinyButton = { padding: '2px 8px', fontSize: '0.75rem' };
+
+// a button that reads as a link
+export const linkButton = {
+  border:     'none',
+  background: 'none',
+  padding:    0,
+  color:      'var(--color-primary)',
+  fontSize:   'inherit',
+  cursor:     'pointer',
+};
+
+// 5) Text inputs and selects
+export const inputStyle = {
+  padding:      '4px 6px',
+  border:       '1px solid var(--color-border)',
+  borderRadius: 6,
+  background:   'var(--color-surface)',
+  color:        'var(--color-text)',
+  fontSize:     '0.85rem',
+  fontFamily:   'var(--font-base)',
+};
+
+// 6) Modal dialogs: the dimmed backdrop and the box on it
+export const modalOverlay = {
+  position:       'absolute',
+  inset:          0,
+  background:     'rgba(0,0,0,0.3)',
+  display:        'flex',
+  alignItems:     'center',
+  justifyContent: 'center',
+  zIndex:         4,
+};
+
+export const modalDialog = {
+  background:   'var(--color-surface)',
+  color:        'var(--color-text)',
+  borderRadius: '10px',
+  padding:      16,
+  maxWidth:     '90vw',
+  maxHeight:    '85vh',
+  overflow:     'auto',
+  boxShadow:    '0 4px 12px rgba(0,0,0,0.2)',
+  fontSize:     '0.85rem',
+};
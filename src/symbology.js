@@ -0,0 +1,116 @@
+// data-driven site symbology: colour by dominant order or by period,
+// radius by number of buildings passing the filters
+import { timelineSegments } from './periods';
+import { periodSegment } from './gazetteer';
+import { facetValues } from './filters';
+import { VOCABULARIES } from './vocabulary';
+
+export const SELECTED_COLOR = '#FF4136';
+const UNKNOWN_COLOR = '#9CA3AF';
+
+export const COLOR_MODES = [
+  { id: 'order',  label: 'Order' },
+  { id: 'period', label: 'Period' },
+];
+
+const ORDER_CLASSES = [
+  { value: 'Doric',      color: '#2563EB' },
+  { value: 'Ionic',      color: '#059669' },
+  { value: 'Corinthian', color: '#D97706' },
+  { value: 'Tuscan',     color: '#7C3AED' },
+  { value: 'mixed',      color: '#DB2777', label: 'Mixed' },
+  { value: 'unknown',    color: UNKNOWN_COLOR, label: 'No order recorded' },
+];
+
+const PERIOD_COLORS = {
+  archaic:     '#A16207',
+  classical:   '#2563EB',
+  hellenistic: '#059669',
+  republican:  '#EA580C',
+  earlyEmpire: '#7C3AED',
+  lateEmpire:  '#DB2777',
+};
+
+const PERIOD_CLASSES = [
+  ...timelineSegments.map(s => ({ value: s.id, color: PERIOD_COLORS[s.id], label: s.label })),
+  { value: 'undated', color: UNKNOWN_COLOR, label: 'Undated' },
+];
+
+// diff view between dataset versions
+export const DIFF_MODE = { id: 'diff', label: 'Changes' };
+
+const DIFF_CLASSES = [
+  { value: 'added',     color: '#16A34A', label: 'Added' },
+  { value: 'removed',   color: '#DC2626', label: 'Removed' },
+  { value: 'changed',   color: '#F59E0B', label: 'Changed' },
+  { value: 'unchanged', color: UNKNOWN_COLOR, label: 'Unchanged' },
+];
+
+// ring around sites loaded from a user's file on top of the bundled data
+export const OVERLAY_COLOR = '#C026D3';
+
+export const DIFF_COLORS = Object.fromEntries(DIFF_CLASSES.map(c => [c.value, c.color]));
+
+const CLASSES = { order: ORDER_CLASSES, period: PERIOD_CLASSES, diff: DIFF_CLASSES };
+const PROPERTY = { order: 'orderClass', period: 'periodClass', diff: 'diffStatus' };
+
+// building count → circle radius
+export const RADIUS_STOPS = [[1, 5], [5, 9], [20, 14]];
+export const radiusExpression =
+  ['interpolate', ['linear'], ['coalesce', ['get', 'buildingCount'], 1], ...RADIUS_STOPS.flat()];
+
+const PURE_ORDERS = ['Doric', 'Ionic', 'Corinthian', 'Tuscan'];
+
+// the Greek / Roman groups every order term is tagged with
+const ORDER_GROUPS = new Set(VOCABULARIES.order.map(n => n.term));
+
+// the Composite order and unmapped raw values count as mixed
+const canonicalOrder = v => PURE_ORDERS.includes(v) ? v : 'mixed';
+
+// most frequent order among the buildings, read from their canonical terms
+// so variant spellings agree; ties are mixed
+export function orderClass(buildings) {
+  const counts = {};
+  const orders = b => facetValues(b, 'order').filter(t => !ORDER_GROUPS.has(t));
+  buildings.forEach(b => new Set(orders(b).map(canonicalOrder)).forEach(o => {
+    counts[o] = (counts[o] || 0) + 1;
+  }));
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (!ranked.length) return 'unknown';
+  if (ranked.length > 1 && ranked[0][1] === ranked[1][1]) return 'mixed';
+  return ranked[0][0];
+}
+
+// the segments overlap, so a building's band comes from its age tags (the
+// earliest-starting band when they span several); the midpoint of its
+// years is only used for untagged buildings
+function buildingSegment(b) {
+  const tagged = new Set((b.age || []).map(periodSegment));
+  const seg = timelineSegments.filter(s => tagged.has(s.id))
+    .reduce((best, s) => (!best || s.start < best.start ? s : best), null);
+  if (seg) return seg.id;
+  const mid = (b.years.from + b.years.to) / 2;
+  return timelineSegments.find(s => mid >= s.start && mid <= s.end)?.id ?? 'undated';
+}
+
+// segment of the earliest dated building
+export function periodClass(buildings) {
+  const dated = buildings.filter(b => b.years);
+  if (!dated.length) return 'undated';
+  return buildingSegment(dated.reduce((a, b) => (b.years.from < a.years.from ? b : a)));
+}
+
+// `key` is the feature property compared against the selection
+export function colorExpression(mode, selected, key = 'site') {
+  const classes = CLASSES[mode];
+  return ['case',
+    ['==', ['get', key], selected ?? ''], SELECTED_COLOR,
+    ['match', ['get', PROPERTY[mode]],
+      ...classes.flatMap(c => [c.value, c.color]),
+      UNKNOWN_COLOR
+    ]
+  ];
+}
+
+export const legendFor = mode =>
+  CLASSES[mode].map(c => ({ label: c.label || c.value, color: c.color }));
@@ -0,0 +1,37 @@
+import { orderClass, periodClass } from './symbology';
+import { buildingTerms } from './vocabulary';
+
+const building = (age, from, to) => ({ age, years: { from, to } });
+
+test('period class follows the age tags, overlapping segments included', () => {
+  // a Republican temple of the 2nd century BCE falls in the Hellenistic
+  // years too, but keeps its Roman colour
+  expect(periodClass([building(['Middle Republican'], -287, -133)])).toBe('republican');
+  expect(periodClass([building(['Hellenistic'], -323, -30)])).toBe('hellenistic');
+  // the earliest building decides for the site
+  expect(periodClass([building(['Hadrian'], 117, 138), building(['Late Republican'], -133, -27)])).toBe('republican');
+  // tagged with both, the band that starts first wins whatever the list order
+  expect(periodClass([building(['Hellenistic', 'Republican'], -300, -100)])).toBe('republican');
+});
+
+test('untagged buildings go by the middle of their years', () => {
+  expect(periodClass([building([], -460, -440)])).toBe('classical');
+  expect(periodClass([building(['Unknown tag'], 200, 300)])).toBe('lateEmpire');
+  expect(periodClass([{ age: [], years: null }])).toBe('undated');
+  expect(periodClass([])).toBe('undated');
+});
+
+const withTerms = order => {
+  const b = { order, morphology: [], age: [] };
+  return { ...b, terms: buildingTerms(b) };
+};
+
+test('order class reads the canonical terms, so variant spellings agree', () => {
+  expect(orderClass([withTerms(['doric']), withTerms(['Doric (?)'])])).toBe('Doric');
+  expect(orderClass([withTerms(['Ionic']), withTerms(['ionic']), withTerms(['Doric'])])).toBe('Ionic');
+  expect(orderClass([withTerms(['Composite'])])).toBe('mixed');
+  expect(orderClass([withTerms(['Doric and Ionic'])])).toBe('mixed');
+  expect(orderClass([withTerms([])])).toBe('unknown');
+  // buildings without terms fall back to the raw values
+  expect(orderClass([{ order: ['Tuscan'] }])).toBe('Tuscan');
+});
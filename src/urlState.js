@@ -0,0 +1,91 @@
+// view state <-> query string
+//
+// Only the query string is touched, so the app keeps working under the
+// GitHub Pages `homepage` subpath. Multi-valued facets use repeated keys
+// (`order=Doric&order=Ionic`) because some values contain commas.
+// Exclusions are `not-<facet>` keys and facets matching every value are
+// listed under `all`; a source restriction is `source=<doc_id>` and a drawn
+// area `area=<type>:<coordinates>` (spatial.js) with its `area-name`.
+import { FACETS } from './filters';
+import { encodeArea, decodeArea } from './spatial';
+import { MIN_YEAR, MAX_YEAR } from './periods';
+
+const roundTo = (n, digits) => Number(n.toFixed(digits));
+const clampYear = y => Math.min(MAX_YEAR, Math.max(MIN_YEAR, y));
+
+// zoom/lat/lng, like most web map permalinks
+export const encodeView = view =>
+  [roundTo(view.zoom, 2), roundTo(view.center[1], 4), roundTo(view.center[0], 4)].join('/');
+
+export function encodeState({
+  filters, selectedPeriod, yearRange, selectedSite, selectedBuildingDocId, view, dataset = null, diffBase = null
+}) {
+  const params = new URLSearchParams();
+  if (dataset) params.set('dataset', dataset);
+  if (diffBase) params.set('diff', diffBase);
+  FACETS.forEach(attr => {
+    filters[attr].include.forEach(v => params.append(attr, v));
+    filters[attr].exclude.forEach(v => params.append(`not-${attr}`, v));
+  });
+  FACETS.filter(attr => filters[attr].mode === 'all').forEach(attr => params.append('all', attr));
+  if (filters.source) params.set('source', filters.source);
+  if (filters.area) params.set('area', encodeArea(filters.area));
+  if (filters.area?.name) params.set('area-name', filters.area.name);
+  if (selectedPeriod) params.set('period', selectedPeriod);
+  else if (yearRange) params.set('years', yearRange.join(','));
+  if (selectedSite) params.set('site', selectedSite);
+  if (selectedSite && selectedBuildingDocId) params.set('building', selectedBuildingDocId);
+  if (view) params.set('map', encodeView(view));
+  return params.toString();
+}
+
+// missing or malformed values fall back to the defaults (empty / null)
+export function decodeState(search, segments = []) {
+  const params = new URLSearchParams(search);
+  const filters = {};
+  const all = params.getAll('all');
+  FACETS.forEach(attr => {
+    const include = new Set(params.getAll(attr));
+    // a value can't be both included and excluded; the include wins
+    const exclude = new Set(params.getAll(`not-${attr}`).filter(v => !include.has(v)));
+    filters[attr] = { include, exclude, mode: all.includes(attr) ? 'all' : 'any' };
+  });
+  filters.source = params.get('source');
+  filters.area = decodeArea(params.get('area'), params.get('area-name'));
+
+  const seg = segments.find(s => s.id === params.get('period'));
+  const years = (params.get('years') || '').split(',').map(Number);
+  const yearRange = seg
+    ? [seg.start, seg.end]
+    : years.length === 2 && years.every(Number.isFinite) && years[0] <= years[1]
+      ? years.map(clampYear)
+      : null;
+
+  const [zoom, lat, lng] = (params.get('map') || '').split('/').map(Number);
+  const view = [zoom, lat, lng].every(Number.isFinite) && Math.abs(lat) <= 90
+    ? { center: [lng, lat], zoom }
+    : null;
+
+  const selectedSite = params.get('site');
+  return {
+    filters,
+    selectedPeriod: seg ? seg.id : null,
+    yearRange,
+    selectedSite,
+    selectedBuildingDocId: selectedSite ? params.get('building') : null,
+    view,
+    dataset: params.get('dataset'),
+    diffBase: params.get('diff'),
+  };
+}
+
+export const urlFor = search =>
+  `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+
+// keep history in step with state: push real changes, replace otherwise
+export function writeUrl(search, push) {
+  const next = urlFor(search);
+  const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+  if (next === current) return;
+  window.history[push ? 'pushState' : 'replaceState'](null, '', next);
+}
@@ -0,0 +1,43 @@
+import { encodeState, decodeState } from './urlState';
+import { timelineSegments, MIN_YEAR, MAX_YEAR } from './periods';
+
+const state = {
+  filters: {
+    order: { include: new Set(['Ionic', 'Doric (outer), Ionic (inner)']), exclude: new Set(['Corinthian']), mode: 'any' },
+    morphology: { include: new Set(['peripteral', 'hexastyle']), exclude: new Set(), mode: 'all' },
+    age: { include: new Set(), exclude: new Set(), mode: 'any' },
+    region: { include: new Set(['Ionia']), exclude: new Set(['Asia (province)']), mode: 'any' },
+    source: 'jstor-623952',
+    area: { type: 'circle', center: [15.0049, 40.4199], radius: 50, name: 'Within 50 km of Paestum' },
+  },
+  selectedPeriod: 'hellenistic',
+  yearRange: [-323, -30],
+  selectedSite: 'Didyma',
+  selectedBuildingDocId: 'jstor-123',
+  view: { center: [27.256, 37.385], zoom: 9.5 },
+  dataset: 'sites_v3',
+  diffBase: 'sites_v2',
+};
+
+test('round-trips the full view state', () => {
+  const search = encodeState(state);
+  expect(search).toContain('period=hellenistic');
+  expect(search).toContain('not-order=Corinthian');
+  expect(search).toContain('all=morphology');
+  expect(search).toContain('source=jstor-623952');
+  expect(search).toContain('area=circle%3A15.0049%2C40.4199%2C50');
+  expect(search).toContain('dataset=sites_v3&diff=sites_v2');
+  expect(search).toContain('map=9.5%2F37.385%2F27.256');
+  expect(decodeState(search, timelineSegments)).toEqual(state);
+});
+
+test('keeps free year ranges and drops malformed values', () => {
+  const decoded = decodeState('?years=-500,-300&building=x&map=a/b/c', timelineSegments);
+  expect(decoded.yearRange).toEqual([-500, -300]);
+  expect(decoded.selectedPeriod).toBeNull();
+  expect(decoded.selectedBuildingDocId).toBeNull();
+  expect(decoded.view).toBeNull();
+  expect(decodeState('?years=10,-10').yearRange).toBeNull();
+  // years off the timeline are pulled back onto it
+  expect(decodeState('?years=-5000,9000').yearRange).toEqual([MIN_YEAR, MAX_YEAR]);
+});
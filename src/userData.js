@@ -0,0 +1,219 @@
+// user-supplied datasets: GeoJSON, CSV or JSON Lines files dropped on the map
+//
+// Everything is turned into the sites FeatureCollection the app draws, then
+// run through the same validation as the bundled data (dataset.js).
+import schema from './sites.schema.json';
+import { prepareDataset } from './dataset';
+import { prepareBuildings } from './datasets';
+
+export const USER_FORMATS = [
+  { id: 'geojson', label: 'GeoJSON', ext: ['geojson', 'json'] },
+  { id: 'csv',     label: 'CSV',     ext: ['csv', 'tsv', 'txt'] },
+  { id: 'jsonl',   label: 'JSON Lines', ext: ['jsonl', 'ndjson'] },
+];
+
+// columns a CSV row can be mapped to; one row per building
+export const CSV_FIELDS = [
+  { id: 'site',       label: 'Site',        required: true,  aliases: ['site', 'sitename', 'place', 'location'] },
+  { id: 'lat',        label: 'Latitude',    required: true,  aliases: ['lat', 'latitude', 'y'] },
+  { id: 'lon',        label: 'Longitude',   required: true,  aliases: ['lon', 'lng', 'long', 'longitude', 'x'] },
+  { id: 'id',         label: 'Building id', required: false, aliases: ['id', 'building', 'buildingid', 'name', 'temple'] },
+  { id: 'order',      label: 'Order',       required: false, aliases: ['order', 'orders'] },
+  { id: 'morphology', label: 'Typology',    required: false, aliases: ['morphology', 'typology', 'type'] },
+  { id: 'age',        label: 'Age',         required: false, aliases: ['age', 'period'] },
+  { id: 'date',       label: 'Date',        required: false, aliases: ['date', 'dating', 'dates'] },
+  { id: 'doc_id',     label: 'Doc id',      required: false, aliases: ['docid', 'doc', 'document', 'source'] },
+  { id: 'url',        label: 'URL',         required: false, aliases: ['url', 'link', 'href'] },
+];
+
+const LIST_FIELDS = ['order', 'morphology', 'age', 'date', 'style_evidence', 'date_evidence'];
+// several values in one cell: "Doric; Ionic" or "Doric|Ionic"
+const VALUE_SEPARATOR = /\s*[;|]\s*/;
+
+const extension = name => (name.match(/\.([a-z0-9]+)$/i)?.[1] || '').toLowerCase();
+
+export function detectFormat(name, text) {
+  const ext = extension(name);
+  const known = USER_FORMATS.find(f => f.ext.includes(ext));
+  if (known && ext !== 'json' && ext !== 'txt') return known.id;
+  // .json / .txt / unknown: sniff the content
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const lines = trimmed.split(/\r?\n/).filter(l => l.trim());
+    return lines.length > 1 && lines.every(l => /^\s*\{.*\}\s*$/.test(l)) ? 'jsonl' : 'geojson';
+  }
+  return 'csv';
+}
+
+// --- CSV ---
+
+const DELIMITERS = [',', ';', '\t'];
+
+const countOutsideQuotes = (line, ch) => {
+  let n = 0, quoted = false;
+  for (const c of line) {
+    if (c === '"') quoted = !quoted;
+    else if (c === ch && !quoted) n++;
+  }
+  return n;
+};
+
+// { columns, rows: [{ column: value }] }; quoted fields may hold delimiters,
+// doubled quotes and line breaks
+export function parseCSV(text) {
+  const body = text.replace(/^\ufeff/, '');
+  const header = body.split(/\r?\n/, 1)[0];
+  const delimiter = DELIMITERS.reduce((best, d) =>
+    countOutsideQuotes(header, d) > countOutsideQuotes(header, best) ? d : best);
+
+  const records = [];
+  let record = [], field = '', quoted = false;
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (quoted) {
+      if (c === '"' && body[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      record.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && body[i + 1] === '\n') i++;
+      record.push(field); field = '';
+      records.push(record); record = [];
+    } else {
+      field += c;
+    }
+  }
+  if (field || record.length) { record.push(field); records.push(record); }
+
+  const [columns = [], ...lines] = records.filter(r => r.some(v => v.trim()));
+  const names = columns.map(c => c.trim());
+  return {
+    columns: names,
+    rows: lines.map(values => Object.fromEntries(names.map((c, i) => [c, values[i] ?? '']))),
+  };
+}
+
+const normaliseName = s => s.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// { fieldId: column } for the columns whose name matches a field
+export function guessMapping(columns) {
+  const mapping = {};
+  const taken = new Set();
+  CSV_FIELDS.forEach(field => {
+    const column = field.aliases
+      .map(alias => columns.find(c => !taken.has(c) && normaliseName(c) === alias))
+      .find(Boolean);
+    mapping[field.id] = column || '';
+    if (column) taken.add(column);
+  });
+  return mapping;
+}
+
+export const missingFields = mapping =>
+  CSV_FIELDS.filter(f => f.required && !mapping[f.id]).map(f => f.label);
+
+const listValue = v => (Array.isArray(v) ? v : String(v ?? '').split(VALUE_SEPARATOR))
+  .map(String).filter(s => s.trim());
+
+const numberValue = v => (typeof v === 'number' ? v : String(v ?? '').trim() === '' ? NaN : Number(String(v).replace(',', '.')));
+
+// flat building records -> sites FeatureCollection, grouped by site name
+// and position; `mapping` is { fieldId: key in the record }
+export function rowsToSites(rows, mapping, firstRow = 2) {
+  const errors = [];
+  const sites = new Map();
+  rows.forEach((row, i) => {
+    const at = `row ${firstRow + i}`;
+    const get = field => (mapping[field] ? row[mapping[field]] : undefined);
+    const site = String(get('site') ?? '').trim();
+    const lat = numberValue(get('lat')), lon = numberValue(get('lon'));
+    if (!site) { errors.push(`${at}: no site name`); return; }
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+      errors.push(`${at}: "${site}" has no numeric latitude/longitude`);
+      return;
+    }
+    const key = `${site}\u0000${lat},${lon}`;
+    if (!sites.has(key)) {
+      sites.set(key, {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [lon, lat] },
+        properties: { site, buildings: [] },
+      });
+    }
+    const building = {
+      id: String(get('id') ?? '').trim() || `${site} ${sites.get(key).properties.buildings.length + 1}`,
+      doc_id: String(get('doc_id') ?? '').trim() || `row-${firstRow + i}`,
+      url: String(get('url') ?? '').trim(),
+    };
+    LIST_FIELDS.forEach(field => {
+      const v = get(field);
+      if (v !== undefined || !field.includes('evidence')) building[field] = listValue(v);
+    });
+    sites.get(key).properties.buildings.push(building);
+  });
+  return { raw: { type: 'FeatureCollection', features: [...sites.values()] }, errors };
+}
+
+// --- JSON / JSON Lines ---
+
+const asFeatureCollection = json =>
+  json?.type === 'Feature' ? { type: 'FeatureCollection', features: [json] }
+    : Array.isArray(json) ? { type: 'FeatureCollection', features: json }
+      : json;
+
+// each line a site Feature or a flat building record keyed like CSV_FIELDS
+function parseJSONLines(text) {
+  const errors = [], features = [], records = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      const json = JSON.parse(line);
+      if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        errors.push(`line ${i + 1}: expected an object`);
+        return;
+      }
+      (json.type === 'Feature' ? features : records).push(json);
+    } catch (e) {
+      errors.push(`line ${i + 1}: not valid JSON (${e.message})`);
+    }
+  });
+  const identity = Object.fromEntries([...CSV_FIELDS.map(f => f.id), 'style_evidence', 'date_evidence'].map(k => [k, k]));
+  const flat = rowsToSites(records, identity, 1);
+  return {
+    raw: { type: 'FeatureCollection', features: [...features, ...flat.raw.features] },
+    errors: [...errors, ...flat.errors.map(e => e.replace(/^row/, 'record'))],
+  };
+}
+
+// { format, raw, errors } or, for CSV, { format, columns, rows, errors }
+// still waiting for a column mapping
+export function parseUserFile(name, text) {
+  const format = detectFormat(name, text);
+  if (format === 'csv') {
+    const { columns, rows } = parseCSV(text);
+    const errors = columns.length ? [] : ['the file has no header row'];
+    if (columns.length && !rows.length) errors.push('the file has no data rows');
+    return { format, columns, rows, errors };
+  }
+  if (format === 'jsonl') return { format, ...parseJSONLines(text) };
+  try {
+    return { format, raw: asFeatureCollection(JSON.parse(text)), errors: [] };
+  } catch (e) {
+    return { format, raw: null, errors: [`not valid JSON: ${e.message}`] };
+  }
+}
+
+// validate and enrich like the bundled data; `errors` are the parse errors
+// found so far
+export function prepareUserDataset(raw, errors = []) {
+  if (!raw) return { data: null, errors, warnings: [], stats: { sites: 0, buildings: 0 } };
+  const result = prepareDataset(raw, schema);
+  return {
+    ...result,
+    data: result.data && result.data.features.length ? prepareBuildings(result.data) : null,
+    errors: [...errors, ...result.errors],
+  };
+}
@@ -0,0 +1,68 @@
+import { detectFormat, parseCSV, guessMapping, rowsToSites, parseUserFile, prepareUserDataset } from './userData';
+import { descriptionPassages } from './evidence';
+
+test('detects the format from the extension, or the content', () => {
+  expect(detectFormat('new.csv', '{}')).toBe('csv');
+  expect(detectFormat('new.ndjson', '')).toBe('jsonl');
+  expect(detectFormat('new.json', '{"type":"FeatureCollection","features":[]}')).toBe('geojson');
+  expect(detectFormat('new.json', '{"site":"A"}\n{"site":"B"}')).toBe('jsonl');
+  expect(detectFormat('new', 'site,lat,lon')).toBe('csv');
+});
+
+test('parses quoted CSV and guesses the column mapping', () => {
+  const { columns, rows } = parseCSV('Site;Latitude;Longitude;Order\r\n"Paestum";40,42;15,005;"Doric; Ionic"\r\n"Say ""hi""";1;2;\n');
+  expect(columns).toEqual(['Site', 'Latitude', 'Longitude', 'Order']);
+  expect(rows[0]).toEqual({ Site: 'Paestum', Latitude: '40,42', Longitude: '15,005', Order: 'Doric; Ionic' });
+  expect(rows[1].Site).toBe('Say "hi"');
+  expect(guessMapping(columns)).toMatchObject({ site: 'Site', lat: 'Latitude', lon: 'Longitude', order: 'Order', id: '' });
+});
+
+test('groups rows into sites and reports unusable ones', () => {
+  const rows = [
+    { s: 'Paestum', y: '40.42', x: '15.005', o: 'Doric|Ionic', b: 'Temple of Hera' },
+    { s: 'Paestum', y: '40.42', x: '15.005', o: 'Doric', b: '' },
+    { s: 'Nowhere', y: '', x: '1', o: '', b: 'X' },
+  ];
+  const { raw, errors } = rowsToSites(rows, { site: 's', lat: 'y', lon: 'x', order: 'o', id: 'b' });
+  expect(raw.features).toHaveLength(1);
+  expect(raw.features[0].geometry.coordinates).toEqual([15.005, 40.42]);
+  expect(raw.features[0].properties.buildings.map(b => [b.id, b.order])).toEqual([
+    ['Temple of Hera', ['Doric', 'Ionic']],
+    ['Paestum 2', ['Doric']],
+  ]);
+  expect(errors).toEqual(['row 4: "Nowhere" has no numeric latitude/longitude']);
+});
+
+test('JSON Lines records are validated like the bundled data', () => {
+  const text = [
+    '{"site":"Paestum","lat":40.42,"lon":15.005,"id":"Temple of Hera","order":["Doric"],"doc_id":"d1","url":""}',
+    'not json',
+    'null',
+    '[1]',
+  ].join('\n');
+  const parsed = parseUserFile('new.jsonl', text);
+  expect(parsed.errors).toHaveLength(3);
+  expect(parsed.errors[0]).toMatch(/^line 2: not valid JSON/);
+  expect(parsed.errors.slice(1)).toEqual(['line 3: expected an object', 'line 4: expected an object']);
+  const { data, errors, stats } = prepareUserDataset(parsed.raw, parsed.errors);
+  expect(errors).toHaveLength(3);
+  expect(stats).toMatchObject({ sites: 1, buildings: 1 });
+  expect(data.features[0].properties.buildings[0].terms.order).toContain('Doric');
+});
+
+test('a file with no usable sites loads nothing', () => {
+  const parsed = parseUserFile('bad.geojson', '{"type":"FeatureCollection"');
+  expect(parsed.errors[0]).toMatch(/^not valid JSON/);
+  expect(prepareUserDataset(parsed.raw, parsed.errors).data).toBeNull();
+});
+
+test('a building with only date evidence gets a description preview', () => {
+  const passage = 'The temple was rebuilt after the earthquake of 62 AD.';
+  const text = JSON.stringify({ site: 'Pompeii', lat: 40.75, lon: 14.49, id: 'Temple of Isis',
+    doc_id: 'd2', url: '', date_evidence: [passage] });
+  const parsed = parseUserFile('isis.jsonl', text);
+  const { data } = prepareUserDataset(parsed.raw, parsed.errors);
+  const building = data.features[0].properties.buildings[0];
+  expect(building.style_evidence).toBeUndefined();
+  expect(descriptionPassages(building)).toEqual([{ key: 'date_evidence-0', text: passage }]);
+});
@@ -0,0 +1,151 @@
+// controlled vocabulary for the order and typology facets
+//
+// Raw `order` / `morphology` strings are free text from the extraction
+// ("distyle-in-antis", "Doric façade with inner Ionic colonnade"). Each one
+// maps to every canonical term whose pattern it matches; a building is then
+// tagged with those terms and their ancestors, so selecting a parent term
+// matches all of its children. Raw values matching no term are kept as
+// their own filter values and reported, never dropped. Age tags are
+// matched exactly against the period gazetteer.
+import { PERIODS } from './gazetteer';
+
+// patterns run on normaliseTerm() output: lower case, plain hyphens,
+// "pseudo-x" folded to "pseudox"
+export const VOCABULARIES = {
+  order: [
+    { term: 'Greek orders', children: [
+      { term: 'Doric',      pattern: /\bdoric\b/ },
+      { term: 'Ionic',      pattern: /\bionic\b/ },
+      { term: 'Corinthian', pattern: /\bcorinthian\b/ },
+    ] },
+    { term: 'Roman orders', children: [
+      { term: 'Tuscan',     pattern: /\btuscan\b/ },
+      { term: 'Composite',  pattern: /\bcomposite\b/ },
+    ] },
+  ],
+  morphology: [
+    { term: 'plan type', children: [
+      { term: 'peripteral',    pattern: /\bperipter(?:al|os)\b/ },
+      { term: 'dipteral',      pattern: /\bdipter(?:al|os)\b/ },
+      { term: 'pseudo-', children: [
+        { term: 'pseudoperipteral', pattern: /\bpseudoperipter(?:al|os)\b/ },
+        { term: 'pseudodipteral',   pattern: /\bpseudodipter(?:al|os)\b/ },
+      ] },
+      { term: 'prostyle',      pattern: /\b(?:tetra)?prostyl(?:e|os)\b/ },
+      { term: 'amphiprostyle', pattern: /\bamphiprostyl(?:e|os)\b/ },
+      { term: 'in antis',      pattern: /\bin-antis\b/, children: [
+        { term: 'distyle in antis', pattern: /\bdistyl(?:e|os)-in-antis\b/ },
+      ] },
+      { term: 'round', children: [
+        { term: 'tholos',     pattern: /\btholos\b/ },
+        { term: 'monopteros', pattern: /\bmonopteros\b/ },
+        { term: 'circular',   pattern: /\b(?:circular|round)\b/ },
+      ] },
+      { term: 'tripartite cella', pattern: /\b(?:three|tripartite)[ -]cell(?:a|ae)?\b/ },
+      { term: 'podium temple',    pattern: /\bpodium temple\b/ },
+      { term: 'hypaethral',       pattern: /\bhypaethral\b/ },
+    ] },
+    { term: 'façade columns', children: [
+      { term: 'tetrastyle', pattern: /\b(?:tetra(?:pro)?|quadra)styl(?:e|os)\b/ },
+      { term: 'hexastyle',  pattern: /\bhexastyl(?:e|os)\b/ },
+      { term: 'octastyle',  pattern: /\boct[ao]styl(?:e|os)\b/ },
+      { term: 'nonastyle',  pattern: /\b(?:nona|ennea)styl(?:e|os)\b/ },
+      { term: 'decastyle',  pattern: /\bdecastyl(?:e|os)\b/ },
+    ] },
+    { term: 'stoa plan', children: [
+      { term: 'linear',       pattern: /\blinear\b/ },
+      { term: 'L-shape',      pattern: /\bl-(?:shaped?\b| or\b)/ },
+      { term: 'U-shape',      pattern: /\bu-shaped?\b/ },
+      { term: 'peristyle',    pattern: /\bperistyle\b|\bquadriporticus\b|\bon all (?:four )?sides\b/ },
+      { term: 'two-aisled',   pattern: /\btwo-aisled\b|\bdouble (?:colonnade|nave)\b/ },
+      { term: 'three-aisled', pattern: /\bthree[ -]aisle/ },
+    ] },
+  ],
+};
+
+export function normaliseTerm(raw) {
+  return String(raw)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[\u00a0\u2007\u2009\u202f]/g, ' ')
+    .replace(/[\u2010-\u2015\u2212]/g, '-')
+    .replace(/\bpseudo[ -]+/g, 'pseudo')
+    .replace(/\bin antis\b/g, 'in-antis')
+    .replace(/\b(distyl(?:e|os)) in-antis\b/g, '$1-in-antis')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// gazetteer entries as a tree of exactly matching terms
+const periodTree = (parent = undefined) =>
+  PERIODS.filter(p => p.parent === parent).map(p => ({
+    term: p.tag,
+    pattern: new RegExp(`^${escapeRegExp(normaliseTerm(p.tag))}$`),
+    children: periodTree(p.tag),
+  }));
+
+// flat index per facet: term -> { term, pattern, parent, depth }, in tree order
+const indexTree = (nodes, parent = null, depth = 0, index = new Map()) => {
+  nodes.forEach(({ term, pattern, children }) => {
+    index.set(term, { term, pattern, parent, depth });
+    if (children) indexTree(children, term, depth + 1, index);
+  });
+  return index;
+};
+
+const INDEX = Object.fromEntries(
+  Object.entries({ ...VOCABULARIES, age: periodTree() }).map(([attr, tree]) => [attr, indexTree(tree)])
+);
+
+export const isVocabularyFacet = attr => attr in INDEX;
+
+export const termDepth = (attr, term) => INDEX[attr]?.get(term)?.depth ?? 0;
+
+// canonical terms a raw value stands for, [] when unmapped
+export function mapValue(attr, raw) {
+  const text = normaliseTerm(raw);
+  return [...INDEX[attr].values()]
+    .filter(({ pattern }) => pattern && pattern.test(text))
+    .map(({ term }) => term);
+}
+
+// mapped terms, with unmapped raw values passed through as-is
+export const ownTerms = (attr, values) => {
+  if (!isVocabularyFacet(attr)) return values;
+  return [...new Set(values.flatMap(raw => {
+    const terms = mapValue(attr, raw);
+    return terms.length ? terms : [raw];
+  }))];
+};
+
+const withAncestors = (attr, terms) => {
+  const out = new Set();
+  terms.forEach(term => {
+    for (let t = term; t; t = INDEX[attr].get(t)?.parent) out.add(t);
+  });
+  return [...out];
+};
+
+// filter values of a building per vocabulary facet, ancestors included
+export const buildingTerms = b => Object.fromEntries(
+  Object.keys(INDEX).map(attr => [attr, withAncestors(attr, ownTerms(attr, b[attr] || []))])
+);
+
+// vocabulary terms present among `values`, in tree order
+export const termOptions = (attr, values) => {
+  const present = new Set(values);
+  return [...INDEX[attr].keys()].filter(term => present.has(term));
+};
+
+// raw values no term matched: { attr: Map(raw -> building count) }
+export function unmappedValues(features) {
+  const out = Object.fromEntries(Object.keys(INDEX).map(attr => [attr, new Map()]));
+  features.forEach(f => f.properties.buildings.forEach(b =>
+    Object.keys(INDEX).forEach(attr => (b[attr] || []).forEach(raw => {
+      if (!mapValue(attr, raw).length) out[attr].set(raw, (out[attr].get(raw) || 0) + 1);
+    }))
+  ));
+  return out;
+}
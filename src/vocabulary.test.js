@@ -0,0 +1,42 @@
+import { mapValue, buildingTerms, ownTerms, termOptions, unmappedValues } from './vocabulary';
+import { emptyFilters, cycleValue, matchesBuilding } from './filters';
+
+test('maps spelling variants and compound values to canonical terms', () => {
+  expect(mapValue('morphology', 'distyle-in-antis')).toEqual(['in antis', 'distyle in antis']);
+  expect(mapValue('morphology', 'in antis')).toEqual(['in antis']);
+  expect(mapValue('morphology', 'pseudo\u2011peripteros')).toEqual(['pseudoperipteral']);
+  expect(mapValue('morphology', 'octostyle')).toEqual(['octastyle']);
+  expect(mapValue('morphology', 'tetrastyle prostyle')).toEqual(['prostyle', 'tetrastyle']);
+  expect(mapValue('order', 'Doric (outer), Ionic (inner)')).toEqual(['Doric', 'Ionic']);
+  expect(mapValue('morphology', 'faces north')).toEqual([]);
+});
+
+test('buildings carry ancestors and keep unmapped values', () => {
+  const b = { order: ['Tuscan'], morphology: ['hexastyle', 'faces north'], age: ['Roman'] };
+  expect(buildingTerms(b)).toEqual({
+    order: ['Tuscan', 'Roman orders'],
+    morphology: ['hexastyle', 'façade columns', 'faces north'],
+    age: ['Roman'],
+  });
+  expect(ownTerms('morphology', b.morphology)).toEqual(['hexastyle', 'faces north']);
+  expect(ownTerms('age', b.age)).toEqual(['Roman']);
+});
+
+test('selecting a parent term matches its children', () => {
+  const b = { order: [], morphology: ['pseudo-dipteral'], age: [] };
+  b.terms = buildingTerms(b);
+  expect(matchesBuilding(b, cycleValue(emptyFilters(), 'morphology', 'plan type'), null)).toBe(true);
+  expect(matchesBuilding(b, cycleValue(emptyFilters(), 'morphology', 'dipteral'), null)).toBe(false);
+});
+
+test('options follow the tree and unmapped values are reported', () => {
+  expect(termOptions('morphology', ['hexastyle', 'peripteral', 'plan type', 'façade columns']))
+    .toEqual(['plan type', 'peripteral', 'façade columns', 'hexastyle']);
+  const features = [{ properties: { buildings: [
+    { order: ['Doric'], morphology: ['in antis', 'faces north'] },
+    { order: [], morphology: ['faces north'] },
+  ] } }];
+  const unmapped = unmappedValues(features);
+  expect(unmapped.order.size).toBe(0);
+  expect([...unmapped.morphology]).toEqual([['faces north', 2]]);
+});